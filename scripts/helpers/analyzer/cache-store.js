@@ -0,0 +1,131 @@
+/**
+ * Cache Store Module
+ *
+ * Persistent on-disk cache for README, metadata and AI summaries.
+ * Entries are JSON files `<path>/<namespace>/<sha1 of key>.json` with value, optional ETag and store time.
+ * Entries older than TTL are stale: they are not returned by get(), but their ETag
+ * can still be used for conditional requests.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const {log, logError} = require('../logger');
+
+const DEFAULTS = {
+  enabled: true,
+  path: '.radar/cache',
+  ttl_hours: 24
+};
+
+class CacheStore {
+  /**
+   * @param {Object} [options] - `cache` config section
+   */
+  constructor(options = {}) {
+    const settings = Object.assign({}, DEFAULTS, options);
+    this.enabled = settings.enabled !== false;
+    this.dir = path.resolve(process.cwd(), settings.path);
+    this.ttlMs = settings.ttl_hours * 60 * 60 * 1000;
+    this.stats = {hits: 0, misses: 0, revalidated: 0, writes: 0};
+  }
+
+  /**
+   * Read cache entry, stale entries are returned with `fresh: false`
+   * @param {string} namespace - Cache namespace, e.g. `readme`
+   * @param {string} key - Entry key
+   * @returns {?{value: *, etag: ?string, storedAt: number, fresh: boolean}} Entry or null
+   */
+  read(namespace, key) {
+    const filePath = this.getFilePath(namespace, key);
+    if (!this.enabled || !fs.existsSync(filePath)) {
+      return null;
+    }
+    try {
+      const entry = fs.readJsonSync(filePath);
+      entry.fresh = Date.now() - entry.storedAt < this.ttlMs;
+      return entry;
+    } catch (error) {
+      logError(`Cache: failed to read ${filePath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Write cache entry
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Entry key
+   * @param {{value: *, etag: ?string}} entry - Entry to store
+   */
+  write(namespace, key, entry) {
+    if (!this.enabled) {
+      return;
+    }
+    const record = {key, value: entry.value, etag: entry.etag || null, storedAt: Date.now()};
+    fs.outputJsonSync(this.getFilePath(namespace, key), record);
+    this.stats.writes++;
+  }
+
+  /**
+   * Get fresh value
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Entry key
+   * @returns {*} Value or null if missing or stale
+   */
+  get(namespace, key) {
+    const entry = this.read(namespace, key);
+    const hit = Boolean(entry && entry.fresh);
+    this.stats[hit ? 'hits' : 'misses']++;
+    return hit ? entry.value : null;
+  }
+
+  /**
+   * Store value without ETag
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Entry key
+   * @param {*} value - Value to store
+   */
+  set(namespace, key, value) {
+    this.write(namespace, key, {value});
+  }
+
+  /**
+   * Get value through the cache: fresh entry is returned as is, stale entry is revalidated by ETag
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Entry key
+   * @param {Function} fetchFn - async (etag) => {status, value, etag}, status 304 means not modified
+   * @returns {Promise<*>} Value
+   */
+  async fetch(namespace, key, fetchFn) {
+    const entry = this.read(namespace, key);
+    if (entry && entry.fresh) {
+      this.stats.hits++;
+      return entry.value;
+    }
+    const response = await fetchFn(entry ? entry.etag : null);
+    if (response.status === 304 && entry) {
+      this.stats.revalidated++;
+      this.write(namespace, key, entry);
+      return entry.value;
+    }
+    this.stats.misses++;
+    this.write(namespace, key, response);
+    return response.value;
+  }
+
+  getFilePath(namespace, key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.dir, namespace, `${hash}.json`);
+  }
+
+  logStats() {
+    if (!this.enabled) {
+      log('Cache disabled');
+      return;
+    }
+    const {hits, revalidated, misses, writes} = this.stats;
+    log(`Cache: ${hits} hits, ${revalidated} revalidated by ETag, ${misses} misses, ${writes} writes`);
+  }
+}
+
+module.exports = CacheStore;
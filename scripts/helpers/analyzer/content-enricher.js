@@ -3,36 +3,82 @@
  *
  * Enriches repository data with additional content from GitHub API,
  * specifically README.md files for better analysis.
+ * With `graphql` backend (default) metadata, README and health signals of many repositories come from
+ * one GraphQL query (see graphql-enricher.js), only what's missing in the response is fetched with REST.
+ * Dependencies are parsed from root manifests: package.json, pyproject.toml, requirements.txt, Cargo.toml, go.mod
+ * (see manifest-parser.js).
+ * Latest releases, tags and CHANGELOG.md tell whether a release landed within the trending window
+ * (see release-notes.js).
+ * README and metadata responses are cached by ETag (see cache-store.js).
+ * README markdown is cleaned and split into sections before analysis (see readme-processor.js).
  */
 
 const {log, logError} = require('../logger');
 const RadarGitHubAPI = require('./radar-github-api');
+const CacheStore = require('./cache-store');
+const GraphQLEnricher = require('./graphql-enricher');
+const {MANIFEST_FILES, parseManifests} = require('./manifest-parser');
+const ReleaseNotes = require('./release-notes');
+const {processReadme} = require('./readme-processor');
+const {mapLimit} = require('../concurrency');
+
+// Raw README is limited before processing, clean text before analysis
+const MAX_RAW_README_LENGTH = 20000;
+const MAX_README_LENGTH = 5000;
+const CHANGELOG_FILE = 'CHANGELOG.md';
+// REST tags are not ordered by date: the latest one is picked among the first 3 tags, as in GraphQL query
+const TAG_COUNT = 3;
+
+const DEFAULTS = {
+  backend: 'graphql',
+  batch_size: 25,
+  api_url: null,
+  graphql_url: null
+};
 
 class ContentEnricher {
-  constructor() {
-    this.githubApi = new RadarGitHubAPI();
+  /**
+   * @param {Object} [options]
+   * @param {CacheStore} [options.cache] - Cache for README and metadata responses
+   * @param {boolean} [options.health] - Fetch releases and CI workflows for health score (see repo-health.js)
+   * @param {Object} [options.enrichment] - `enrichment` config section: backend, batch_size, api_url, graphql_url
+   * @param {boolean} [options.manifests] - Fetch dependency manifests with REST backend
+   * @param {Object} [options.releases] - `releases` config section: enabled, window_days, max_bullets
+   */
+  constructor(options = {}) {
+    this.options = Object.assign({}, DEFAULTS, options.enrichment);
+    this.githubApi = new RadarGitHubAPI({apiUrl: this.options.api_url, graphqlUrl: this.options.graphql_url});
+    this.cache = options.cache || new CacheStore({enabled: false});
+    this.health = options.health !== false;
+    this.manifests = options.manifests !== false;
+    this.releaseNotes = (options.releases || {}).enabled === false ? null : new ReleaseNotes(options.releases);
+    this.graphqlEnricher = this.options.backend === 'graphql'
+      ? new GraphQLEnricher(this.githubApi, {batchSize: this.options.batch_size, cache: this.cache})
+      : null;
   }
 
   /**
-   * Enrich a batch of repositories with README content
+   * Enrich a batch of repositories with README content.
+   * Repositories are enriched concurrently, the request scheduler bounds concurrency and throttles by quota.
    * @param {Array} repos - Array of repository objects
    * @returns {Promise<Array>} Enriched repositories
    */
   async enrichBatch(repos) {
-    const enrichedRepos = [];
+    const graphqlResults = this.graphqlEnricher ? await this.graphqlEnricher.fetchBatch(repos) : new Map();
 
-    for (const repo of repos) {
+    return mapLimit(repos, this.githubApi.scheduler.options.concurrency, async repo => {
       try {
-        const enrichedRepo = await this.enrichSingleRepo(repo);
-        enrichedRepos.push(enrichedRepo);
+        // Repositories missing in GraphQL response are enriched with REST
+        const graphqlResult = graphqlResults.get(repo.name);
+        return graphqlResult
+          ? await this.enrichFromGraphQL(repo, graphqlResult)
+          : await this.enrichSingleRepo(repo);
       } catch (error) {
         logError(`Failed to enrich repo ${repo.name}:`, error.message);
         // Continue with original repo data if enrichment fails
-        enrichedRepos.push(repo);
+        return repo;
       }
-    }
-
-    return enrichedRepos;
+    });
   }
 
   /**
@@ -49,36 +95,76 @@ class ContentEnricher {
     }
 
     try {
-      // Get README content
-      const readmeContent = await this.getReadmeContent(owner, repoName);
-
-      // Get additional repo metadata
-      const repoMetadata = await this.getRepoMetadata(owner, repoName);
-
-      return {
-        ...repo,
-        readmeContent,
-        topics: repoMetadata?.topics || [],
-        createdAt: repoMetadata?.created_at,
-        updatedAt: repoMetadata?.updated_at,
-        forksCount: repoMetadata?.forks_count || repo.forks,
-        starsCount: repoMetadata?.stargazers_count || repo.stars,
-        watchersCount: repoMetadata?.watchers_count,
-        openIssuesCount: repoMetadata?.open_issues_count
-      };
-
+      return this.buildEnrichedRepo(repo, await this.fetchRestContent(repo, owner, repoName));
     } catch (error) {
-      if (error.response?.status === 404) {
-        log(`README not found for ${repo.name}`);
-      } else if (error.response?.status === 403) {
-        log(`Rate limit hit while fetching README for ${repo.name}`);
-      } else {
-        logError(`Error enriching ${repo.name}:`, error.message);
-      }
+      logEnrichError(repo, error);
       return repo;
     }
   }
 
+  /**
+   * README, metadata, health signals, dependencies and latest release of repository with REST
+   * @param {Object} repo - Repository object
+   * @param {string} owner - Repository owner
+   * @param {string} repoName - Repository name
+   * @returns {Promise<{readme: Object, metadata: Object, extra: Object}>} Content for buildEnrichedRepo()
+   */
+  async fetchRestContent(repo, owner, repoName) {
+    const readme = await this.getReadme(owner, repoName);
+    const metadata = await this.getRepoMetadata(owner, repoName);
+    // Latest releases are fetched once for health score and release notes
+    const releases = this.health || this.releaseNotes ? await this.getReleases(`${owner}/${repoName}`) : null;
+    const healthSignals = this.health ? await this.getHealthSignals(owner, repoName, releases) : {};
+    const dependencies = this.manifests ? parseManifests(await this.getManifests(owner, repoName)) : [];
+    const release = this.releaseNotes
+      ? this.releaseNotes.assess(repo, await this.getReleaseSources(owner, repoName, releases))
+      : null;
+    return {readme, metadata, extra: Object.assign({dependencies, release}, healthSignals)};
+  }
+
+  /**
+   * Enrich repository with GraphQL result, README under another file name is fetched with REST
+   * @param {Object} repo - Repository object
+   * @param {Object} result - Result of GraphQLEnricher.fetchBatch()
+   * @returns {Promise<Object>} Enriched repository
+   */
+  async enrichFromGraphQL(repo, result) {
+    let readme = result.readme;
+    if (!readme) {
+      const [owner, repoName] = repo.name.split('/');
+      readme = await this.getReadme(owner, repoName).catch(() => ({content: '', sha: null}));
+    }
+    const extra = Object.assign({
+      latestRelease: result.latestRelease,
+      dependencies: result.dependencies,
+      release: this.releaseNotes ? this.releaseNotes.assess(repo, result.releaseSources) : null
+    }, this.health ? result.health : {});
+    return this.buildEnrichedRepo(repo, {readme, metadata: result.metadata, extra});
+  }
+
+  /**
+   * Enriched repository from README and REST-shaped metadata
+   * @param {Object} repo - Repository object
+   * @param {Object} content
+   * @param {{content: string, sha: ?string}} content.readme - Raw README
+   * @param {?Object} content.metadata - Repository metadata in REST shape
+   * @param {Object} content.extra - Health signals and other fields added as is
+   * @returns {Object} Enriched repository
+   */
+  buildEnrichedRepo(repo, {readme, metadata, extra}) {
+    // Strip markdown noise: badges, HTML, link URLs, code blocks
+    const processedReadme = processReadme(readme.content.substring(0, MAX_RAW_README_LENGTH));
+    return {
+      ...repo,
+      readmeContent: processedReadme.text.substring(0, MAX_README_LENGTH),
+      readmeAbstract: processedReadme.abstract,
+      readmeSections: processedReadme.sections,
+      readmeSha: readme.sha,
+      ...fromMetadata(repo, metadata || {}),
+      ...extra
+    };
+  }
+
   /**
    * Get README content from GitHub API
    * @param {string} owner - Repository owner
@@ -86,16 +172,24 @@ class ContentEnricher {
    * @returns {Promise<string>} README content
    */
   async getReadmeContent(owner, repo) {
-    try {
-      const response = await this.githubApi.fetchJson('get', `/repos/${owner}/${repo}/readme`);
+    return (await this.getReadme(owner, repo)).content;
+  }
 
-      if (response.result && response.result.content) {
+  /**
+   * Get README content and its blob SHA from GitHub API (cached by ETag)
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<{content: string, sha: ?string}>} README
+   */
+  async getReadme(owner, repo) {
+    try {
+      return await this.fetchCached('readme', `/repos/${owner}/${repo}/readme`, result => {
         // GitHub API returns README content as base64
-        const content = Buffer.from(response.result.content, 'base64').toString('utf8');
-        return content.substring(0, 5000); // Limit content size for analysis
-      }
-
-      return '';
+        const content = result && result.content
+          ? Buffer.from(result.content, 'base64').toString('utf8').substring(0, MAX_RAW_README_LENGTH)
+          : '';
+        return {content, sha: result ? result.sha : null};
+      });
     } catch (error) {
       if (error.response?.status === 404) {
         log(`README not found for ${owner}/${repo}`);
@@ -105,14 +199,173 @@ class ContentEnricher {
   }
 
   /**
-   * Get additional repository metadata
+   * Get additional repository metadata (cached by ETag)
    * @param {string} owner - Repository owner
    * @param {string} repo - Repository name
    * @returns {Promise<Object>} Repository metadata
    */
   async getRepoMetadata(owner, repo) {
-    const response = await this.githubApi.fetchJson('get', `/repos/${owner}/${repo}`);
-    return response.result;
+    return this.fetchCached('metadata', `/repos/${owner}/${repo}`, result => result);
+  }
+
+  /**
+   * Get bytes of code per language (cached by ETag)
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<Object>} Bytes by language name, e.g. {Python: 12345}
+   */
+  async getLanguages(owner, repo) {
+    return this.fetchCached('languages', `/repos/${owner}/${repo}/languages`, result => result || {});
+  }
+
+  /**
+   * Get dependency manifests present in repository root (cached by ETag).
+   * Failed requests leave manifests out instead of failing enrichment.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<Object>} Content by manifest file name
+   */
+  async getManifests(owner, repo) {
+    const manifests = {};
+    try {
+      const rootFiles = await this.getRootFiles(owner, repo);
+      for (const file of MANIFEST_FILES.filter(name => rootFiles.includes(name))) {
+        manifests[file] = await this.getFileContent('manifest', `${owner}/${repo}`, file);
+      }
+    } catch (error) {
+      log(`Failed to fetch manifests of ${owner}/${repo}: ${error.message}`);
+    }
+    return manifests;
+  }
+
+  /**
+   * Get latest releases without drafts (cached by ETag)
+   * @param {string} fullName - Repository `owner/name`
+   * @returns {Promise<?Array>} Releases in the shape of GraphQL release sources, null if request failed
+   */
+  async getReleases(fullName) {
+    try {
+      return await this.fetchCached('releases', `/repos/${fullName}/releases?per_page=3`,
+        result => (Array.isArray(result) ? result.filter(release => !release.draft).map(toRelease) : []));
+    } catch (error) {
+      log(`Failed to fetch releases of ${fullName}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get latest tags with their commit dates if there are no releases,
+   * and CHANGELOG.md if present in repository root (cached by ETag).
+   * Failed requests leave their source empty instead of failing enrichment.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {?Array} releases - Result of getReleases()
+   * @returns {Promise<{releases: Array, tags: Array, changelog: ?string}>} Sources for ReleaseNotes.assess()
+   */
+  async getReleaseSources(owner, repo, releases) {
+    const sources = {releases: releases || [], tags: [], changelog: null};
+    if (sources.releases.length === 0) {
+      sources.tags = await this.getLatestTags(owner, repo).catch(error => {
+        log(`Failed to fetch tags of ${owner}/${repo}: ${error.message}`);
+        return [];
+      });
+    }
+    sources.changelog = await this.getChangelog(owner, repo).catch(error => {
+      log(`Failed to fetch ${CHANGELOG_FILE} of ${owner}/${repo}: ${error.message}`);
+      return null;
+    });
+    return sources;
+  }
+
+  /**
+   * REST tags have no date and are not ordered by date: the first tags are dated by their commits,
+   * tags whose commit can't be fetched stay undated
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<Array<{name: string, date: ?string}>>} Tags, the latest first
+   */
+  async getLatestTags(owner, repo) {
+    const tags = await this.fetchCached('tags', `/repos/${owner}/${repo}/tags?per_page=${TAG_COUNT}`,
+      result => (Array.isArray(result) ? result.map(tag => ({name: tag.name, sha: tag.commit.sha})) : []));
+    const datedTags = [];
+    for (const tag of tags) {
+      const date = await this.fetchCached('commits', `/repos/${owner}/${repo}/commits/${tag.sha}`,
+        result => (result && result.commit ? result.commit.committer.date : null)).catch(() => null);
+      datedTags.push({name: tag.name, date});
+    }
+    return datedTags.sort((a, b) => (Date.parse(b.date) || 0) - (Date.parse(a.date) || 0));
+  }
+
+  /**
+   * Get CHANGELOG.md if present in repository root (cached by ETag)
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<?string>} Beginning of changelog, null if there's none
+   */
+  async getChangelog(owner, repo) {
+    if (!(await this.getRootFiles(owner, repo)).includes(CHANGELOG_FILE)) {
+      return null;
+    }
+    const changelog = await this.getFileContent('changelog', `${owner}/${repo}`, CHANGELOG_FILE);
+    return changelog.substring(0, ReleaseNotes.MAX_NOTES_LENGTH);
+  }
+
+  /**
+   * Get names of files in repository root (cached by ETag)
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<Array<string>>} File and directory names
+   */
+  async getRootFiles(owner, repo) {
+    return this.fetchCached('contents', `/repos/${owner}/${repo}/contents/`,
+      result => (Array.isArray(result) ? result.map(entry => entry.name) : []));
+  }
+
+  /**
+   * Get text of file in repository root (cached by ETag)
+   * @param {string} namespace - Cache namespace
+   * @param {string} fullName - Repository `owner/name`
+   * @param {string} file - File name
+   * @returns {Promise<string>} File content
+   */
+  async getFileContent(namespace, fullName, file) {
+    return this.fetchCached(namespace, `/repos/${fullName}/contents/${file}`,
+      result => (result && result.content ? Buffer.from(result.content, 'base64').toString('utf8') : ''));
+  }
+
+  /**
+   * Check whether repository has releases and GitHub Actions workflows (cached by ETag).
+   * Failed requests leave the signal unknown instead of failing enrichment.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {?Array} releases - Result of getReleases()
+   * @returns {Promise<{hasReleases: ?boolean, hasCI: ?boolean}>}
+   */
+  async getHealthSignals(owner, repo, releases) {
+    const url = `/repos/${owner}/${repo}/actions/workflows?per_page=1`;
+    let hasCI = null;
+    try {
+      hasCI = await this.fetchCached('workflows', url, result => Boolean(result && result.total_count > 0));
+    } catch (error) {
+      log(`Failed to fetch ${url}: ${error.message}`);
+    }
+    return {hasReleases: releases ? releases.length > 0 : null, hasCI};
+  }
+
+  /**
+   * Fetch API resource through the cache: fresh entries are used as is,
+   * stale entries are revalidated with conditional request
+   * @param {string} namespace - Cache namespace
+   * @param {string} url - API endpoint, used as cache key
+   * @param {Function} transform - Converts API response to cached value
+   * @returns {Promise<*>} Cached value
+   */
+  async fetchCached(namespace, url, transform) {
+    return this.cache.fetch(namespace, url, async etag => {
+      const response = await this.githubApi.fetchConditional(url, etag);
+      const value = response.status === 304 ? null : transform(response.result);
+      return {status: response.status, value, etag: response.etag};
+    });
   }
 
   /**
@@ -124,4 +377,61 @@ class ContentEnricher {
   }
 }
 
+/**
+ * Repository fields from REST-shaped metadata, stars and forks of extracted repository if it has none
+ * @param {Object} repo - Repository object
+ * @param {Object} metadata - Repository metadata in REST shape
+ * @returns {Object} Repository fields
+ */
+function fromMetadata(repo, metadata) {
+  return {
+    topics: metadata.topics || [],
+    createdAt: metadata.created_at,
+    updatedAt: metadata.updated_at,
+    forksCount: metadata.forks_count || repo.forks,
+    starsCount: metadata.stargazers_count || repo.stars,
+    watchersCount: metadata.watchers_count,
+    openIssuesCount: metadata.open_issues_count,
+    pushedAt: metadata.pushed_at,
+    license: metadata.license?.spdx_id || null,
+    archived: metadata.archived,
+    isFork: metadata.fork,
+    forkParent: getFullName(metadata.parent),
+    forkSource: getFullName(metadata.source),
+    isTemplate: metadata.is_template
+  };
+}
+
+/**
+ * `owner/name` of parent or source repository of fork
+ */
+function getFullName(metadata) {
+  return metadata?.full_name || null;
+}
+
+function logEnrichError(repo, error) {
+  const status = error.response?.status;
+  if (status === 404) {
+    log(`README not found for ${repo.name}`);
+  } else if (status === 403 || status === 429) {
+    // Scheduler already waited for the quota or the wait was longer than `rate_limit.max_wait_minutes`
+    logError(`Access denied or rate limit exhausted, ${repo.name} is reported without README and metadata`);
+  } else {
+    logError(`Error enriching ${repo.name}:`, error.message);
+  }
+}
+
+/**
+ * Convert REST release to the shape of GraphQL release sources
+ */
+function toRelease(release) {
+  return {
+    tagName: release.tag_name,
+    name: release.name,
+    publishedAt: release.published_at,
+    body: (release.body || '').substring(0, ReleaseNotes.MAX_NOTES_LENGTH),
+    prerelease: release.prerelease
+  };
+}
+
 module.exports = ContentEnricher;
\ No newline at end of file
@@ -0,0 +1,166 @@
+/**
+ * Corpus Scorer Module
+ *
+ * Scores keyword relevance with BM25 or TF-IDF using document statistics
+ * (document frequency of every keyword, average field length) of the day's candidates.
+ * Scores are normalized to 0-100, so `min_relevance_score` means the same from day to day:
+ * - every keyword contributes `keyword weight × normalized idf × saturated tf`, both factors in 0..1
+ * - the sum is divided by the highest keyword weight and capped at 100
+ */
+
+const DEFAULTS = {
+  method: 'bm25',
+  k1: 1.2,
+  b: 0.75
+};
+
+const METHODS = ['bm25', 'tfidf'];
+const MAX_SCORE = 100;
+
+class CorpusScorer {
+  /**
+   * @param {Object} options - `scoring` config section
+   * @param {Object} weights
+   * @param {Object} weights.fieldWeights - Multiplier per field
+   * @param {Function} weights.getKeywordWeight - (label) => weight
+   * @param {number} weights.maxKeywordWeight - Highest weight of configured keywords
+   */
+  constructor(options, {fieldWeights, getKeywordWeight, maxKeywordWeight}) {
+    this.options = Object.assign({}, DEFAULTS, options);
+    if (!METHODS.includes(this.options.method)) {
+      throw new Error(`Unknown scoring method: ${this.options.method}, expected one of: ${METHODS.join(', ')}`);
+    }
+    this.maxScore = MAX_SCORE;
+    this.fieldWeights = fieldWeights;
+    this.getKeywordWeight = getKeywordWeight;
+    this.maxKeywordWeight = maxKeywordWeight;
+    this.prepare([]);
+  }
+
+  /**
+   * Build corpus statistics
+   * @param {Array<Object>} documents - Field stats of every candidate: {field: {length, matches}}
+   */
+  prepare(documents) {
+    const lengths = {};
+    this.documentCount = documents.length;
+    this.documentFrequency = new Map();
+    documents.forEach(document => {
+      Object.keys(document).forEach(field => {
+        lengths[field] = (lengths[field] || []).concat(document[field].length);
+      });
+      getLabels(document).forEach(label => {
+        this.documentFrequency.set(label, (this.documentFrequency.get(label) || 0) + 1);
+      });
+    });
+    this.averageLengths = {};
+    Object.keys(lengths).forEach(field => {
+      this.averageLengths[field] = lengths[field].reduce((sum, length) => sum + length, 0) / lengths[field].length;
+    });
+  }
+
+  /**
+   * Score single document
+   * @param {Object} document - Field stats: {field: {length, matches}}
+   * @returns {number} Relevance score 0-100
+   */
+  score(document) {
+    const score = this.explain(document).reduce((sum, match) => sum + match.contribution, 0);
+    return Math.min(MAX_SCORE, Math.round(score * 10) / 10);
+  }
+
+  /**
+   * Contribution of every keyword match to score, before capping at 100.
+   * Keyword score is split between fields by their share of its term frequency.
+   * @param {Object} document - Field stats: {field: {length, matches}}
+   * @returns {Array<{field: string, label: string, count: number, idf: number, contribution: number}>}
+   */
+  explain(document) {
+    if (this.maxKeywordWeight <= 0) {
+      return [];
+    }
+    const frequencies = this.getTermFrequencies(document);
+    const contributions = [];
+    Object.keys(document).forEach(field => {
+      const weight = this.fieldWeights[field] || 0;
+      const {length, matches} = document[field];
+      matches.forEach(({label, count}) => {
+        const frequency = frequencies.get(label);
+        const share = frequency > 0 ? weight * this.normalizeFrequency(count, length, field) / frequency : 0;
+        const normalizedIdf = this.getNormalizedIdf(label);
+        const keywordScore = this.getKeywordWeight(label) * normalizedIdf * saturate(frequency, this.options.k1) /
+          this.maxKeywordWeight * 100;
+        contributions.push({field, label, count, idf: normalizedIdf, contribution: keywordScore * share});
+      });
+    });
+    return contributions;
+  }
+
+  /**
+   * Sum of field-weighted, length-normalized term frequencies per keyword
+   * @param {Object} document - Field stats
+   * @returns {Map<string, number>} Frequency by keyword label
+   */
+  getTermFrequencies(document) {
+    const frequencies = new Map();
+    Object.keys(document).forEach(field => {
+      const weight = this.fieldWeights[field] || 0;
+      const {length, matches} = document[field];
+      matches.forEach(match => {
+        const frequency = weight * this.normalizeFrequency(match.count, length, field);
+        frequencies.set(match.label, (frequencies.get(match.label) || 0) + frequency);
+      });
+    });
+    return frequencies;
+  }
+
+  /**
+   * BM25: count divided by field length relative to average (pivot `b`).
+   * TF-IDF: log-scaled count damped by square root of relative field length.
+   */
+  normalizeFrequency(count, length, field) {
+    const relativeLength = this.averageLengths[field] ? length / this.averageLengths[field] : 1;
+    if (this.options.method === 'tfidf') {
+      return (1 + Math.log(count)) / Math.sqrt(Math.max(1, relativeLength));
+    }
+    const b = this.options.b;
+    return count / (1 - b + b * relativeLength);
+  }
+
+  /**
+   * Idf divided by idf of a keyword found in a single document, so rare keywords get 1
+   * @param {string} label - Keyword label
+   * @returns {number} Normalized idf 0..1
+   */
+  getNormalizedIdf(label) {
+    const total = Math.max(1, this.documentCount);
+    const frequency = Math.max(1, this.documentFrequency.get(label) || 0);
+    return Math.min(1, idf(total, frequency, this.options.method) / idf(total, 1, this.options.method));
+  }
+}
+
+/**
+ * Labels of keywords matched in any field of document
+ */
+function getLabels(document) {
+  const labels = new Set();
+  Object.keys(document).forEach(field => document[field].matches.forEach(match => labels.add(match.label)));
+  return labels;
+}
+
+function idf(total, frequency, method) {
+  if (method === 'tfidf') {
+    return Math.log((1 + total) / (1 + frequency)) + 1;
+  }
+  return Math.log(1 + (total - frequency + 0.5) / (frequency + 0.5));
+}
+
+/**
+ * Map term frequency to 0..1, BM25 saturation with parameter k1
+ */
+function saturate(frequency, k1) {
+  return frequency / (frequency + k1);
+}
+
+module.exports = CorpusScorer;
+module.exports.METHODS = METHODS;
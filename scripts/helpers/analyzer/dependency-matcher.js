@@ -0,0 +1,159 @@
+/**
+ * Dependency Matcher Module
+ *
+ * Matches dependencies parsed from repository manifests (see manifest-parser.js) against:
+ * - `dependencies.rules`: "uses torch", "depends on tokio", "uses npm:react"; every matched rule adds its weight
+ *   to the relevance score
+ * - our own stack from `dependencies.lockfiles`: repositories depending on libraries we already use,
+ *   and repositories describing themselves as an alternative to or replacement for one of them
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {log, logError} = require('../logger');
+const {parseManifest} = require('./manifest-parser');
+
+const DEFAULTS = {
+  enabled: true,
+  weight: 5,
+  rules: [],
+  lockfiles: []
+};
+
+const RULE_REG = /^(?:uses|depends\s+on)\s+(.+)$/i;
+// "alternative to requests", "drop-in replacement for the lodash", "a requests alternative"
+const REPLACEMENT_REGS = [
+  /\b(?:alternative|replacement|substitute)\s+(?:to|for)\s+(?:the\s+)?([@\w][\w@./-]*)/gi,
+  /\b([@\w][\w@./-]*)\s+(?:alternative|replacement)\b/gi
+];
+
+class DependencyMatcher {
+  /**
+   * @param {Object} [options] - `dependencies` config section
+   * @param {Function} [readFile] - (path) => content of lockfile
+   */
+  constructor(options = {}, readFile = filePath => fs.readFileSync(filePath, 'utf8')) {
+    this.options = Object.assign({}, DEFAULTS, options);
+    this.rules = this.options.rules.map(rule => compileRule(rule, this.options.weight)).filter(Boolean);
+    this.stack = this.loadStack(readFile);
+    this.stackNames = new Map([...this.stack].map(dependency => [looseName(getName(dependency)), getName(dependency)]));
+  }
+
+  /**
+   * Add `dependencyMatches` and `stack` flags to repositories with parsed dependencies
+   * @param {Array} repos - Enriched repositories
+   * @returns {Array} Annotated repositories
+   */
+  annotate(repos) {
+    if (!this.options.enabled || (this.rules.length === 0 && this.stack.size === 0)) {
+      return repos;
+    }
+    const annotated = repos.map(repo => Object.assign({}, repo, {
+      dependencyMatches: this.matchRules(repo.dependencies || []),
+      stack: this.matchStack(repo)
+    }));
+    const count = filter => annotated.filter(filter).length;
+    log(`Dependencies: ${count(repo => repo.dependencyMatches.length > 0)} repositories match rules, ` +
+      `${count(repo => repo.stack.dependsOn.length > 0)} depend on our stack, ` +
+      `${count(repo => repo.stack.replaces.length > 0)} may replace it`);
+    return annotated;
+  }
+
+  /**
+   * @param {Array<string>} dependencies - `ecosystem:name` dependencies of repository
+   * @returns {Array<{label: string, weight: number, packages: Array<string>}>} Matched rules
+   */
+  matchRules(dependencies) {
+    return this.rules
+      .map(rule => ({
+        label: rule.label,
+        weight: rule.weight,
+        packages: dependencies.filter(dependency => matchesRule(rule, dependency)).map(getName)
+      }))
+      .filter(match => match.packages.length > 0);
+  }
+
+  /**
+   * @param {Object} repo - Enriched repository
+   * @returns {{dependsOn: Array<string>, replaces: Array<string>}} Packages of our stack
+   */
+  matchStack(repo) {
+    const dependsOn = (repo.dependencies || []).filter(dependency => this.stack.has(dependency)).map(getName);
+    const claims = findReplacementClaims([repo.description, repo.readmeAbstract].filter(Boolean).join('\n'));
+    const replaces = claims
+      .map(claim => this.stackNames.get(looseName(claim)))
+      .filter(name => name && !dependsOn.includes(name));
+    return {dependsOn, replaces: [...new Set(replaces)]};
+  }
+
+  /**
+   * Dependencies of our lockfiles and manifests, missing files are logged and skipped
+   * @returns {Set<string>} `ecosystem:name` dependencies
+   */
+  loadStack(readFile) {
+    const stack = new Set();
+    this.options.lockfiles.forEach(lockfile => {
+      try {
+        const filePath = path.resolve(process.cwd(), lockfile);
+        parseManifest(filePath, readFile(filePath)).forEach(dependency => stack.add(dependency));
+      } catch (error) {
+        logError(`Dependencies: failed to read lockfile ${lockfile}: ${error.message}`);
+      }
+    });
+    if (this.options.lockfiles.length > 0) {
+      log(`Dependencies: ${stack.size} packages of our stack from ${this.options.lockfiles.length} lockfiles`);
+    }
+    return stack;
+  }
+}
+
+/**
+ * Compile rule "uses [ecosystem:]name" or {rule, weight}
+ * @returns {?{label: string, ecosystem: ?string, name: string, weight: number}}
+ */
+function compileRule(entry, defaultWeight) {
+  const {rule, weight} = Object.assign({weight: defaultWeight}, typeof entry === 'string' ? {rule: entry} : entry);
+  const match = String(rule || '').trim().match(RULE_REG);
+  if (!match) {
+    logError(`Dependencies: invalid rule "${rule}", expected "uses <package>" or "depends on <package>"`);
+    return null;
+  }
+  const target = match[1].trim();
+  const separator = target.indexOf(':');
+  return {
+    label: rule.trim(),
+    ecosystem: separator > 0 ? target.substring(0, separator).toLowerCase() : null,
+    name: looseName(target.substring(separator + 1)),
+    weight
+  };
+}
+
+/**
+ * Same ecosystem if rule has one, same name or last segment of Go module path / npm scope
+ */
+function matchesRule(rule, dependency) {
+  const name = looseName(getName(dependency));
+  const sameEcosystem = !rule.ecosystem || dependency.startsWith(`${rule.ecosystem}:`);
+  return sameEcosystem && (name === rule.name || name.endsWith(`/${rule.name}`));
+}
+
+function findReplacementClaims(text) {
+  const claims = [];
+  REPLACEMENT_REGS.forEach(reg => {
+    text.replace(reg, (match, name) => {
+      claims.push(name.replace(/[.,]+$/, ''));
+      return match;
+    });
+  });
+  return claims;
+}
+
+function getName(dependency) {
+  return dependency.substring(dependency.indexOf(':') + 1);
+}
+
+function looseName(name) {
+  return name.toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+module.exports = DependencyMatcher;
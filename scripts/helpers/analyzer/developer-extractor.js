@@ -0,0 +1,55 @@
+/**
+ * Developer Extractor Module
+ *
+ * Fetches trending developers pages for every target language and period
+ * and merges developers by login.
+ */
+
+const {log} = require('../logger');
+const {mapLimit} = require('../concurrency');
+const TrendingDevelopers = require('../trending-developers');
+const TrendingExtractor = require('./trending-extractor');
+
+class DeveloperExtractor extends TrendingExtractor {
+  constructor(config, retryOptions) {
+    super(config, retryOptions);
+    this.baseUrl = `${TrendingExtractor.TRENDING_URL}/developers`;
+  }
+
+  /**
+   * Fetch all trending developers pages and merge developers
+   * @returns {Promise<Array>} Unique developers with the pages they were found on
+   */
+  async extract() {
+    const pages = this.buildPages();
+    log(`Fetching ${pages.length} trending developers pages (concurrency: ${this.concurrency})`);
+    const results = await mapLimit(pages, this.concurrency, page => this.fetchPage(page));
+    const developers = this.mergeDevelopers(results);
+    log(`Merged ${developers.length} unique developers from ${pages.length} trending developers pages`);
+    return developers;
+  }
+
+  createPage(url) {
+    return new TrendingDevelopers(url, this.retryOptions);
+  }
+
+  /**
+   * Merge developers from all pages, de-duplicating by login
+   * @param {Array<{page: Object, repos: Array}>} results - Fetched pages
+   * @returns {Array} Unique developers in page rank order
+   */
+  mergeDevelopers(results) {
+    const developersByLogin = new Map();
+    results.forEach(({page, repos}) => {
+      repos.forEach(developer => {
+        if (!developersByLogin.has(developer.login)) {
+          developersByLogin.set(developer.login, Object.assign({}, developer, {trendingPages: []}));
+        }
+        developersByLogin.get(developer.login).trendingPages.push({language: page.language, since: page.since});
+      });
+    });
+    return [...developersByLogin.values()];
+  }
+}
+
+module.exports = DeveloperExtractor;
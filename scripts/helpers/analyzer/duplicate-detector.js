@@ -0,0 +1,221 @@
+/**
+ * Duplicate Detector Module
+ *
+ * Collapses fork families and copycat repositories among the day's candidates into one canonical entry:
+ * - fork family: fork of another candidate, or forks sharing the same source repository
+ * - near-duplicate README: MinHash estimate of Jaccard similarity of word shingles
+ * - copycat: similar repository name and moderately similar README
+ * The canonical repository gets `duplicates` list shown as "also: x, y" in the report.
+ */
+
+const {log} = require('../logger');
+const {fnv1a} = require('./embedding-provider');
+
+const DEFAULTS = {
+  enabled: true,
+  readme_similarity: 0.8,
+  name_similarity: 0.85,
+  name_readme_similarity: 0.4,
+  min_readme_words: 50,
+  shingle_size: 5,
+  num_hashes: 64
+};
+
+const WORD_REG = new RegExp('[\\p{L}\\p{N}]+', 'gu');
+
+// Reasons of duplicate links, checked in this order
+const LINKS = [
+  {reason: 'fork', matches: (detector, a, b) => isForkFamily(a, b)},
+  {reason: 'readme', matches: (detector, a, b) => detector.isReadmeDuplicate(a, b)},
+  {reason: 'name', matches: (detector, a, b) => detector.isCopycatName(a, b)}
+];
+
+class DuplicateDetector {
+  /**
+   * @param {Object} [options] - `duplicates` config section
+   */
+  constructor(options = {}) {
+    this.options = Object.assign({}, DEFAULTS, options);
+    this.seeds = Array.from({length: this.options.num_hashes}, (value, index) => fnv1a(`seed-${index}`));
+    this.signatures = new Map();
+  }
+
+  /**
+   * Collapse duplicates into canonical repositories
+   * @param {Array} repos - Enriched repositories
+   * @returns {Array} Canonical and unique repositories, canonical ones with `duplicates`
+   */
+  collapse(repos) {
+    if (!this.options.enabled) {
+      return repos;
+    }
+    const groups = this.group(repos).filter(group => group.length > 1);
+    if (groups.length === 0) {
+      return repos;
+    }
+
+    const collapsed = new Map();
+    groups.forEach(group => {
+      const [canonical, ...duplicates] = group.slice().sort(compareCanonical);
+      collapsed.set(canonical, duplicates);
+      duplicates.forEach(duplicate => collapsed.set(duplicate, null));
+    });
+    const duplicateCount = groups.reduce((sum, group) => sum + group.length - 1, 0);
+    log(`Duplicates: ${duplicateCount} repositories collapsed into ${groups.length} canonical repositories`);
+
+    return repos
+      .filter(repo => collapsed.get(repo) !== null)
+      .map(repo => {
+        const duplicates = collapsed.get(repo);
+        return duplicates ? Object.assign({}, repo, {duplicates: duplicates.map(toReference)}) : repo;
+      });
+  }
+
+  /**
+   * Group repositories linked directly or transitively (union-find)
+   * @param {Array} repos - Enriched repositories
+   * @returns {Array<Array>} Groups in order of their first repository
+   */
+  group(repos) {
+    const parents = repos.map((repo, index) => index);
+    const find = index => (parents[index] === index ? index : (parents[index] = find(parents[index])));
+    repos.forEach((a, i) => repos.slice(i + 1).forEach((b, offset) => {
+      if (this.findLink(a, b)) {
+        parents[find(i + 1 + offset)] = find(i);
+      }
+    }));
+
+    const groups = new Map();
+    repos.forEach((repo, index) => {
+      const root = find(index);
+      groups.set(root, (groups.get(root) || []).concat([repo]));
+    });
+    return [...groups.values()];
+  }
+
+  /**
+   * Reason why two repositories are duplicates
+   * @returns {?string} `fork`, `readme`, `name` or null
+   */
+  findLink(a, b) {
+    const link = LINKS.find(({matches}) => matches(this, a, b));
+    return link ? link.reason : null;
+  }
+
+  /**
+   * MinHash estimate of Jaccard similarity of README shingles, 0 for short READMEs
+   */
+  readmeSimilarity(a, b) {
+    const signatureA = this.getSignature(a);
+    const signatureB = this.getSignature(b);
+    if (!signatureA || !signatureB) {
+      return 0;
+    }
+    return signatureA.filter((value, index) => value === signatureB[index]).length / signatureA.length;
+  }
+
+  isReadmeDuplicate(a, b) {
+    return this.readmeSimilarity(a, b) >= this.options.readme_similarity;
+  }
+
+  /**
+   * Similar names of different owners are copycats only if READMEs overlap too
+   */
+  isCopycatName(a, b) {
+    return nameSimilarity(a.name, b.name) >= this.options.name_similarity &&
+      this.readmeSimilarity(a, b) >= this.options.name_readme_similarity;
+  }
+
+  /**
+   * MinHash signature of README word shingles, cached per repository
+   * @returns {?Array<number>} Minimum hash per seed, null if README is too short
+   */
+  getSignature(repo) {
+    if (!this.signatures.has(repo.name)) {
+      this.signatures.set(repo.name, this.computeSignature(repo.readmeContent || ''));
+    }
+    return this.signatures.get(repo.name);
+  }
+
+  computeSignature(text) {
+    const words = text.toLowerCase().match(WORD_REG) || [];
+    if (words.length < this.options.min_readme_words) {
+      return null;
+    }
+    const size = this.options.shingle_size;
+    const signature = this.seeds.map(() => 0xffffffff);
+    for (let i = 0; i + size <= words.length; i++) {
+      const hash = fnv1a(words.slice(i, i + size).join(' '));
+      this.seeds.forEach((seed, index) => {
+        signature[index] = Math.min(signature[index], mix(hash ^ seed));
+      });
+    }
+    return signature;
+  }
+}
+
+/**
+ * Fork of the other candidate, or forks of the same parent or source repository
+ */
+function isForkFamily(a, b) {
+  const linksA = getForkLinks(a);
+  const linksB = getForkLinks(b);
+  return linksA.includes(b.name.toLowerCase()) || linksB.includes(a.name.toLowerCase()) ||
+    linksA.some(name => linksB.includes(name));
+}
+
+function getForkLinks(repo) {
+  return [repo.forkParent, repo.forkSource].filter(Boolean).map(name => name.toLowerCase());
+}
+
+// Canonical repository first: not a fork, then most stars, then oldest
+const CANONICAL_ORDER = [
+  (a, b) => Number(Boolean(a.isFork)) - Number(Boolean(b.isFork)),
+  (a, b) => getStars(b) - getStars(a),
+  (a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || ''))
+];
+
+function compareCanonical(a, b) {
+  return CANONICAL_ORDER.reduce((result, compare) => result || compare(a, b), 0);
+}
+
+function getStars(repo) {
+  return repo.starsCount || repo.stars || 0;
+}
+
+function toReference(repo) {
+  return {name: repo.name, url: repo.url};
+}
+
+/**
+ * Normalized Levenshtein similarity of repository names without owners, separators ignored
+ */
+function nameSimilarity(a, b) {
+  const nameA = a.split('/').pop().toLowerCase().replace(/[-_.]/g, '');
+  const nameB = b.split('/').pop().toLowerCase().replace(/[-_.]/g, '');
+  const length = Math.max(nameA.length, nameB.length);
+  return length === 0 ? 0 : 1 - levenshtein(nameA, nameB) / length;
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({length: b.length + 1}, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Murmur3 finalizer, spreads seeded hashes over 32 bits
+ */
+function mix(hash) {
+  hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+module.exports = DuplicateDetector;
@@ -0,0 +1,199 @@
+/**
+ * Embedding Provider Module
+ *
+ * Providers turn texts into vectors for semantic matching, interface: `async embed(texts) => ?Array<Array<number>>`.
+ * - `local`: dependency-free hashed bag of words and character n-grams, no network
+ * - `openai`: any OpenAI-compatible `/embeddings` endpoint
+ */
+
+const axios = require('axios');
+const axiosRetry = require('axios-retry');
+const {log, logError} = require('../logger');
+
+const WORD_REG = new RegExp('[\\p{L}\\p{N}]+', 'gu');
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+const LOCAL_DEFAULTS = {
+  dimensions: 1024,
+  ngram: 3
+};
+
+const OPENAI_DEFAULTS = {
+  base_url: OPENAI_BASE_URL,
+  model: 'text-embedding-3-small',
+  timeout_ms: 30 * 1000,
+  retries: 2,
+  api_key_env: 'OPENAI_API_KEY',
+  // Texts per request, providers limit number and total size of inputs
+  batch_size: 64
+};
+
+class HashedNgramProvider {
+  /**
+   * @param {Object} [options] - `semantic` config section
+   */
+  constructor(options = {}) {
+    this.options = Object.assign({}, LOCAL_DEFAULTS, options);
+    this.id = 'local';
+  }
+
+  /**
+   * Embed texts: words and character n-grams of words are hashed into a fixed size vector
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} L2-normalized vectors
+   */
+  async embed(texts) {
+    return texts.map(text => this.vectorize(text));
+  }
+
+  vectorize(text) {
+    const vector = new Array(this.options.dimensions).fill(0);
+    tokenize(text).forEach(word => {
+      addFeature(vector, `w:${word}`);
+      getNgrams(` ${word} `, this.options.ngram).forEach(ngram => addFeature(vector, `n:${ngram}`));
+    });
+    return normalize(vector);
+  }
+}
+
+class OpenAICompatibleEmbeddingProvider {
+  /**
+   * @param {Object} [options] - `semantic` config section
+   * @param {string} [apiKey] - API key, not required for local endpoints
+   */
+  constructor(options = {}, apiKey) {
+    this.options = Object.assign({}, OPENAI_DEFAULTS, options);
+    this.id = this.options.model;
+    this.request = axios.create({
+      baseURL: this.options.base_url.replace(/\/$/, ''),
+      timeout: this.options.timeout_ms,
+      headers: apiKey ? {Authorization: `Bearer ${apiKey}`} : {}
+    });
+
+    axiosRetry(this.request, {
+      retries: this.options.retries,
+      shouldResetTimeout: true,
+      retryCondition: isRetryable,
+      retryDelay: retryNumber => {
+        log(`Embedding provider retry attempt: ${retryNumber}`);
+        return axiosRetry.exponentialDelay(retryNumber);
+      }
+    });
+  }
+
+  /**
+   * Embed texts in requests of `batch_size` texts
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<?Array<Array<number>>>} Vectors in input order or null if provider failed
+   */
+  async embed(texts) {
+    const vectors = [];
+    try {
+      for (let i = 0; i < texts.length; i += this.options.batch_size) {
+        vectors.push(...await this.embedChunk(texts.slice(i, i + this.options.batch_size)));
+      }
+      return vectors;
+    } catch (error) {
+      logError(`Embedding provider request failed (${this.options.base_url}): ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * @param {Array<string>} texts - At most `batch_size` texts
+   * @returns {Promise<Array<Array<number>>>} Vectors in input order
+   */
+  async embedChunk(texts) {
+    const response = await this.request.post('/embeddings', {model: this.options.model, input: texts});
+    return response.data.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+/**
+ * Create embedding provider from `semantic` config section
+ * @param {Object} [options] - `semantic` config section, `provider`: local (default) or openai
+ * @returns {?Object} Provider or null if API key is missing
+ */
+function createEmbeddingProvider(options = {}) {
+  if ((options.provider || 'local') === 'local') {
+    return new HashedNgramProvider(options);
+  }
+  if (options.provider !== 'openai') {
+    throw new Error(`Unknown embedding provider: ${options.provider}, expected local or openai`);
+  }
+  const settings = Object.assign({}, OPENAI_DEFAULTS, options);
+  const apiKey = process.env[settings.api_key_env];
+  if (!apiKey && settings.base_url === OPENAI_BASE_URL) {
+    return null;
+  }
+  return new OpenAICompatibleEmbeddingProvider(settings, apiKey);
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @returns {number} Similarity -1..1, 0 for empty vectors
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function tokenize(text) {
+  return (text || '').toLowerCase().match(WORD_REG) || [];
+}
+
+function getNgrams(word, size) {
+  const ngrams = [];
+  for (let i = 0; i + size <= word.length; i++) {
+    ngrams.push(word.substring(i, i + size));
+  }
+  return ngrams;
+}
+
+/**
+ * Add feature to vector with signed hashing, so collisions cancel out instead of piling up
+ */
+function addFeature(vector, feature) {
+  const hash = fnv1a(feature);
+  vector[hash % vector.length] += (hash & 0x80000000) ? -1 : 1;
+}
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm ? vector.map(value => value / norm) : vector;
+}
+
+function isRetryable(error) {
+  const status = error.response && error.response.status;
+  return !status || status === 429 || status >= 500;
+}
+
+module.exports = {
+  HashedNgramProvider,
+  OpenAICompatibleEmbeddingProvider,
+  createEmbeddingProvider,
+  cosineSimilarity,
+  fnv1a
+};
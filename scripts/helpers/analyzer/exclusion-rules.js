@@ -0,0 +1,147 @@
+/**
+ * Exclusion Rules Module
+ *
+ * Drops categories of noise declared in the `exclude` config section after enrichment,
+ * before scoring: owner/repo glob patterns, forks, archived repositories, license allow/deny lists,
+ * minimum stars, maximum age and awesome-lists / curated lists.
+ */
+
+const {log} = require('../logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const AWESOME_NAME_REG = /(^|[-_.])awesome($|[-_.])/i;
+const CURATED_LIST_REG = /\b(curated|awesome) (list|collection)\b|\blist of (awesome|curated|useful|the best)\b/i;
+const MIN_LIST_ITEMS = 20;
+const MIN_LIST_SHARE = 0.6;
+
+// Rules in the order they are checked, the first matching rule is counted
+const RULES = [
+  {name: 'repos', label: 'repo patterns', matches: (rules, repo) => rules.matchesPattern(repo)},
+  {name: 'fork', label: 'forks', matches: (rules, repo) => Boolean(rules.options.fork && repo.isFork)},
+  {name: 'archived', label: 'archived', matches: (rules, repo) => Boolean(rules.options.archived && repo.archived)},
+  {name: 'licenses', label: 'license', matches: (rules, repo) => rules.isLicenseExcluded(repo.license)},
+  {name: 'min_stars', label: 'too few stars', matches: (rules, repo) => rules.hasTooFewStars(repo)},
+  {name: 'max_age_days', label: 'too old', matches: (rules, repo, now) => rules.isTooOld(repo, now)},
+  {name: 'awesome_lists', label: 'awesome lists', matches: (rules, repo) => rules.isAwesomeList(repo)}
+];
+
+class ExclusionRules {
+  /**
+   * @param {Object} [options] - `exclude` config section
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.patterns = (options.repos || []).map(compileGlob);
+    this.counts = {};
+  }
+
+  /**
+   * Filter out excluded repositories and count them per rule
+   * @param {Array} repos - Enriched repositories
+   * @param {Date} [now] - Current run time
+   * @returns {Array} Repositories that passed all rules
+   */
+  apply(repos, now = new Date()) {
+    const kept = repos.filter(repo => {
+      const rule = this.findRule(repo, now);
+      if (rule) {
+        this.counts[rule] = (this.counts[rule] || 0) + 1;
+      }
+      return !rule;
+    });
+    if (kept.length < repos.length) {
+      log(`Exclusion rules: ${repos.length - kept.length} repositories excluded (${this.describeCounts()})`);
+    }
+    return kept;
+  }
+
+  /**
+   * Find first rule excluding repository
+   * @param {Object} repo - Enriched repository
+   * @param {Date} [now] - Current run time
+   * @returns {?string} Rule name or null
+   */
+  findRule(repo, now = new Date()) {
+    const rule = RULES.find(({matches}) => matches(this, repo, now));
+    return rule ? rule.name : null;
+  }
+
+  /**
+   * Human readable per-rule counts, e.g. "forks: 3, awesome lists: 1"
+   * @returns {string}
+   */
+  describeCounts() {
+    return RULES
+      .filter(({name}) => this.counts[name])
+      .map(({name, label}) => `${label}: ${this.counts[name]}`)
+      .join(', ');
+  }
+
+  /**
+   * Pattern with `/` matches `owner/repo`, pattern without `/` matches owner
+   */
+  matchesPattern(repo) {
+    const name = repo.name || '';
+    return this.patterns.some(pattern => pattern.test(pattern.matchesOwner ? name.split('/')[0] : name));
+  }
+
+  /**
+   * Repository without license is excluded by allow list only
+   */
+  isLicenseExcluded(license) {
+    const {allow, deny} = this.options.licenses || {};
+    if (allow && !includesIgnoreCase(allow, license)) {
+      return true;
+    }
+    return Boolean(deny && includesIgnoreCase(deny, license));
+  }
+
+  hasTooFewStars(repo) {
+    const stars = repo.starsCount || repo.stars || 0;
+    return this.options.min_stars !== undefined && stars < this.options.min_stars;
+  }
+
+  isTooOld(repo, now) {
+    const created = Date.parse(repo.createdAt);
+    return Boolean(this.options.max_age_days) && !Number.isNaN(created) &&
+      now.getTime() - created > this.options.max_age_days * DAY_MS;
+  }
+
+  /**
+   * Awesome-list heuristic: "awesome" in repo name, "curated list" in description,
+   * or README that is mostly a long list
+   */
+  isAwesomeList(repo) {
+    return Boolean(this.options.awesome_lists) && looksLikeAwesomeList(repo);
+  }
+}
+
+/**
+ * Convert glob to case-insensitive RegExp, `*` matches anything but `/`, `?` matches one character but `/`
+ */
+function compileGlob(glob) {
+  const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]');
+  const pattern = new RegExp(`^${source}$`, 'i');
+  pattern.matchesOwner = !glob.includes('/');
+  return pattern;
+}
+
+function includesIgnoreCase(list, value) {
+  return Boolean(value) && list.some(item => String(item).toLowerCase() === value.toLowerCase());
+}
+
+function looksLikeAwesomeList(repo) {
+  const name = (repo.name || '').split('/').pop();
+  return AWESOME_NAME_REG.test(name) || CURATED_LIST_REG.test(repo.description || '') ||
+    isMostlyList(repo.readmeContent || '');
+}
+
+function isMostlyList(text) {
+  const lines = text.split('\n').filter(line => line.trim());
+  const items = lines.filter(line => /^\s*([-*+]|\d+\.)\s/.test(line)).length;
+  return items >= MIN_LIST_ITEMS && items / lines.length >= MIN_LIST_SHARE;
+}
+
+module.exports = ExclusionRules;
+module.exports.RULES = RULES;
@@ -0,0 +1,194 @@
+/**
+ * Feedback Learner Module
+ *
+ * Reads team feedback on radar reports posted to the GitHub issue: reactions on report comments
+ * and `/useful owner/repo` or `/noise owner/repo` reply commands. Votes are attributed to the keywords
+ * each repository matched in the report and to its owner, then turned into weight multipliers
+ * stored in a local preferences file that SmartAnalyzer applies on the next run.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const {log} = require('../logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULTS = {
+  enabled: true,
+  preferences_path: '.radar/preferences.json',
+  learning_rate: 0.5,
+  reaction_weight: 0.25,
+  min_multiplier: 0.25,
+  max_multiplier: 4,
+  max_age_days: 90
+};
+
+const REPORT_REG = /Personalized GitHub Radar/;
+const REPO_LINK_REG = /\]\(https:\/\/github\.com\/([\w.-]+\/[\w.-]+)\)/;
+const KEYWORDS_REG = /\*\*Matched Keywords:\*\* (.+)/;
+const COMMAND_REG = /^\s*\/(useful|noise)\s+(?:https:\/\/github\.com\/)?([\w.-]+\/[\w.-]+)/gim;
+
+const POSITIVE_REACTIONS = ['+1', 'heart', 'hooray', 'rocket'];
+const NEGATIVE_REACTIONS = ['-1', 'confused'];
+
+const EMPTY_PREFERENCES = {keywords: {}, owners: {}};
+
+class FeedbackLearner {
+  /**
+   * @param {Object} [options] - `feedback` config section
+   */
+  constructor(options = {}) {
+    this.options = Object.assign({}, DEFAULTS, options);
+  }
+
+  /**
+   * Derive keyword and owner multipliers from issue comments
+   * @param {Array} comments - GitHub issue comments with `body`, `created_at`, `user` and `reactions`
+   * @param {Date} [now] - Current run time
+   * @returns {{updatedAt: string, votes: number, keywords: Object, owners: Object}} Preferences
+   */
+  learn(comments, now = new Date()) {
+    const recent = comments
+      .filter(comment => now.getTime() - Date.parse(comment.created_at) <= this.options.max_age_days * DAY_MS)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+    // Keywords of repository from the latest report that listed it
+    const keywordsByRepo = new Map();
+    const reports = recent.filter(comment => REPORT_REG.test(comment.body));
+    reports.forEach(comment => parseReport(comment.body).forEach(({name, keywords}) => {
+      keywordsByRepo.set(name, keywords);
+    }));
+
+    const votes = this.collectVotes(recent, reports);
+    const keywordScores = {};
+    const ownerScores = {};
+    votes.forEach((vote, name) => {
+      (keywordsByRepo.get(name) || []).forEach(keyword => addScore(keywordScores, keyword, vote));
+      addScore(ownerScores, name.split('/')[0], vote);
+    });
+
+    log(`Feedback: ${votes.size} repositories voted in ${recent.length} comments`);
+    return {
+      updatedAt: now.toISOString(),
+      votes: votes.size,
+      keywords: this.toMultipliers(keywordScores),
+      owners: this.toMultipliers(ownerScores)
+    };
+  }
+
+  /**
+   * Net vote of every repository: reactions on reports are split between their repositories,
+   * every user's latest command on repository counts as +1 (`/useful`) or -1 (`/noise`)
+   * @returns {Map<string, number>} Vote by lower-cased `owner/repo`
+   */
+  collectVotes(comments, reports) {
+    const votes = new Map();
+    reports.forEach(comment => {
+      const repos = parseReport(comment.body);
+      const share = countReactions(comment.reactions) * this.options.reaction_weight / Math.max(1, repos.length);
+      if (share !== 0) {
+        repos.forEach(({name}) => addVote(votes, name, share));
+      }
+    });
+
+    const commands = new Map();
+    comments.forEach(comment => parseCommands(comment.body).forEach(({name, vote}) => {
+      commands.set(`${(comment.user || {}).login}:${name}`, {name, vote});
+    }));
+    commands.forEach(({name, vote}) => addVote(votes, name, vote));
+    return votes;
+  }
+
+  /**
+   * Multiplier 2^(learning_rate × score) within [min_multiplier, max_multiplier], neutral ones are skipped
+   * @param {Object} scores - Score by key
+   * @returns {Object} Multiplier by key
+   */
+  toMultipliers(scores) {
+    const multipliers = {};
+    Object.keys(scores).forEach(key => {
+      const multiplier = Math.pow(2, this.options.learning_rate * scores[key]);
+      const clamped = Math.min(this.options.max_multiplier, Math.max(this.options.min_multiplier, multiplier));
+      const rounded = Math.round(clamped * 100) / 100;
+      if (rounded !== 1) {
+        multipliers[key] = rounded;
+      }
+    });
+    return multipliers;
+  }
+
+  /**
+   * Load preferences written by a previous feedback run
+   * @returns {{keywords: Object, owners: Object}} Preferences, empty if disabled or not learned yet
+   */
+  loadPreferences() {
+    const filePath = this.getPreferencesPath();
+    if (!this.options.enabled || !fs.existsSync(filePath)) {
+      return EMPTY_PREFERENCES;
+    }
+    const preferences = Object.assign({}, EMPTY_PREFERENCES, fs.readJsonSync(filePath));
+    log(`Feedback preferences: ${Object.keys(preferences.keywords).length} keywords, ` +
+      `${Object.keys(preferences.owners).length} owners from ${filePath}`);
+    return preferences;
+  }
+
+  /**
+   * @param {Object} preferences - Result of learn()
+   */
+  savePreferences(preferences) {
+    const filePath = this.getPreferencesPath();
+    fs.outputJsonSync(filePath, preferences, {spaces: 2});
+    log(`Feedback preferences saved to ${filePath}`);
+  }
+
+  getPreferencesPath() {
+    return path.resolve(process.cwd(), this.options.preferences_path);
+  }
+}
+
+/**
+ * Repositories of radar report with keywords they matched
+ * @param {string} body - Report comment body
+ * @returns {Array<{name: string, keywords: Array<string>}>}
+ */
+function parseReport(body) {
+  return body.split(/\n(?=#{2,3} )/)
+    .map(section => ({link: section.match(REPO_LINK_REG), keywords: section.match(KEYWORDS_REG)}))
+    .filter(({link, keywords}) => link && keywords)
+    .map(({link, keywords}) => ({
+      name: link[1].toLowerCase(),
+      keywords: keywords[1] === 'None' ? [] : keywords[1].split(',').map(keyword => keyword.trim().toLowerCase())
+    }));
+}
+
+/**
+ * `/useful owner/repo` and `/noise owner/repo` commands, one per line
+ * @param {string} body - Comment body
+ * @returns {Array<{name: string, vote: number}>}
+ */
+function parseCommands(body) {
+  const commands = [];
+  let match;
+  COMMAND_REG.lastIndex = 0;
+  while ((match = COMMAND_REG.exec(body || ''))) {
+    commands.push({name: match[2].toLowerCase(), vote: match[1].toLowerCase() === 'useful' ? 1 : -1});
+  }
+  return commands;
+}
+
+function countReactions(reactions) {
+  const sum = names => names.reduce((total, name) => total + ((reactions || {})[name] || 0), 0);
+  return sum(POSITIVE_REACTIONS) - sum(NEGATIVE_REACTIONS);
+}
+
+function addVote(votes, name, vote) {
+  votes.set(name, (votes.get(name) || 0) + vote);
+}
+
+function addScore(scores, key, vote) {
+  scores[key] = (scores[key] || 0) + vote;
+}
+
+module.exports = FeedbackLearner;
+module.exports.parseReport = parseReport;
+module.exports.parseCommands = parseCommands;
@@ -0,0 +1,222 @@
+/**
+ * GraphQL Enricher Module
+ *
+ * Fetches metadata, topics, license, README text, latest releases and tags, CHANGELOG.md, workflows directory
+ * and root dependency manifests of 20-50 repositories with one GitHub GraphQL query (aliases `repo0`, `repo1`, ...).
+ * Nodes are converted to the shape of REST responses, so ContentEnricher maps both backends the same way.
+ * Repositories missing in the response and READMEs not found under common file names
+ * are fetched with REST by ContentEnricher.
+ */
+
+const {log, logError} = require('../logger');
+const CacheStore = require('./cache-store');
+const {MANIFEST_FILES, parseManifests} = require('./manifest-parser');
+const {MAX_NOTES_LENGTH} = require('./release-notes');
+
+const DEFAULT_BATCH_SIZE = 25;
+const MAX_BATCH_SIZE = 50;
+
+// README file names tried in the query, other names are resolved by REST /readme endpoint
+const README_FILES = ['README.md', 'readme.md', 'README'];
+const WORKFLOW_REG = /\.ya?ml$/;
+
+const REPO_FIELDS = `
+fragment RepoFields on Repository {
+  createdAt
+  updatedAt
+  pushedAt
+  forkCount
+  stargazerCount
+  isArchived
+  isFork
+  isTemplate
+  issues(states: OPEN) { totalCount }
+  pullRequests(states: OPEN) { totalCount }
+  licenseInfo { spdxId }
+  parent { nameWithOwner parent { nameWithOwner } }
+  repositoryTopics(first: 20) { nodes { topic { name } } }
+  latestRelease { tagName name publishedAt }
+  releases(first: 3, orderBy: {field: CREATED_AT, direction: DESC}) {
+    nodes { tagName name publishedAt description isPrerelease isDraft }
+  }
+  tags: refs(refPrefix: "refs/tags/", first: 3, orderBy: {field: TAG_COMMIT_DATE, direction: DESC}) {
+    nodes { name target { ... on Commit { committedDate } ... on Tag { tagger { date } } } }
+  }
+  changelog: object(expression: "HEAD:CHANGELOG.md") { ... on Blob { text } }
+  workflows: object(expression: "HEAD:.github/workflows") { ... on Tree { entries { name } } }
+  ${README_FILES.map((file, index) => `readme${index}: object(expression: "HEAD:${file}") { ... on Blob { oid text } }`)
+    .join('\n  ')}
+  ${MANIFEST_FILES.map((file, index) => `manifest${index}: object(expression: "HEAD:${file}") { ... on Blob { text } }`)
+    .join('\n  ')}
+}`;
+
+class GraphQLEnricher {
+  /**
+   * @param {RadarGitHubAPI} githubApi - API client with fetchGraphQL()
+   * @param {Object} [options]
+   * @param {number} [options.batchSize] - Repositories per query, at most 50
+   * @param {CacheStore} [options.cache] - Cache for converted query results
+   */
+  constructor(githubApi, options = {}) {
+    this.githubApi = githubApi;
+    this.batchSize = Math.min(options.batchSize || DEFAULT_BATCH_SIZE, MAX_BATCH_SIZE);
+    this.cache = options.cache || new CacheStore({enabled: false});
+  }
+
+  /**
+   * Fetch repositories in queries of `batchSize`, fresh cached results are not queried again.
+   * Failed queries are logged and leave their repositories out of the result.
+   * @param {Array} repos - Repositories with `owner/name` names
+   * @returns {Promise<Map<string, Object>>} Results by repository name, see toRepoData()
+   */
+  async fetchBatch(repos) {
+    const results = new Map();
+    const missing = [];
+    repos.forEach(repo => {
+      const cached = this.cache.get('graphql', repo.name);
+      if (cached) {
+        results.set(repo.name, cached);
+      } else if (repo.name.split('/').length === 2) {
+        missing.push(repo);
+      }
+    });
+
+    for (let i = 0; i < missing.length; i += this.batchSize) {
+      const chunk = missing.slice(i, i + this.batchSize);
+      try {
+        const chunkResults = await this.fetchChunk(chunk);
+        chunkResults.forEach((data, name) => {
+          results.set(name, data);
+          this.cache.set('graphql', name, data);
+        });
+      } catch (error) {
+        logError(`GraphQL enrichment failed for ${chunk.length} repositories:`, error.message);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * One query for all repositories of chunk
+   * @param {Array} repos - At most `batchSize` repositories
+   * @returns {Promise<Map<string, Object>>} Results of repositories returned by GitHub
+   */
+  async fetchChunk(repos) {
+    const {query, variables} = buildQuery(repos);
+    const data = await this.githubApi.fetchGraphQL(query, variables);
+    const results = new Map();
+    repos.forEach((repo, index) => {
+      const node = data ? data[`repo${index}`] : null;
+      if (node) {
+        results.set(repo.name, toRepoData(node));
+      }
+    });
+    log(`GraphQL: ${results.size}/${repos.length} repositories fetched in one query`);
+    return results;
+  }
+}
+
+/**
+ * Query with owner and name variables of every repository
+ * @param {Array} repos - Repositories with `owner/name` names
+ * @returns {{query: string, variables: Object}}
+ */
+function buildQuery(repos) {
+  const variables = {};
+  const params = [];
+  const fields = repos.map((repo, index) => {
+    const [owner, name] = repo.name.split('/');
+    variables[`owner${index}`] = owner;
+    variables[`name${index}`] = name;
+    params.push(`$owner${index}: String!`, `$name${index}: String!`);
+    return `  repo${index}: repository(owner: $owner${index}, name: $name${index}) { ...RepoFields }`;
+  });
+  const query = `query RadarEnrichment(${params.join(', ')}) {\n${fields.join('\n')}\n}\n${REPO_FIELDS}`;
+  return {query, variables};
+}
+
+/**
+ * Convert repository node to REST-shaped metadata, README and health signals
+ * @param {Object} node - Repository node of the query
+ * @returns {{metadata: Object, readme: ?{content: string, sha: string}, health: Object, latestRelease: ?Object,
+ *   dependencies: Array<string>, releaseSources: Object}} `readme` is null if none of README_FILES is a text blob,
+ *   `releaseSources` are releases, tags and changelog for ReleaseNotes.assess()
+ */
+function toRepoData(node) {
+  const readmeBlob = README_FILES.map((file, index) => node[`readme${index}`]).find(blob => blob && blob.text);
+  const workflows = node.workflows && node.workflows.entries ? node.workflows.entries : [];
+  const manifests = {};
+  MANIFEST_FILES.forEach((file, index) => {
+    manifests[file] = node[`manifest${index}`] ? node[`manifest${index}`].text : null;
+  });
+  return {
+    metadata: toRestMetadata(node),
+    readme: readmeBlob ? {content: readmeBlob.text, sha: readmeBlob.oid} : null,
+    health: {
+      hasReleases: Boolean(node.latestRelease),
+      hasCI: workflows.some(entry => WORKFLOW_REG.test(entry.name))
+    },
+    latestRelease: node.latestRelease || null,
+    dependencies: parseManifests(manifests),
+    releaseSources: toReleaseSources(node)
+  };
+}
+
+function toReleaseSources(node) {
+  const releases = node.releases ? node.releases.nodes : [];
+  const tags = node.tags ? node.tags.nodes : [];
+  return {
+    releases: releases.filter(release => !release.isDraft).map(release => ({
+      tagName: release.tagName,
+      name: release.name,
+      publishedAt: release.publishedAt,
+      body: (release.description || '').substring(0, MAX_NOTES_LENGTH),
+      prerelease: release.isPrerelease
+    })),
+    // Annotated tags are dated by tagger, lightweight tags by commit
+    tags: tags.map(tag => ({name: tag.name, date: getTagDate(tag.target)})),
+    changelog: node.changelog && node.changelog.text ? node.changelog.text.substring(0, MAX_NOTES_LENGTH) : null
+  };
+}
+
+function getTagDate(target) {
+  if (!target) {
+    return null;
+  }
+  return target.tagger ? target.tagger.date : target.committedDate || null;
+}
+
+function toRestMetadata(node) {
+  const {parent, source} = getForkNames(node);
+  return {
+    topics: node.repositoryTopics.nodes.map(topicNode => topicNode.topic.name),
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    pushed_at: node.pushedAt,
+    forks_count: node.forkCount,
+    stargazers_count: node.stargazerCount,
+    // REST `watchers_count` is the legacy name of stars count
+    watchers_count: node.stargazerCount,
+    // REST counts open pull requests as issues
+    open_issues_count: node.issues.totalCount + node.pullRequests.totalCount,
+    license: node.licenseInfo ? {spdx_id: node.licenseInfo.spdxId} : null,
+    archived: node.isArchived,
+    fork: node.isFork,
+    parent: parent ? {full_name: parent} : null,
+    source: source ? {full_name: source} : null,
+    is_template: node.isTemplate
+  };
+}
+
+/**
+ * GraphQL has no fork source, the grandparent covers forks of forks
+ */
+function getForkNames(node) {
+  const parent = node.parent ? node.parent.nameWithOwner : null;
+  const source = parent && node.parent.parent ? node.parent.parent.nameWithOwner : parent;
+  return {parent, source};
+}
+
+module.exports = GraphQLEnricher;
+module.exports.buildQuery = buildQuery;
+module.exports.toRepoData = toRepoData;
@@ -0,0 +1,162 @@
+/**
+ * History Store Module
+ *
+ * Persists every radar run into a local JSON-lines file: one line per repository per run
+ * with trending data, enrichment metadata and analysis scores.
+ * Provides a small query API (by repo, by date range, by keyword) for other modules.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const {log} = require('../logger');
+
+const DEFAULT_PATH = '.radar/history.jsonl';
+
+const TRENDING_FIELDS = [
+  'url', 'description', 'language', 'starsAdded', 'starsAddedSince', 'stars', 'forks', 'trendingPages', 'sources'
+];
+const METADATA_FIELDS = [
+  'topics', 'createdAt', 'updatedAt', 'starsCount', 'forksCount', 'watchersCount', 'openIssuesCount'
+];
+const ANALYSIS_FIELDS = ['relevanceScore', 'matchedKeywords'];
+
+class HistoryStore {
+  constructor(filePath = DEFAULT_PATH) {
+    this.filePath = path.resolve(process.cwd(), filePath);
+    this.entries = null;
+  }
+
+  /**
+   * Append radar run to history
+   * @param {Object} run - Radar run
+   * @param {Array} run.repos - All extracted repositories
+   * @param {Array} [run.analyzed] - Enriched and analyzed repositories
+   * @param {Date} [run.timestamp] - Run time
+   * @returns {Array} Recorded entries
+   */
+  recordRun({repos, analyzed = [], timestamp = new Date()}) {
+    const analyzedByName = new Map(analyzed.map(repo => [repo.name, repo]));
+    const entries = repos.map(repo => this.createEntry(repo, analyzedByName.get(repo.name), timestamp));
+    const lines = entries.map(entry => JSON.stringify(entry)).join('\n');
+    if (lines) {
+      fs.outputFileSync(this.filePath, `${lines}\n`, {encoding: 'utf8', flag: 'a'});
+    }
+    if (this.entries) {
+      this.entries.push(...entries);
+    }
+    log(`History: recorded ${entries.length} repositories to ${this.filePath}`);
+    return entries;
+  }
+
+  /**
+   * Build single history entry
+   * @param {Object} repo - Extracted repository
+   * @param {Object} [analyzedRepo] - Same repository after enrichment and analysis
+   * @param {Date} timestamp - Run time
+   * @returns {Object} History entry
+   */
+  createEntry(repo, analyzedRepo, timestamp) {
+    return {
+      run: timestamp.toISOString(),
+      date: toDateKey(timestamp),
+      name: repo.name,
+      trending: pick(repo, TRENDING_FIELDS),
+      metadata: analyzedRepo ? pick(analyzedRepo, METADATA_FIELDS) : null,
+      analysis: analyzedRepo ? pick(analyzedRepo, ANALYSIS_FIELDS) : null,
+    };
+  }
+
+  /**
+   * Load all entries from history file
+   * @returns {Array} History entries ordered by run time
+   */
+  load() {
+    if (!this.entries) {
+      this.entries = fs.existsSync(this.filePath) ? parseLines(fs.readFileSync(this.filePath, 'utf8')) : [];
+      this.entries.sort((a, b) => a.run.localeCompare(b.run));
+    }
+    return this.entries;
+  }
+
+  /**
+   * Get all entries of repository
+   * @param {string} name - Repository name (owner/repo)
+   * @returns {Array} History entries
+   */
+  getByRepo(name) {
+    const lowerName = name.toLowerCase();
+    return this.load().filter(entry => entry.name.toLowerCase() === lowerName);
+  }
+
+  /**
+   * Get entries recorded within date range (inclusive)
+   * @param {Date|string} from - Start date
+   * @param {Date|string} [to] - End date, default is today
+   * @returns {Array} History entries
+   */
+  getByDateRange(from, to = new Date()) {
+    const fromKey = toDateKey(from);
+    const toKey = toDateKey(to);
+    return this.load().filter(entry => entry.date >= fromKey && entry.date <= toKey);
+  }
+
+  /**
+   * Get entries where keyword matched during analysis or appears in name/description
+   * @param {string} keyword - Keyword
+   * @returns {Array} History entries
+   */
+  findByKeyword(keyword) {
+    const lowerKeyword = keyword.toLowerCase();
+    return this.load().filter(entry => {
+      const matchedKeywords = (entry.analysis && entry.analysis.matchedKeywords) || [];
+      const text = `${entry.name} ${entry.trending.description || ''}`.toLowerCase();
+      return matchedKeywords.some(matched => matched.toLowerCase() === lowerKeyword) || text.includes(lowerKeyword);
+    });
+  }
+
+  /**
+   * Get daily snapshots: the last run of every day
+   * @returns {Array<{date: string, run: string, entries: Array}>} Snapshots ordered by date
+   */
+  getDailySnapshots() {
+    const lastRunByDate = new Map();
+    this.load().forEach(entry => lastRunByDate.set(entry.date, entry.run));
+    return [...lastRunByDate.entries()].map(([date, run]) => ({
+      date,
+      run,
+      entries: this.entries.filter(entry => entry.run === run),
+    }));
+  }
+}
+
+/**
+ * Convert date to YYYY-MM-DD key
+ * @param {Date|string} date - Date
+ * @returns {string}
+ */
+function toDateKey(date) {
+  return typeof date === 'string' ? date.substring(0, 10) : date.toISOString().substring(0, 10);
+}
+
+function pick(obj, fields) {
+  return fields.reduce((result, field) => {
+    if (obj[field] !== undefined) {
+      result[field] = obj[field];
+    }
+    return result;
+  }, {});
+}
+
+function parseLines(content) {
+  return content.split('\n').filter(Boolean).reduce((entries, line) => {
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      log(`History: skipping invalid line: ${line.substring(0, 100)}`);
+    }
+    return entries;
+  }, []);
+}
+
+module.exports = HistoryStore;
+module.exports.toDateKey = toDateKey;
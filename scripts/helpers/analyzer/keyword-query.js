@@ -0,0 +1,106 @@
+/**
+ * Keyword Query Module
+ *
+ * Compiles `topic_keywords` entries written in a small query syntax:
+ * - `BCI`                             whole word (case-insensitive), never matches inside other words
+ * - `Machine Learning`, `Neuro-AI`    phrase, words may be separated by spaces, hyphens or underscores
+ * - `"brain computer interface"`      quoted phrase
+ * - `agent*`                          prefix: agent, agents, agentic
+ * - `RAG OR retrieval augmented`      alternatives, reported under the whole entry
+ * - `LLM Agent = [llm agents, ai agent, autonomous agent]`   synonyms, reported as `LLM Agent`
+ * - `-crypto`                         exclusion: repositories mentioning the term are not relevant
+ */
+
+const SYNONYMS_REG = /^(.+?)\s*=\s*\[(.*)\]$/;
+const OR_REG = /\s+OR\s+/;
+const WORD_SEPARATOR = '[\\s_-]+';
+const WORD_START = '(?<![\\p{L}\\p{N}])';
+const WORD_END = '(?![\\p{L}\\p{N}])';
+
+class KeywordQuery {
+  /**
+   * @param {Array<string>} entries - `topic_keywords` entries
+   */
+  constructor(entries = []) {
+    const queries = entries.map(entry => compileEntry(String(entry))).filter(Boolean);
+    this.includes = queries.filter(query => !query.exclude);
+    this.excludes = queries.filter(query => query.exclude);
+  }
+
+  /**
+   * Count matches of every include query in text
+   * @param {string} text - Text to search
+   * @returns {Array<{label: string, count: number}>} Matched queries
+   */
+  match(text) {
+    if (!text) {
+      return [];
+    }
+    return this.includes
+      .map(query => ({label: query.label, count: countMatches(query, text)}))
+      .filter(match => match.count > 0);
+  }
+
+  /**
+   * Find first exclusion that matches any of texts
+   * @param {Array<string>} texts - Texts to search
+   * @returns {?string} Label of matched exclusion
+   */
+  findExclusion(texts) {
+    const text = texts.filter(Boolean).join('\n');
+    const exclusion = this.excludes.find(query => countMatches(query, text) > 0);
+    return exclusion ? exclusion.label : null;
+  }
+
+  /**
+   * Human readable list of keywords and exclusions
+   * @returns {string}
+   */
+  describe() {
+    const labels = this.includes.map(query => query.label).join(', ');
+    const exclusions = this.excludes.map(query => query.label).join(', ');
+    return exclusions ? `${labels || 'None specified'} (excluding: ${exclusions})` : labels;
+  }
+}
+
+/**
+ * Compile single entry into {label, exclude, patterns}
+ */
+function compileEntry(entry) {
+  const trimmed = entry.trim();
+  const exclude = trimmed.startsWith('-');
+  const body = exclude ? trimmed.substring(1).trim() : trimmed;
+  const synonyms = body.match(SYNONYMS_REG);
+  const label = synonyms ? synonyms[1].trim() : body;
+  const terms = synonyms ? [label, ...synonyms[2].split(',')] : body.split(OR_REG);
+  const patterns = terms.map(compileTerm).filter(Boolean);
+  return patterns.length > 0 ? {label: stripQuotes(label), exclude, patterns} : null;
+}
+
+/**
+ * Compile term into whole-word regexp, trailing `*` allows any word ending
+ */
+function compileTerm(term) {
+  const text = stripQuotes(term.trim());
+  const prefix = text.endsWith('*');
+  const words = (prefix ? text.slice(0, -1) : text).split(/[\s_-]+/).filter(Boolean);
+  if (words.length === 0) {
+    return null;
+  }
+  const phrase = words.map(escapeRegExp).join(WORD_SEPARATOR);
+  return new RegExp(`${WORD_START}${phrase}${prefix ? '' : WORD_END}`, 'giu');
+}
+
+function countMatches(query, text) {
+  return query.patterns.reduce((sum, pattern) => sum + (text.match(pattern) || []).length, 0);
+}
+
+function stripQuotes(text) {
+  return text.replace(/^"(.*)"$/, '$1').trim();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = KeywordQuery;
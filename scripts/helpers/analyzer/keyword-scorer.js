@@ -0,0 +1,83 @@
+/**
+ * Keyword Scorer Module
+ *
+ * Keyword score of repository from its field stats (keyword matches and length of every weighted field):
+ * - `count` (default): raw matches × keyword weight × field weight
+ * - `bm25`, `tfidf`: normalized corpus scores 0-100 (see corpus-scorer.js)
+ * Both scorers explain the score as contributions of every keyword match per field.
+ */
+
+const CorpusScorer = require('./corpus-scorer');
+
+class CountScorer {
+  /**
+   * @param {Object} weights
+   * @param {Object} weights.fieldWeights - Multiplier per field
+   * @param {Function} weights.getKeywordWeight - (label) => weight
+   */
+  constructor({fieldWeights, getKeywordWeight}) {
+    this.options = {method: 'count'};
+    this.maxScore = Infinity;
+    this.fieldWeights = fieldWeights;
+    this.getKeywordWeight = getKeywordWeight;
+  }
+
+  /**
+   * Count scores need no corpus statistics
+   */
+  prepare() {}
+
+  /**
+   * @param {Object} document - Field stats: {field: {length, matches}}
+   * @returns {number} Raw score
+   */
+  score(document) {
+    return this.explain(document).reduce((sum, match) => sum + match.contribution, 0);
+  }
+
+  /**
+   * @param {Object} document - Field stats: {field: {length, matches}}
+   * @returns {Array<{field: string, label: string, count: number, contribution: number}>} Raw score of every match
+   */
+  explain(document) {
+    const matches = [];
+    Object.keys(document).forEach(field => {
+      document[field].matches.forEach(({label, count}) => {
+        const contribution = count * this.getKeywordWeight(label) * this.fieldWeights[field];
+        matches.push({field, label, count, contribution});
+      });
+    });
+    return matches;
+  }
+}
+
+/**
+ * Create scorer of `scoring.method`
+ * @param {Object} [scoring] - `scoring` config section
+ * @param {Object} weights - fieldWeights, getKeywordWeight and maxKeywordWeight (highest weight of keywords)
+ * @returns {CountScorer|CorpusScorer}
+ */
+function createKeywordScorer(scoring, weights) {
+  if (!scoring || !scoring.method || scoring.method === 'count') {
+    return new CountScorer(weights);
+  }
+  return new CorpusScorer(scoring, weights);
+}
+
+/**
+ * Contribution of every keyword match per field to keyword score, with the weights behind it
+ * @param {CountScorer|CorpusScorer} scorer - Keyword scorer
+ * @param {Object} document - Field stats: {field: {length, matches}}
+ * @returns {Array<{field, label, count, fieldWeight, keywordWeight, contribution}>} Matches, highest first
+ */
+function explainKeywordScore(scorer, document) {
+  return scorer.explain(document)
+    .map(match => Object.assign({}, match, {
+      fieldWeight: scorer.fieldWeights[match.field],
+      keywordWeight: scorer.getKeywordWeight(match.label),
+      contribution: Math.round(match.contribution * 100) / 100
+    }))
+    .sort((a, b) => b.contribution - a.contribution);
+}
+
+module.exports = {CountScorer, createKeywordScorer, explainKeywordScore};
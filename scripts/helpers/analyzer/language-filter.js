@@ -3,17 +3,26 @@
  *
  * Filters repositories based on target programming languages.
  * If no target languages are specified, returns all repositories.
+ * Languages are compared by canonical slug (see languages.js), so `jupyter-notebook`,
+ * `Jupyter Notebook` and `ipynb` are the same language.
  */
 
 const {log} = require('../logger');
+const {toSlug} = require('./languages');
 
 class LanguageFilter {
-  constructor(targetLanguages = []) {
-    this.targetLanguages = targetLanguages.map(lang => lang.toLowerCase());
+  /**
+   * @param {Array<string>} [targetLanguages] - Slugs, display names or aliases
+   * @param {Object} [options]
+   * @param {number} [options.minShare] - Keep repos where target languages make up at least this share of code
+   */
+  constructor(targetLanguages = [], options = {}) {
+    this.targetLanguages = targetLanguages.map(toSlug);
+    this.minShare = options.minShare || 0;
   }
 
   /**
-   * Filter repositories by programming language
+   * Filter repositories by primary programming language
    * @param {Array} repos - Array of repository objects
    * @returns {Array} Filtered repositories
    */
@@ -23,15 +32,59 @@ class LanguageFilter {
       return repos;
     }
 
-    const filtered = repos.filter(repo => {
-      const repoLanguage = (repo.language || '').toLowerCase();
-      return this.targetLanguages.includes(repoLanguage);
-    });
+    const filtered = repos.filter(repo => this.matchesPrimary(repo));
 
     log(`Language filter: ${filtered.length} of ${repos.length} repositories match target languages`);
     return filtered;
   }
 
+  /**
+   * Filter repositories by share of target languages in code.
+   * Repositories with target primary language are kept without fetching their languages.
+   * @param {Array} repos - Array of repository objects
+   * @param {Function} getLanguages - async (repo) => {languageName: bytes}
+   * @returns {Promise<Array>} Filtered repositories, kept by share get `languageShare`
+   */
+  async filterByShare(repos, getLanguages) {
+    if (this.targetLanguages.length === 0 || !this.minShare) {
+      return this.filter(repos);
+    }
+
+    const filtered = [];
+    for (const repo of repos) {
+      if (this.matchesPrimary(repo)) {
+        filtered.push(repo);
+        continue;
+      }
+      const languageShare = this.getTargetShare(await getLanguages(repo));
+      if (languageShare >= this.minShare) {
+        filtered.push(Object.assign({}, repo, {languageShare}));
+      }
+    }
+
+    log(`Language filter: ${filtered.length} of ${repos.length} repositories match target languages ` +
+      `(primary language or at least ${Math.round(this.minShare * 100)}% of code)`);
+    return filtered;
+  }
+
+  matchesPrimary(repo) {
+    return this.targetLanguages.includes(toSlug(repo.language));
+  }
+
+  /**
+   * Share of target languages in code
+   * @param {?Object} languages - Bytes of code by language name, as returned by `/repos/{owner}/{repo}/languages`
+   * @returns {number} Share 0..1
+   */
+  getTargetShare(languages) {
+    const entries = Object.entries(languages || {});
+    const total = entries.reduce((sum, [, bytes]) => sum + bytes, 0);
+    const target = entries
+      .filter(([language]) => this.targetLanguages.includes(toSlug(language)))
+      .reduce((sum, [, bytes]) => sum + bytes, 0);
+    return total > 0 ? Math.round(target / total * 1000) / 1000 : 0;
+  }
+
   /**
    * Get language statistics for debugging
    * @param {Array} repos - Array of repository objects
@@ -47,4 +100,4 @@ class LanguageFilter {
   }
 }
 
-module.exports = LanguageFilter;
\ No newline at end of file
+module.exports = LanguageFilter;
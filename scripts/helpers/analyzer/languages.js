@@ -0,0 +1,89 @@
+/**
+ * Languages Module
+ *
+ * Canonical language table: GitHub trending slug ↔ display name (as shown on trending pages
+ * and returned by the API) ↔ common aliases. Any of them can be used in `target_languages`.
+ */
+
+const LANGUAGES = [
+  {slug: 'assembly', name: 'Assembly', aliases: ['asm']},
+  {slug: 'c', name: 'C', aliases: []},
+  {slug: 'c#', name: 'C#', aliases: ['csharp', 'cs']},
+  {slug: 'c++', name: 'C++', aliases: ['cpp', 'cxx', 'cplusplus']},
+  {slug: 'clojure', name: 'Clojure', aliases: ['clj']},
+  {slug: 'css', name: 'CSS', aliases: []},
+  {slug: 'cuda', name: 'Cuda', aliases: ['cu']},
+  {slug: 'dart', name: 'Dart', aliases: ['flutter']},
+  {slug: 'dockerfile', name: 'Dockerfile', aliases: ['docker']},
+  {slug: 'elixir', name: 'Elixir', aliases: ['ex']},
+  {slug: 'emacs-lisp', name: 'Emacs Lisp', aliases: ['elisp']},
+  {slug: 'erlang', name: 'Erlang', aliases: ['erl']},
+  {slug: 'f#', name: 'F#', aliases: ['fsharp']},
+  {slug: 'go', name: 'Go', aliases: ['golang']},
+  {slug: 'haskell', name: 'Haskell', aliases: ['hs']},
+  {slug: 'hcl', name: 'HCL', aliases: ['terraform']},
+  {slug: 'html', name: 'HTML', aliases: []},
+  {slug: 'java', name: 'Java', aliases: []},
+  {slug: 'javascript', name: 'JavaScript', aliases: ['js', 'node', 'nodejs']},
+  {slug: 'julia', name: 'Julia', aliases: ['jl']},
+  {slug: 'jupyter-notebook', name: 'Jupyter Notebook', aliases: ['jupyter', 'ipynb', 'notebook']},
+  {slug: 'kotlin', name: 'Kotlin', aliases: ['kt']},
+  {slug: 'lua', name: 'Lua', aliases: []},
+  {slug: 'matlab', name: 'MATLAB', aliases: []},
+  {slug: 'mdx', name: 'MDX', aliases: []},
+  {slug: 'nim', name: 'Nim', aliases: []},
+  {slug: 'nix', name: 'Nix', aliases: []},
+  {slug: 'objective-c', name: 'Objective-C', aliases: ['objc', 'obj-c']},
+  {slug: 'ocaml', name: 'OCaml', aliases: []},
+  {slug: 'perl', name: 'Perl', aliases: ['pl']},
+  {slug: 'php', name: 'PHP', aliases: []},
+  {slug: 'powershell', name: 'PowerShell', aliases: ['pwsh', 'ps1']},
+  {slug: 'purescript', name: 'PureScript', aliases: ['purs']},
+  {slug: 'python', name: 'Python', aliases: ['py', 'python3']},
+  {slug: 'r', name: 'R', aliases: []},
+  {slug: 'ruby', name: 'Ruby', aliases: ['rb']},
+  {slug: 'rust', name: 'Rust', aliases: ['rs']},
+  {slug: 'scala', name: 'Scala', aliases: []},
+  {slug: 'scss', name: 'SCSS', aliases: ['sass']},
+  {slug: 'shell', name: 'Shell', aliases: ['bash', 'sh', 'zsh']},
+  {slug: 'solidity', name: 'Solidity', aliases: ['sol']},
+  {slug: 'svelte', name: 'Svelte', aliases: []},
+  {slug: 'swift', name: 'Swift', aliases: []},
+  {slug: 'tex', name: 'TeX', aliases: ['latex']},
+  {slug: 'typescript', name: 'TypeScript', aliases: ['ts']},
+  {slug: 'vim-script', name: 'Vim Script', aliases: ['vimscript', 'viml', 'vim']},
+  {slug: 'vue', name: 'Vue', aliases: ['vuejs']},
+  {slug: 'webassembly', name: 'WebAssembly', aliases: ['wasm']},
+  {slug: 'zig', name: 'Zig', aliases: []}
+];
+
+// Lookup by lower-cased slug, name and aliases; spaces, underscores and hyphens are interchangeable
+const LANGUAGES_BY_KEY = new Map();
+LANGUAGES.forEach(language => {
+  [language.slug, language.name, ...language.aliases].forEach(key => LANGUAGES_BY_KEY.set(toKey(key), language));
+});
+
+/**
+ * Find language by slug, display name or alias
+ * @param {string} value - e.g. `jupyter-notebook`, `Jupyter Notebook`, `ts`
+ * @returns {?{slug: string, name: string, aliases: Array<string>}} Language or null if unknown
+ */
+function findLanguage(value) {
+  return value ? LANGUAGES_BY_KEY.get(toKey(value)) || null : null;
+}
+
+/**
+ * Canonical slug of language, unknown languages are lower-cased with spaces replaced by hyphens
+ * @param {string} value - Slug, display name or alias
+ * @returns {string} Slug, empty for empty value
+ */
+function toSlug(value) {
+  const language = findLanguage(value);
+  return language ? language.slug : toKey(value || '');
+}
+
+function toKey(value) {
+  return String(value).trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+module.exports = {LANGUAGES, findLanguage, toSlug};
@@ -0,0 +1,215 @@
+/**
+ * Manifest Parser Module
+ *
+ * Extracts dependency names from package manifests and lockfiles:
+ * package.json, package-lock.json, requirements*.txt, pyproject.toml, poetry.lock, Cargo.toml, Cargo.lock, go.mod.
+ * Dependencies are `ecosystem:name` strings with names normalized per ecosystem, e.g. `pypi:scikit-learn`.
+ * TOML is read line by line: only dependency tables, arrays of requirements and `[[package]]` names are parsed.
+ */
+
+// Manifests fetched from repository root by content enricher
+const MANIFEST_FILES = ['package.json', 'pyproject.toml', 'requirements.txt', 'Cargo.toml', 'go.mod'];
+
+const PACKAGE_JSON_KEYS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+// Name of PEP 508 requirement: `torch>=2.0`, `uvicorn[standard]; python_version > "3.8"`
+const REQUIREMENT_REG = /^\s*([A-Za-z0-9][A-Za-z0-9._-]*)/;
+const TOML_HEADER_REG = /^\[\[?\s*(.+?)\s*\]\]?$/;
+const TOML_KEY_REG = /^("[^"]+"|'[^']+'|[A-Za-z0-9_.-]+)\s*=\s*(.*)$/;
+// Quoted strings are kept, comments outside of them are removed
+const TOML_TOKEN_REG = /("(?:[^"\\]|\\.)*"|'[^']*')|#.*$/g;
+const QUOTED_REG = /"((?:[^"\\]|\\.)*)"|'([^']*)'/g;
+const PYPROJECT_ARRAYS = [/^project\.optional-dependencies$/, /^dependency-groups$/];
+const POETRY_TABLE_REG = /^tool\.poetry\.(?:.+\.)?dependencies$/;
+const CARGO_TABLE_REG = /(?:^|\.)(?:dev-|build-)?dependencies$/;
+const CARGO_DEPENDENCY_TABLE_REG = /(?:^|\.)(?:dev-|build-)?dependencies\.([A-Za-z0-9_-]+)$/;
+const GO_REQUIRE_REG = /^(?:require\s+)?([^\s()]+)\s+v\S+/;
+const GO_VERSION_SUFFIX_REG = /\/v\d+$/;
+
+const NORMALIZERS = {
+  npm: name => name.toLowerCase(),
+  pypi: name => name.toLowerCase().replace(/[-_.]+/g, '-'),
+  cargo: name => name.toLowerCase().replace(/_/g, '-'),
+  go: name => name.toLowerCase().replace(GO_VERSION_SUFFIX_REG, '')
+};
+
+const PARSERS = [
+  {fileReg: /^package\.json$/, ecosystem: 'npm', parse: text => parsePackageJson(JSON.parse(text))},
+  {fileReg: /^package-lock\.json$/, ecosystem: 'npm', parse: parsePackageLock},
+  {fileReg: /^requirements.*\.txt$/, ecosystem: 'pypi', parse: parseRequirements},
+  {fileReg: /^pyproject\.toml$/, ecosystem: 'pypi', parse: parsePyproject},
+  {fileReg: /^poetry\.lock$/, ecosystem: 'pypi', parse: parseTomlLock},
+  {fileReg: /^Cargo\.toml$/, ecosystem: 'cargo', parse: parseCargoToml},
+  {fileReg: /^Cargo\.lock$/, ecosystem: 'cargo', parse: parseTomlLock},
+  {fileReg: /^go\.mod$/, ecosystem: 'go', parse: parseGoMod}
+];
+
+/**
+ * Dependencies declared in manifest or lockfile
+ * @param {string} fileName - File name or path, selects parser
+ * @param {string} text - File content
+ * @returns {Array<string>} Unique `ecosystem:name` dependencies, empty for unknown or invalid files
+ */
+function parseManifest(fileName, text) {
+  const parser = PARSERS.find(({fileReg}) => fileReg.test(fileName.split('/').pop()));
+  if (!parser || !text) {
+    return [];
+  }
+  try {
+    const names = parser.parse(text).filter(Boolean);
+    return [...new Set(names.map(name => `${parser.ecosystem}:${NORMALIZERS[parser.ecosystem](name.trim())}`))];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Dependencies of all manifests of repository
+ * @param {Object} manifests - Content by file name
+ * @returns {Array<string>} Unique `ecosystem:name` dependencies
+ */
+function parseManifests(manifests) {
+  const dependencies = Object.keys(manifests || {}).map(fileName => parseManifest(fileName, manifests[fileName]));
+  return [...new Set([].concat(...dependencies))];
+}
+
+function parsePackageJson(json) {
+  return [].concat(...PACKAGE_JSON_KEYS.map(key => Object.keys(json[key] || {})));
+}
+
+/**
+ * Direct dependencies of root package (lockfile v2+), all packages of v1 lockfile
+ */
+function parsePackageLock(text) {
+  const json = JSON.parse(text);
+  const root = json.packages && json.packages[''];
+  return root ? parsePackageJson(root) : Object.keys(json.dependencies || {});
+}
+
+function parseRequirements(text) {
+  return text.split('\n')
+    .map(line => line.replace(/#.*$/, '').trim())
+    .filter(line => line && !line.startsWith('-') && !line.includes('://'))
+    .map(parseRequirement);
+}
+
+function parseRequirement(requirement) {
+  const match = requirement.match(REQUIREMENT_REG);
+  return match ? match[1] : null;
+}
+
+/**
+ * PEP 621 `project.dependencies`, optional dependencies and dependency groups, Poetry dependency tables
+ */
+function parsePyproject(text) {
+  return readToml(text).map(({table, key, strings}) => {
+    if (POETRY_TABLE_REG.test(table)) {
+      return key === 'python' ? [] : [key];
+    }
+    const isArray = table === 'project' ? key === 'dependencies' : PYPROJECT_ARRAYS.some(reg => reg.test(table));
+    return isArray ? strings.map(parseRequirement) : [];
+  }).reduce((names, entryNames) => names.concat(entryNames), []);
+}
+
+/**
+ * Keys of `[dependencies]`, `[dev-dependencies]`, `[target.*.dependencies]` tables and `[dependencies.name]` tables
+ */
+function parseCargoToml(text) {
+  const names = new Set();
+  readToml(text).forEach(({table, key}) => {
+    const dependencyTable = table.match(CARGO_DEPENDENCY_TABLE_REG);
+    if (dependencyTable) {
+      names.add(dependencyTable[1]);
+    } else if (CARGO_TABLE_REG.test(table)) {
+      names.add(key);
+    }
+  });
+  return [...names];
+}
+
+/**
+ * Names of `[[package]]` entries of Cargo.lock and poetry.lock
+ */
+function parseTomlLock(text) {
+  return readToml(text)
+    .filter(({table, key}) => table === 'package' && key === 'name')
+    .map(({strings}) => strings[0]);
+}
+
+/**
+ * Direct requirements of go.mod, single-line and block form
+ */
+function parseGoMod(text) {
+  let inBlock = false;
+  const names = [];
+  text.split('\n').map(line => line.trim()).forEach(line => {
+    if (/^require\s*\($/.test(line) || line === ')') {
+      inBlock = line !== ')';
+    } else if ((inBlock || line.startsWith('require ')) && !line.includes('// indirect')) {
+      names.push(parseGoRequirement(line));
+    }
+  });
+  return names;
+}
+
+function parseGoRequirement(line) {
+  const match = line.replace(/\/\/.*$/, '').trim().match(GO_REQUIRE_REG);
+  return match ? match[1] : null;
+}
+
+/**
+ * Minimal TOML reader: key-value entries with their table and quoted strings of the value,
+ * values spanning several lines (multi-line arrays) are joined
+ * @param {string} text - TOML document
+ * @returns {Array<{table: string, key: string, strings: Array<string>}>}
+ */
+function readToml(text) {
+  const state = {table: '', entry: null, depth: 0, entries: []};
+  text.split('\n').forEach(line => {
+    readTomlLine(state, line.replace(TOML_TOKEN_REG, (token, quoted) => quoted || '').trim());
+  });
+  return state.entries;
+}
+
+function readTomlLine(state, line) {
+  const header = state.depth === 0 ? line.match(TOML_HEADER_REG) : null;
+  if (header) {
+    state.table = header[1];
+    state.entry = null;
+    return;
+  }
+  const keyValue = state.depth === 0 ? line.match(TOML_KEY_REG) : null;
+  if (keyValue) {
+    state.entry = {table: state.table, key: keyValue[1].replace(/^["']|["']$/g, ''), strings: []};
+    state.entries.push(state.entry);
+  }
+  appendTomlValue(state, keyValue ? keyValue[2] : line);
+}
+
+/**
+ * Add quoted strings of value to current entry, track brackets of multi-line arrays
+ */
+function appendTomlValue(state, value) {
+  if (state.entry) {
+    state.entry.strings.push(...getQuotedStrings(value));
+    state.depth = Math.max(0, state.depth + countBrackets(value));
+  }
+}
+
+function getQuotedStrings(value) {
+  const strings = [];
+  value.replace(QUOTED_REG, (match, doubleQuoted, singleQuoted) => {
+    strings.push(doubleQuoted !== undefined ? doubleQuoted : singleQuoted);
+    return match;
+  });
+  return strings;
+}
+
+/**
+ * Balance of opening and closing brackets outside of quoted strings
+ */
+function countBrackets(value) {
+  const bare = value.replace(QUOTED_REG, '""');
+  return (bare.match(/[[{]/g) || []).length - (bare.match(/[\]}]/g) || []).length;
+}
+
+module.exports = {MANIFEST_FILES, parseManifest, parseManifests};
@@ -2,33 +2,67 @@
  * Radar Formatter Module
  *
  * Formats analyzed repositories into a personalized Markdown report
- * with relevance scores, matched keywords, and AI summaries.
+ * with relevance scores, matched keywords, AI summaries and notes of releases within the trending window.
  */
 
-const {log} = require('../logger');
+const KeywordQuery = require('./keyword-query');
+const {RULES: EXCLUSION_RULES} = require('./exclusion-rules');
+const formatScoreBreakdown = require('./score-breakdown');
+const {formatReleaseNote} = require('./release-notes');
+const {formatStarsAdded} = require('./trending-extractor');
+
+// Health component flags shown in the report, empty strings are skipped
+const HEALTH_FLAGS = [
+  flags => (flags.archived ? '⚠️ archived' : ''),
+  flags => (flags.fork ? 'fork' : ''),
+  flags => (flags.template ? 'template' : ''),
+  flags => (flags.license && flags.license !== 'NOASSERTION' ? flags.license : 'no license'),
+  flags => (flags.ageDays !== null ? `${formatDuration(flags.ageDays)} old` : ''),
+  flags => (flags.daysSinceLastPush !== null ? `pushed ${formatDuration(flags.daysSinceLastPush)} ago` : ''),
+  flags => (flags.hasReleases ? 'releases' : ''),
+  flags => (flags.hasCI ? 'CI' : '')
+];
+
+// Section of relevant repositories without theme
+const OTHER_THEME = 'Other';
+// Packages listed per part of dependencies line, the rest is counted
+const MAX_STACK_PACKAGES = 5;
+
+// Parts of dependencies line: packages of matched rules, our libraries it depends on or may replace
+const DEPENDENCY_PARTS = [
+  repo => formatPackages('uses', [].concat(...(repo.dependencyMatches || []).map(match => match.packages))),
+  repo => formatPackages('depends on our', repo.stack ? repo.stack.dependsOn : []),
+  repo => formatPackages('may replace our', repo.stack ? repo.stack.replaces : [])
+];
 
 class RadarFormatter {
   constructor(config) {
     this.config = config;
     this.minRelevanceScore = config.min_relevance_score || 1;
+    this.keywordQuery = new KeywordQuery(config.topic_keywords);
   }
 
   /**
    * Format analyzed repositories into Markdown report
    * @param {Array} analyzedRepos - Analyzed repository objects
+   * @param {Object} [extras] - Additional report data
+   * @param {Array} [extras.developers] - Analyzed trending developers
+   * @param {Object} [extras.exclusions] - Number of repositories excluded per exclusion rule
    * @returns {string} Markdown formatted report
    */
-  format(analyzedRepos) {
+  format(analyzedRepos, extras = {}) {
     // Filter and sort repositories
     const relevantRepos = analyzedRepos
       .filter(repo => repo.relevanceScore >= this.minRelevanceScore)
       .sort((a, b) => b.relevanceScore - a.relevanceScore);
 
-    if (relevantRepos.length === 0) {
-      return this.formatNoResults();
-    }
+    const report = relevantRepos.length === 0
+      ? this.formatNoResults()
+      : this.formatResults(relevantRepos);
+    const developersSection = this.formatDevelopers(extras.developers || []);
+    const exclusionsSection = this.formatExclusions(extras.exclusions || {});
 
-    return this.formatResults(relevantRepos);
+    return [report, developersSection, exclusionsSection].filter(Boolean).join('\n\n---\n\n');
   }
 
   /**
@@ -44,7 +78,7 @@ class RadarFormatter {
 
 Your radar is configured to monitor:
 - **Languages:** ${this.config.target_languages.length > 0 ? this.config.target_languages.join(', ') : 'All languages'}
-- **Topics:** ${this.config.topic_keywords.join(', ') || 'None specified'}
+- **Topics:** ${this.keywordQuery.describe() || 'None specified'}
 
 Try adjusting your topic keywords or check back tomorrow for new trending repositories!
     `.trim();
@@ -59,11 +93,43 @@ Try adjusting your topic keywords or check back tomorrow for new trending reposi
     const date = new Date().toLocaleDateString();
     const header = this.formatHeader(date, relevantRepos.length);
     const summary = this.formatSummary(relevantRepos);
-    const repositorySections = relevantRepos.map(repo => this.formatRepository(repo)).join('\n\n---\n\n');
+    const repositorySections = relevantRepos.some(repo => repo.theme)
+      ? this.formatThemes(relevantRepos)
+      : this.formatRepositories(relevantRepos);
 
     return `${header}\n\n${summary}\n\n${repositorySections}`;
   }
 
+  /**
+   * Format repositories as one list
+   * @param {Array} repos - Repository objects
+   * @returns {string} Repository sections
+   */
+  formatRepositories(repos) {
+    return repos.map(repo => this.formatRepository(repo)).join('\n\n---\n\n');
+  }
+
+  /**
+   * Format one section per theme, themes in order of their best repository,
+   * repositories without theme at the end
+   * @param {Array} repos - Relevant repository objects sorted by relevance
+   * @returns {string} Theme sections
+   */
+  formatThemes(repos) {
+    const themes = new Map();
+    repos.forEach(repo => {
+      const label = repo.theme || OTHER_THEME;
+      themes.set(label, (themes.get(label) || []).concat([repo]));
+    });
+    const labels = [...themes.keys()].filter(label => label !== OTHER_THEME);
+    if (themes.has(OTHER_THEME)) {
+      labels.push(OTHER_THEME);
+    }
+    return labels
+      .map(label => `## 🧩 ${label} (${themes.get(label).length})\n\n${this.formatRepositories(themes.get(label))}`)
+      .join('\n\n---\n\n');
+  }
+
   /**
    * Format report header
    * @param {string} date - Report date
@@ -77,7 +143,7 @@ Try adjusting your topic keywords or check back tomorrow for new trending reposi
 
 ### 📊 Radar Configuration
 - **Target Languages:** ${this.config.target_languages.length > 0 ? this.config.target_languages.join(', ') : 'All languages'}
-- **Topic Keywords:** ${this.config.topic_keywords.join(', ') || 'None specified'}
+- **Topic Keywords:** ${this.keywordQuery.describe() || 'None specified'}
 - **Minimum Relevance Score:** ${this.minRelevanceScore}`;
   }
 
@@ -106,10 +172,10 @@ Try adjusting your topic keywords or check back tomorrow for new trending reposi
    */
   formatRepository(repo) {
     const relevanceEmoji = this.getRelevanceEmoji(repo.relevanceScore);
-    const starsAdded = repo.starsAdded ? ` **+${repo.starsAdded}** stars today` : '';
+    const starsAdded = formatStarsAdded(repo);
     const language = repo.language ? ` • ${repo.language}` : '';
 
-    let content = `
+    const content = `
 ### ${relevanceEmoji} [${repo.name.replace('/', ' / ')}](${repo.url})${starsAdded}${language}
 
 **Relevance Score:** ${repo.relevanceScore}
@@ -119,19 +185,174 @@ ${repo.description || 'No description available.'}
 `;
 
     // Add AI summary if available
-    if (repo.aiSummary) {
-      content += `\n🤖 **AI Insight:** ${repo.aiSummary}\n`;
+    const aiInsight = repo.aiSummary ? `🤖 **AI Insight:** ${repo.aiSummary}` : '';
+
+    // Add additional metadata, stars and forks
+    const metadata = [
+      this.formatTopics(repo),
+      this.formatSemantic(repo),
+      this.formatSignals(repo),
+      this.formatHealth(repo),
+      this.formatDependencies(repo),
+      this.formatStats(repo),
+      this.formatDuplicates(repo)
+    ].filter(Boolean).join('\n');
+
+    // Release within the trending window with the first bullets of its notes goes before metadata
+    return [content.trim(), aiInsight, formatReleaseNote(repo.release), metadata].filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * Format repository topics
+   * @param {Object} repo - Repository object
+   * @returns {string} Topics line or empty string
+   */
+  formatTopics(repo) {
+    if (!repo.topics || repo.topics.length === 0) {
+      return '';
+    }
+    return `🏷️ **Topics:** ${repo.topics.map(topic => `\`${topic}\``).join(' ')}`;
+  }
+
+  /**
+   * Format best matching interest statement, only when it contributed to relevance score
+   * @param {Object} repo - Repository object
+   * @returns {string} Semantic match line or empty string
+   */
+  formatSemantic(repo) {
+    if (!repo.semantic || !repo.semanticScore) {
+      return '';
+    }
+    return `🧭 **Semantic match:** "${repo.semantic.statement}" (similarity ${repo.semantic.similarity})`;
+  }
+
+  /**
+   * Format momentum signals: star velocity, acceleration and trending streak
+   * @param {Object} repo - Repository object
+   * @returns {string} Momentum line or empty string
+   */
+  formatSignals(repo) {
+    const signals = repo.signals;
+    if (!signals) {
+      return '';
+    }
+    const parts = [
+      signals.starVelocity !== null ? `${formatSigned(signals.starVelocity)} stars/day` : '',
+      this.formatAcceleration(signals.acceleration),
+      signals.trendingStreak > 1 ? `${signals.trendingStreak} days on trending` : ''
+    ].filter(Boolean);
+    return parts.length > 0 ? `🚀 **Momentum:** ${parts.join(' • ')}` : '';
+  }
+
+  /**
+   * Format star acceleration
+   * @param {?number} acceleration - Change of stars per day, per day
+   * @returns {string} Acceleration or empty string
+   */
+  formatAcceleration(acceleration) {
+    if (acceleration === null) {
+      return '';
+    }
+    const trend = acceleration >= 0 ? 'accelerating' : 'slowing down';
+    return `${trend} (${formatSigned(acceleration)}/day²)`;
+  }
+
+  /**
+   * Format health score with its component flags
+   * @param {Object} repo - Repository object
+   * @returns {string} Health line or empty string
+   */
+  formatHealth(repo) {
+    if (!repo.health) {
+      return '';
+    }
+    const {score, level, flags} = repo.health;
+    const parts = HEALTH_FLAGS.map(formatFlag => formatFlag(flags)).filter(Boolean);
+    return `🩺 **Health:** ${score}/100 (${level}) • ${parts.join(' • ')}`;
+  }
+
+  /**
+   * Format matched dependency rules and libraries of our stack the repository depends on or may replace
+   * @param {Object} repo - Repository object
+   * @returns {string} Dependencies line or empty string
+   */
+  formatDependencies(repo) {
+    const parts = DEPENDENCY_PARTS.map(formatPart => formatPart(repo)).filter(Boolean);
+    return parts.length > 0 ? `📦 **Dependencies:** ${parts.join(' • ')}` : '';
+  }
+
+  /**
+   * Format stars and forks
+   * @param {Object} repo - Repository object
+   * @returns {string} Stats line
+   */
+  formatStats(repo) {
+    return `⭐ **Stars:** ${repo.starsCount || repo.stars} • 🍴 **Forks:** ${repo.forksCount || repo.forks}`;
+  }
+
+  /**
+   * Format forks and near-duplicates collapsed into repository
+   * @param {Object} repo - Repository object
+   * @returns {string} Duplicates line or empty string
+   */
+  formatDuplicates(repo) {
+    if (!repo.duplicates || repo.duplicates.length === 0) {
+      return '';
     }
+    return `👯 **Also:** ${repo.duplicates.map(duplicate => `[${duplicate.name}](${duplicate.url})`).join(', ')}`;
+  }
 
-    // Add additional metadata
-    if (repo.topics && repo.topics.length > 0) {
-      content += `\n🏷️ **Topics:** ${repo.topics.map(topic => `\`${topic}\``).join(' ')}`;
+  /**
+   * Format "Developers to watch" section: trending developers whose popular repository matches topic keywords
+   * @param {Array} developers - Analyzed trending developers
+   * @returns {string} Developers section or empty string
+   */
+  formatDevelopers(developers) {
+    const relevantDevelopers = developers
+      .filter(developer => developer.matchedKeywords.length > 0 && developer.relevanceScore >= this.minRelevanceScore)
+      .sort((a, b) => b.relevanceScore - a.relevanceScore);
+
+    if (relevantDevelopers.length === 0) {
+      return '';
     }
 
-    // Add stars and forks
-    content += `\n⭐ **Stars:** ${repo.starsCount || repo.stars} • 🍴 **Forks:** ${repo.forksCount || repo.forks}`;
+    const lines = relevantDevelopers.map(developer => this.formatDeveloper(developer));
+    return `### 👥 Developers to watch\n\n${lines.join('\n')}`;
+  }
+
+  /**
+   * Format single developer line
+   * @param {Object} developer - Analyzed trending developer
+   * @returns {string} Markdown list item
+   */
+  formatDeveloper(developer) {
+    const name = developer.name && developer.name !== developer.login ? ` (${developer.name})` : '';
+    const repo = developer.popularRepo;
+    const description = repo.description || 'No description available.';
+    return `- [@${developer.login}](${developer.url})${name} • [${repo.name}](${repo.url}): ${description} ` +
+      `_${developer.matchedKeywords.join(', ')}_`;
+  }
+
+  /**
+   * Format score breakdown of single repository: points of every keyword match per field,
+   * semantic and momentum scores and owner multiplier
+   * @param {Object} repo - Analyzed repository with `scoreBreakdown`
+   * @returns {string} Markdown breakdown
+   */
+  formatScoreBreakdown(repo) {
+    return formatScoreBreakdown(repo, this.minRelevanceScore);
+  }
 
-    return content.trim();
+  /**
+   * Format per-rule counts of repositories dropped by exclusion rules
+   * @param {Object} exclusions - Count by rule name
+   * @returns {string} Exclusions section or empty string
+   */
+  formatExclusions(exclusions) {
+    const lines = EXCLUSION_RULES
+      .filter(({name}) => exclusions[name])
+      .map(({name, label}) => `- ${label}: ${exclusions[name]}`);
+    return lines.length > 0 ? `### 🚫 Excluded by rules\n\n${lines.join('\n')}` : '';
   }
 
   /**
@@ -194,4 +415,37 @@ ${repo.description || 'No description available.'}
   }
 }
 
+/**
+ * Format number with sign and at most one decimal
+ */
+function formatSigned(value) {
+  const rounded = Math.round(value * 10) / 10;
+  return rounded > 0 ? `+${rounded}` : String(rounded);
+}
+
+/**
+ * Format unique packages after prefix, at most MAX_STACK_PACKAGES, e.g. `uses a, b, c +2 more`
+ */
+function formatPackages(prefix, packages) {
+  const unique = [...new Set(packages)];
+  if (unique.length === 0) {
+    return '';
+  }
+  const more = unique.length > MAX_STACK_PACKAGES ? ` +${unique.length - MAX_STACK_PACKAGES} more` : '';
+  return `${prefix} ${unique.slice(0, MAX_STACK_PACKAGES).join(', ')}${more}`;
+}
+
+/**
+ * Format number of days as days, months or years
+ */
+function formatDuration(days) {
+  if (days >= 365) {
+    return `${Math.round(days / 365 * 10) / 10} years`;
+  }
+  if (days >= 60) {
+    return `${Math.round(days / 30)} months`;
+  }
+  return days === 1 ? '1 day' : `${days} days`;
+}
+
 module.exports = RadarFormatter;
\ No newline at end of file
@@ -3,17 +3,30 @@
  *
  * This avoids dependency on the existing config system and supports
  * multiple GitHub token environment variable names.
+ * API base URL is configurable for GitHub Enterprise Server or a local mock server.
+ * Requests go through the shared rate-limit-aware scheduler (see request-scheduler.js).
  */
 
 const axios = require('axios');
 const axiosRetry = require('axios-retry');
 const parseLinkHeader = require('parse-link-header');
 const {log, logError} = require('../logger');
+const RequestScheduler = require('../request-scheduler');
+
+const DEFAULT_API_URL = 'https://api.github.com';
 
 class RadarGitHubAPI {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.apiUrl] - REST API base URL
+   * @param {string} [options.graphqlUrl] - GraphQL endpoint, derived from apiUrl by default
+   * @param {RequestScheduler} [options.scheduler] - Scheduler of requests, shared one by default
+   */
+  constructor(options = {}) {
     this.githubToken = this.getGitHubToken();
-    this.apiUrl = 'https://api.github.com';
+    this.apiUrl = (options.apiUrl || DEFAULT_API_URL).replace(/\/+$/, '');
+    this.graphqlUrl = options.graphqlUrl || getGraphQLUrl(this.apiUrl);
+    this.scheduler = options.scheduler || RequestScheduler.shared;
 
     if (!this.githubToken) {
       throw new Error(
@@ -71,7 +84,7 @@ class RadarGitHubAPI {
     log(`GitHub API: ${method} ${url}`);
 
     try {
-      const response = await this.request({method, url, data});
+      const response = await this.scheduler.schedule(() => this.request({method, url, data}), getResource(url));
       const pages = parseLinkHeader(response.headers.link);
       return {result: response.data, pages};
     } catch (error) {
@@ -81,12 +94,61 @@ class RadarGitHubAPI {
   }
 
   /**
-   * Get rate limit information
+   * Performs conditional GET request: with ETag GitHub responds 304 if resource is not modified
+   * (such responses don't count against the rate limit)
+   * @param {String} url - API endpoint
+   * @param {String} [etag] - ETag of cached response
+   * @returns {Promise<{status: number, result: JSON, etag: ?string}>}
+   */
+  async fetchConditional(url, etag) {
+    log(`GitHub API: GET ${url}${etag ? ' (conditional)' : ''}`);
+
+    try {
+      const response = await this.scheduler.schedule(() => this.request({
+        method: 'GET',
+        url,
+        headers: etag ? {'If-None-Match': etag} : {},
+        validateStatus: status => (status >= 200 && status < 300) || status === 304
+      }), getResource(url));
+      return {status: response.status, result: response.data, etag: response.headers.etag || null};
+    } catch (error) {
+      logError(`GitHub API error: GET ${url}`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Performs GraphQL query. Errors of single fields (e.g. NOT_FOUND repository) are logged
+   * and leave null in data, query fails only if no data is returned.
+   * @param {String} query - GraphQL query
+   * @param {Object} [variables] - Query variables
+   * @returns {Promise<Object>} Query data
+   */
+  async fetchGraphQL(query, variables) {
+    log(`GitHub API: POST ${this.graphqlUrl}`);
+
+    try {
+      const response = await this.scheduler.schedule(() => {
+        return this.request.post(this.graphqlUrl, {query, variables});
+      }, 'graphql');
+      return getGraphQLData(response.data || {});
+    } catch (error) {
+      logError(`GitHub API error: POST ${this.graphqlUrl}`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get rate limit information, quotas of all resources are passed to the scheduler
    * @returns {Promise<Object>} Rate limit data
    */
   async getRateLimit() {
     try {
+      // Doesn't count against the rate limit
       const response = await this.request.get('/rate_limit');
+      Object.entries(response.data.resources || {}).forEach(([resource, rate]) => {
+        this.scheduler.setQuota(resource, rate);
+      });
       return response.data;
     } catch (error) {
       logError('Failed to get rate limit:', error.message);
@@ -117,4 +179,30 @@ class RadarGitHubAPI {
   }
 }
 
+function getGraphQLData({data, errors}) {
+  if (errors && errors.length > 0) {
+    const messages = errors.map(error => error.message).join('; ');
+    if (!data) {
+      throw new Error(`GraphQL errors: ${messages}`);
+    }
+    log(`GraphQL partial errors: ${messages}`);
+  }
+  return data;
+}
+
+/**
+ * Rate limit resource of REST endpoint
+ */
+function getResource(url) {
+  return url.startsWith('/search/') ? 'search' : 'core';
+}
+
+/**
+ * GraphQL endpoint of REST API base URL: `https://api.github.com/graphql`,
+ * `https://ghe.example.com/api/graphql` for `https://ghe.example.com/api/v3`
+ */
+function getGraphQLUrl(apiUrl) {
+  return apiUrl.endsWith('/v3') ? apiUrl.replace(/\/v3$/, '/graphql') : `${apiUrl}/graphql`;
+}
+
 module.exports = RadarGitHubAPI;
\ No newline at end of file
@@ -0,0 +1,169 @@
+/**
+ * Radar Pipeline Module
+ *
+ * Analysis steps shared by the GitHub issue radar (radar.js) and the standalone radar (radar-standalone.js):
+ * language filter of every profile, content enrichment, health, trend signals, analysis of every profile,
+ * run history and profile reports.
+ * Extraction and delivery of reports stay in the scripts.
+ */
+
+const {log, logError} = require('../logger');
+const ContentEnricher = require('./content-enricher');
+const HistoryStore = require('./history-store');
+const TrendSignals = require('./trend-signals');
+const RepoHealth = require('./repo-health');
+const CacheStore = require('./cache-store');
+const {createProfiles, mergeProfileResults} = require('./radar-profile');
+
+const DEFAULT_BATCH_SIZE = 5;
+
+class RadarPipeline {
+  /**
+   * @param {Object} config - Radar configuration
+   * @param {Object} [options]
+   * @param {number} [options.batchSize] - Repositories enriched at once with REST backend
+   * @param {boolean} [options.skipFailedBatches] - Continue with next batch if enrichment of batch fails
+   * @param {Object} [options.logger] - {log, logError}, radar logger by default
+   */
+  constructor(config, options = {}) {
+    this.config = config;
+    this.options = Object.assign({batchSize: DEFAULT_BATCH_SIZE, skipFailedBatches: false}, options);
+    this.logger = options.logger || {log, logError};
+    this.cacheStore = new CacheStore(config.cache);
+    this.repoHealth = (config.health || {}).enabled === false ? null : new RepoHealth();
+    this.contentEnricher = new ContentEnricher({
+      cache: this.cacheStore,
+      health: Boolean(this.repoHealth),
+      manifests: (config.dependencies || {}).enabled !== false,
+      releases: config.releases,
+      enrichment: config.enrichment
+    });
+    this.languages = new Map();
+    this.profiles = createProfiles(config, {cache: this.cacheStore});
+    this.historyStore = this.createHistoryStore();
+    this.trendSignals = this.historyStore ? new TrendSignals(this.historyStore, config.signals) : null;
+  }
+
+  /**
+   * Filter, enrich and analyze extracted repositories with settings of every profile
+   * @param {Array} repos - Extracted repositories
+   * @returns {Promise<Array>} Analyzed repositories with highest relevance among profiles
+   */
+  async analyze(repos) {
+    // Language filter of every profile, repositories kept by any profile are enriched once
+    const filteredRepos = await this.filterLanguages(repos);
+    this.logger.log(`Language filter: ${filteredRepos.length} repositories after filtering`);
+
+    // Content enrichment, health and trend signals
+    await this.contentEnricher.checkRateLimit();
+    const enrichedRepos = await this.enrichRepos(filteredRepos);
+
+    // Duplicate collapsing, exclusion rules, semantic matching, smart analysis and themes of every profile
+    for (const profile of this.profiles) {
+      await profile.analyze(enrichedRepos);
+    }
+    return mergeProfileResults(this.profiles);
+  }
+
+  /**
+   * @param {Array} repos - Extracted repositories
+   * @param {Array<RadarProfile>} [profiles] - Profiles to filter for, all by default
+   * @returns {Promise<Array>} Repositories kept by any of profiles
+   */
+  async filterLanguages(repos, profiles = this.profiles) {
+    const keptNames = new Set();
+    for (const profile of profiles) {
+      const filtered = await profile.filterLanguages(repos, repo => this.getLanguages(repo));
+      filtered.forEach(repo => keptNames.add(repo.name));
+    }
+    return repos.filter(repo => keptNames.has(repo.name));
+  }
+
+  /**
+   * Languages of repository, fetched once per run for all profiles
+   */
+  getLanguages(repo) {
+    if (!this.languages.has(repo.name)) {
+      const [owner, name] = repo.name.split('/');
+      this.languages.set(repo.name, this.contentEnricher.getLanguages(owner, name).catch(() => ({})));
+    }
+    return this.languages.get(repo.name);
+  }
+
+  /**
+   * @param {Array} repos - Filtered repositories
+   * @returns {Promise<Array>} Enriched repositories
+   */
+  async enrichRepos(repos) {
+    // GraphQL backend fetches every batch with one query, the request scheduler throttles requests by quota
+    const graphqlEnricher = this.contentEnricher.graphqlEnricher;
+    const batchSize = graphqlEnricher ? graphqlEnricher.batchSize : this.options.batchSize;
+    const batches = Array.from({length: Math.ceil(repos.length / batchSize)},
+      (value, index) => repos.slice(index * batchSize, (index + 1) * batchSize));
+
+    const enrichedRepos = [];
+    for (let i = 0; i < batches.length; i++) {
+      this.logger.log(`Processing batch ${i + 1}/${batches.length}...`);
+      const enrichedBatch = await this.enrichBatch(batches[i]).catch(error => this.skipFailedBatch(error, i + 1));
+      enrichedRepos.push(...enrichedBatch);
+    }
+    return enrichedRepos;
+  }
+
+  /**
+   * Continue with next batch if `skipFailedBatches` is set, fail the run otherwise
+   * @param {Error} error - Enrichment error
+   * @param {number} number - Batch number
+   * @returns {Array} No repositories of failed batch
+   */
+  skipFailedBatch(error, number) {
+    if (!this.options.skipFailedBatches) {
+      throw error;
+    }
+    this.logger.logError(`Batch ${number} failed:`, error.message);
+    return [];
+  }
+
+  async enrichBatch(batch) {
+    // Enrich with README content and metadata, add health score
+    const metadataBatch = await this.contentEnricher.enrichBatch(batch);
+    const enrichedBatch = this.repoHealth ? this.repoHealth.annotate(metadataBatch) : metadataBatch;
+
+    // Add momentum signals from previous runs
+    return this.trendSignals ? this.trendSignals.annotate(enrichedBatch) : enrichedBatch;
+  }
+
+  createHistoryStore() {
+    if (this.config.history_path === false) {
+      this.logger.log('History store disabled');
+      return null;
+    }
+    return new HistoryStore(this.config.history_path || undefined);
+  }
+
+  /**
+   * Persist this run to the history store
+   * @param {Array} repos - Extracted repositories
+   * @param {Array} analyzed - Analyzed repositories
+   */
+  recordHistory(repos, analyzed) {
+    if (this.historyStore) {
+      this.historyStore.recordRun({repos, analyzed});
+    }
+  }
+
+  /**
+   * @param {Array} developers - Trending developers
+   * @returns {Array<{profile: RadarProfile, report: string}>} Markdown report of every profile
+   */
+  formatReports(developers) {
+    this.logger.log('📝 Formatting personalized report...');
+    const reports = this.profiles.map(profile => ({profile, report: profile.formatReport(developers)}));
+    reports.forEach(({profile, report}) => {
+      this.logger.log(`Report of profile ${profile.name} generated: ${report.length} characters`);
+    });
+    return reports;
+  }
+}
+
+module.exports = RadarPipeline;
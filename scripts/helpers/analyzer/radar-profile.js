@@ -0,0 +1,177 @@
+/**
+ * Radar Profile Module
+ *
+ * One persona of the radar with its own languages, keywords, weights, thresholds and destination issue.
+ * Profiles come from the `profiles` config list and inherit every key they don't set from the top-level config.
+ * Extraction and enrichment are shared by all profiles; every profile runs language filter, duplicate collapsing,
+ * exclusion rules, dependency rules, semantic matching, smart analysis, themes and formatting with its own settings.
+ */
+
+const {log} = require('../logger');
+const {toSlug} = require('./languages');
+const LanguageFilter = require('./language-filter');
+const ExclusionRules = require('./exclusion-rules');
+const DuplicateDetector = require('./duplicate-detector');
+const DependencyMatcher = require('./dependency-matcher');
+const SmartAnalyzer = require('./smart-analyzer');
+const FeedbackLearner = require('./feedback-learner');
+const {createSemanticMatcher} = require('./semantic-matcher');
+const ThemeClusterer = require('./theme-clusterer');
+const RadarFormatter = require('./radar-formatter');
+
+const DEFAULT_NAME = 'default';
+
+class RadarProfile {
+  /**
+   * @param {string} name - Profile name
+   * @param {Object} config - Top-level config merged with profile settings
+   * @param {Object} [options]
+   * @param {CacheStore} [options.cache] - Cache for AI summaries
+   */
+  constructor(name, config, options = {}) {
+    this.name = name;
+    this.config = config;
+    this.languageFilter = new LanguageFilter(config.target_languages, {minShare: config.language_min_share});
+    this.duplicateDetector = new DuplicateDetector(config.duplicates);
+    this.exclusionRules = new ExclusionRules(config.exclude || {});
+    this.dependencyMatcher = new DependencyMatcher(config.dependencies);
+    this.smartAnalyzer = new SmartAnalyzer(config, {
+      cache: options.cache,
+      preferences: new FeedbackLearner(config.feedback).loadPreferences()
+    });
+    this.semanticMatcher = createSemanticMatcher(config);
+    this.themeClusterer = new ThemeClusterer(config.themes);
+    this.repoNames = new Set();
+    this.analysisResults = [];
+  }
+
+  /**
+   * Repositories matching target languages of profile, remembered for analyze()
+   * @param {Array} repos - Extracted repositories
+   * @param {Function} getLanguages - async (repo) => {languageName: bytes}
+   * @returns {Promise<Array>} Filtered repositories
+   */
+  async filterLanguages(repos, getLanguages) {
+    // Share of target languages in code is checked only for repos with another primary language
+    const filtered = await this.languageFilter.filterByShare(repos, getLanguages);
+    this.repoNames = new Set(filtered.map(repo => repo.name));
+    log(`Profile ${this.name}: ${filtered.length} repositories after language filter`);
+    return filtered;
+  }
+
+  /**
+   * Duplicate collapsing, exclusion rules, dependency rules, semantic matching, smart analysis and themes
+   * of shared enriched repositories
+   * @param {Array} enrichedRepos - Enriched repositories of all profiles
+   * @returns {Promise<Array>} Analyzed repositories of profile
+   */
+  async analyze(enrichedRepos) {
+    // Duplicates collapse among repositories of profile, so its canonical repository is one it kept
+    const profileRepos = enrichedRepos.filter(repo => this.repoNames.has(repo.name));
+    let repos = this.exclusionRules.apply(this.duplicateDetector.collapse(profileRepos));
+
+    // Dependency rules and our stack
+    repos = this.dependencyMatcher.annotate(repos);
+
+    // Semantic matching against interest statements
+    if (this.semanticMatcher) {
+      repos = await this.semanticMatcher.annotate(repos);
+    }
+
+    // Corpus statistics are built from all candidates of the profile
+    this.smartAnalyzer.prepare(repos);
+    const analysisResults = await this.smartAnalyzer.analyzeBatch(repos);
+    log(`Profile ${this.name}: ${analysisResults.length} repositories analyzed`);
+
+    this.analysisResults = this.themeClusterer.annotate(analysisResults, this.config.min_relevance_score || 1);
+    return this.analysisResults;
+  }
+
+  /**
+   * @param {Array} developers - Trending developers
+   * @returns {string} Markdown report of profile
+   */
+  formatReport(developers) {
+    const formatter = new RadarFormatter(this.config);
+    return formatter.format(this.analysisResults, {
+      developers: this.smartAnalyzer.analyzeDevelopers(developers),
+      exclusions: this.exclusionRules.counts
+    });
+  }
+}
+
+/**
+ * Settings of every profile: top-level config without `profiles`, overridden by profile entry.
+ * Without `profiles` the top-level config is the only, `default` profile.
+ * @param {Object} config - Radar configuration
+ * @returns {Array<{name: string, config: Object}>}
+ */
+function resolveProfileConfigs(config) {
+  const base = Object.assign({}, config);
+  delete base.profiles;
+  const profiles = config.profiles && config.profiles.length > 0 ? config.profiles : [{name: DEFAULT_NAME}];
+  return profiles.map((profile, index) => {
+    const name = profile.name || `profile-${index + 1}`;
+    const profileConfig = Object.assign({}, base, profile);
+    delete profileConfig.name;
+    profileConfig.target_languages = profileConfig.target_languages || [];
+    profileConfig.topic_keywords = profileConfig.topic_keywords || [];
+    // Feedback of every profile comes from its own issue, so it's learned into its own preferences file
+    if (name !== DEFAULT_NAME) {
+      const preferencesPath = `.radar/preferences-${name}.json`;
+      profileConfig.feedback = Object.assign({preferences_path: preferencesPath}, profileConfig.feedback);
+    }
+    return {name, config: profileConfig};
+  });
+}
+
+/**
+ * Create profiles from config
+ * @param {Object} config - Radar configuration
+ * @param {Object} [options] - Options of every RadarProfile
+ * @returns {Array<RadarProfile>}
+ */
+function createProfiles(config, options) {
+  return resolveProfileConfigs(config).map(({name, config: profileConfig}) => {
+    return new RadarProfile(name, profileConfig, options);
+  });
+}
+
+/**
+ * Config for shared extraction: union of target languages of all profiles,
+ * all languages if any profile monitors all of them
+ * @param {Object} config - Radar configuration
+ * @returns {Object} Config with merged `target_languages`
+ */
+function buildExtractionConfig(config) {
+  const profileConfigs = resolveProfileConfigs(config).map(profile => profile.config);
+  const monitorsAll = profileConfigs.some(profileConfig => profileConfig.target_languages.length === 0);
+  const languages = new Map();
+  profileConfigs.forEach(profileConfig => profileConfig.target_languages.forEach(language => {
+    languages.set(toSlug(language), languages.get(toSlug(language)) || language);
+  }));
+  return Object.assign({}, config, {target_languages: monitorsAll ? [] : [...languages.values()]});
+}
+
+/**
+ * Analysis of every repository with highest relevance among profiles, recorded to history
+ * @param {Array<RadarProfile>} profiles - Analyzed profiles
+ * @returns {Array} Analyzed repositories
+ */
+function mergeProfileResults(profiles) {
+  const results = new Map();
+  profiles.forEach(profile => profile.analysisResults.forEach(repo => {
+    const best = results.get(repo.name);
+    if (!best || repo.relevanceScore > best.relevanceScore) {
+      results.set(repo.name, repo);
+    }
+  }));
+  return [...results.values()];
+}
+
+module.exports = RadarProfile;
+module.exports.DEFAULT_NAME = DEFAULT_NAME;
+module.exports.resolveProfileConfigs = resolveProfileConfigs;
+module.exports.createProfiles = createProfiles;
+module.exports.buildExtractionConfig = buildExtractionConfig;
+module.exports.mergeProfileResults = mergeProfileResults;
@@ -0,0 +1,165 @@
+/**
+ * README Processor Module
+ *
+ * Turns raw README markdown into clean text for scoring and prompts:
+ * strips badges, images, HTML, link URLs and code blocks, then splits the document into
+ * sections by headings. Tables of contents, installation, license and similar boilerplate
+ * sections are dropped.
+ */
+
+const ABSTRACT_LENGTH = 500;
+
+// Section kinds by heading text, the first matching pattern wins
+const SECTION_PATTERNS = [
+  {kind: 'skip', pattern: /^(table of contents|contents|toc|install(ation|ing)?|setup|requirements|prerequisites)\b/},
+  {kind: 'skip', pattern: /^(license|licence|contribut(ing|ors|ion)|acknowledge?ments?|citation|cite|citing)\b/},
+  {kind: 'skip', pattern: /^(star history|stargazers|sponsors?|support|contact|changelog|build(ing)? from source)\b/},
+  {kind: 'intro', pattern: /^(about|overview|introduction|intro|description|what is|summary|abstract|motivation)\b/},
+  {kind: 'features', pattern: /^(key |main |core )?(features?|highlights|capabilities|why)\b/},
+  {kind: 'usage', pattern: /^(usage|how to use|getting started|quick ?start|examples?|tutorial|demo)\b/}
+];
+
+const HEADING_REG = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const SETEXT_REG = /^ {0,3}(=+|-+)\s*$/;
+const LEADING_SYMBOLS_REG = new RegExp('^[^\\p{L}\\p{N}]+', 'u');
+const WORD_CHAR_REG = new RegExp('[\\p{L}\\p{N}]', 'u');
+
+/**
+ * Process README markdown
+ * @param {string} markdown - Raw README content
+ * @returns {{text: string, abstract: string, sections: Object}} Clean text of kept sections,
+ *   abstract of intro and sections by kind: intro, features, usage, other
+ */
+function processReadme(markdown) {
+  const sections = {intro: [], features: [], usage: [], other: []};
+  splitSections(stripBlocks(markdown || '')).forEach(section => {
+    const kind = section.heading === null ? 'intro' : classifyHeading(section.heading);
+    if (kind !== 'skip') {
+      const text = cleanInline(section.lines.join('\n'));
+      sections[kind].push(section.heading && kind === 'other' ? `${cleanInline(section.heading)}\n${text}` : text);
+    }
+  });
+
+  const result = {intro: '', features: '', usage: '', other: ''};
+  Object.keys(sections).forEach(kind => {
+    result[kind] = sections[kind].filter(Boolean).join('\n\n').trim();
+  });
+
+  return {
+    text: [result.intro, result.features, result.usage, result.other].filter(Boolean).join('\n\n'),
+    abstract: buildAbstract(result.intro || result.features || result.other),
+    sections: result
+  };
+}
+
+/**
+ * Remove multi-line blocks: fenced code, HTML comments, <pre>, <script> and <style> elements
+ */
+function stripBlocks(markdown) {
+  return markdown
+    .replace(/\r\n?/g, '\n')
+    // Unclosed fence runs to the end of the document (`$` would stop at the end of its first line)
+    .replace(/^ {0,3}(```|~~~)[^\n]*\n[\s\S]*?(\n {0,3}\1[^\n]*|(?![\s\S]))/gm, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(pre|script|style)\b[\s\S]*?<\/\1>/gi, '');
+}
+
+/**
+ * Split markdown into sections by ATX (`## Title`) and setext (`Title\n---`) headings
+ * @returns {Array<{heading: ?string, lines: Array<string>}>}
+ */
+function splitSections(markdown) {
+  const sections = [{heading: null, lines: []}];
+  const lines = markdown.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const atx = lines[i].match(HEADING_REG);
+    if (atx) {
+      sections.push({heading: atx[2], lines: []});
+    } else if (isSetextHeading(lines[i], lines[i + 1])) {
+      sections.push({heading: lines[i].trim(), lines: []});
+      i++;
+    } else {
+      sections[sections.length - 1].lines.push(lines[i]);
+    }
+  }
+  return sections.filter(section => section.heading !== null || section.lines.some(line => line.trim()));
+}
+
+/**
+ * Setext heading is a text line underlined with `===` or `---`, list items and table rows are not headings
+ */
+function isSetextHeading(line, nextLine) {
+  return Boolean(line.trim()) && !/^\s*[-*+|>]/.test(line) && SETEXT_REG.test(nextLine || '');
+}
+
+/**
+ * Classify section by heading text
+ * @param {string} heading - Heading text
+ * @returns {string} skip, intro, features, usage or other
+ */
+function classifyHeading(heading) {
+  const text = cleanInline(heading).toLowerCase().replace(LEADING_SYMBOLS_REG, '').trim();
+  const match = SECTION_PATTERNS.find(({pattern}) => pattern.test(text));
+  return match ? match.kind : 'other';
+}
+
+/**
+ * Strip inline markdown and HTML, keeping visible text
+ * @param {string} text - Markdown text
+ * @returns {string} Clean text
+ */
+function cleanInline(text) {
+  return text
+    // Images and badges, also when wrapped into links: [![build](badge.svg)](ci)
+    .replace(/\[!\[[^\]]*\]\([^)]*\)\]\([^)]*\)/g, '')
+    .replace(/!\[[^\]]*\](\([^)]*\)|\[[^\]]*\])/g, '')
+    .replace(/<img\b[^>]*>/gi, '')
+    // Links keep their text: [text](url), [text][ref]; reference definitions are dropped
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\[[^\]]*\]/g, '$1')
+    .replace(/^ {0,3}\[[^\]]+\]:\s*\S+.*$/gm, '')
+    .replace(/<(https?:[^>]+)>/g, '')
+    .replace(/https?:\/\/\S+/g, '')
+    // HTML tags keep their content
+    .replace(/<\/?[a-z][^>]*>/gi, ' ')
+    .replace(/&nbsp;/g, ' ')
+    // Inline code, emphasis, heading and quote markers
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/(\*\*|__|~~)(.+?)\1/g, '$2')
+    .replace(/^ {0,3}(#{1,6}|>)\s?/gm, '')
+    // Table rows: pipes become spaces, separator rows are dropped
+    .replace(/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/gm, '')
+    .replace(/[ \t]*\|[ \t]*/g, ' ')
+    // Horizontal rules and lines left without words (e.g. only emoji or punctuation)
+    .replace(/^\s*([-*_]\s*){3,}$/gm, '')
+    .replace(/[ \t]+/g, ' ')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => !line || WORD_CHAR_REG.test(line))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * First paragraphs up to ABSTRACT_LENGTH characters, cut at sentence or word boundary
+ * @param {string} text - Clean text
+ * @returns {string} Abstract
+ */
+function buildAbstract(text) {
+  const paragraphs = text.split(/\n{2,}/).map(paragraph => paragraph.replace(/\n/g, ' ').trim());
+  // Skip list items and one-word lines, e.g. leftovers of navigation links
+  const prose = paragraphs.filter(paragraph => paragraph.split(' ').length > 3 && !/^[-*+]\s/.test(paragraph));
+  const abstract = (prose.length > 0 ? prose : paragraphs).join(' ');
+  if (abstract.length <= ABSTRACT_LENGTH) {
+    return abstract;
+  }
+  const cut = abstract.substring(0, ABSTRACT_LENGTH);
+  const sentenceEnd = cut.search(/[.!?]\s[^.!?]*$/);
+  if (sentenceEnd > ABSTRACT_LENGTH / 2) {
+    return cut.substring(0, sentenceEnd + 1);
+  }
+  return `${cut.substring(0, cut.lastIndexOf(' '))}…`;
+}
+
+module.exports = {processReadme, cleanInline};
@@ -0,0 +1,200 @@
+/**
+ * Release Notes Module
+ *
+ * Finds the latest release of repository from GitHub releases, tags and CHANGELOG.md collected by the content enricher,
+ * decides whether it landed within the trending window and extracts the first bullets of its notes,
+ * so repositories trending because of a release are reported as such.
+ */
+
+const {cleanInline} = require('./readme-processor');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULTS = {
+  enabled: true,
+  window_days: 7,
+  max_bullets: 3
+};
+
+// Trending window of repositories on trending pages is their longest period
+const PERIOD_DAYS = {daily: 1, weekly: 7, monthly: 30};
+const MAX_BULLET_LENGTH = 140;
+// Release notes and changelog kept per repository, the latest entries are at the top
+const MAX_NOTES_LENGTH = 10000;
+
+const HEADING_REG = /^ {0,3}#{1,4}\s+(.*)$/;
+const VERSION_REG = /\bv?(\d+\.\d+(?:\.\d+)?(?:-[\w.]+)?)\b/;
+const DATE_REG = /\b(\d{4}-\d{2}-\d{2})\b/;
+const BULLET_REG = /^ {0,1}[-*+]\s+(.+)$/;
+// Generated release notes: "Fix parser by @octocat in https://github.com/owner/repo/pull/1"
+const CONTRIBUTION_REG = /\s+by @[\w-]+(\[bot\])?(\s+in\s+\S+)?\s*$/;
+const SKIPPED_BULLET_REG = /^(full changelog|new contributors?)\b/i;
+
+class ReleaseNotes {
+  /**
+   * @param {Object} [options] - `releases` config section: window_days, max_bullets
+   */
+  constructor(options = {}) {
+    this.options = Object.assign({}, DEFAULTS, options);
+  }
+
+  /**
+   * Latest release of repository: the newest published release (prereleases only if there's no other),
+   * the newest tag without release, or the newest dated CHANGELOG.md section
+   * @param {Object} repo - Repository, `trendingPages` select the trending window
+   * @param {Object} sources - Collected by content enricher
+   * @param {Array<{tagName: string, name: ?string, publishedAt: string, body: ?string, prerelease: boolean}>}
+   *   [sources.releases] - Latest releases
+   * @param {Array<{name: string, date: ?string}>} [sources.tags] - Latest tags
+   * @param {?string} [sources.changelog] - CHANGELOG.md content
+   * @param {Date} [now] - Current run time
+   * @returns {?{version: string, name: ?string, publishedAt: string, source: string, daysAgo: number,
+   *   trending: boolean, bullets: Array<string>}} Null if there's no dated release
+   */
+  assess(repo, sources = {}, now = new Date()) {
+    const changelog = parseChangelog(sources.changelog);
+    const release = findLatest(sources, changelog);
+    if (!release) {
+      return null;
+    }
+    const daysAgo = Math.max(0, Math.floor((now.getTime() - Date.parse(release.publishedAt)) / DAY_MS));
+    return {
+      version: release.version,
+      name: release.name,
+      publishedAt: release.publishedAt,
+      source: release.source,
+      daysAgo,
+      trending: daysAgo <= this.getWindowDays(repo),
+      bullets: this.getBullets(release, changelog)
+    };
+  }
+
+  /**
+   * Bullets of release notes, of CHANGELOG.md section of the same version if release has none
+   * @param {Object} release - Latest release
+   * @param {Array} changelog - Changelog sections
+   * @returns {Array<string>} At most `max_bullets` bullets
+   */
+  getBullets(release, changelog) {
+    const bullets = extractBullets(release.notes || '', this.options.max_bullets);
+    const section = changelog.find(entry => sameVersion(entry.version, release.version));
+    return bullets.length > 0 || !section ? bullets : extractBullets(section.notes, this.options.max_bullets);
+  }
+
+  /**
+   * Longest trending period the repository was found in, `window_days` for other sources
+   * @param {Object} repo - Repository
+   * @returns {number} Days
+   */
+  getWindowDays(repo) {
+    const periods = (repo.trendingPages || []).map(page => PERIOD_DAYS[page.since]).filter(Boolean);
+    return periods.length > 0 ? Math.max(...periods) : this.options.window_days;
+  }
+}
+
+function findLatest(sources, changelog) {
+  return findRelease(sources.releases || []) || findTag(sources.tags || []) || findSection(changelog);
+}
+
+function findRelease(releases) {
+  const published = releases
+    .filter(release => release.tagName && !Number.isNaN(Date.parse(release.publishedAt)))
+    .sort((a, b) => Date.parse(b.publishedAt) - Date.parse(a.publishedAt));
+  const release = published.find(candidate => !candidate.prerelease) || published[0];
+  return release ? {
+    version: release.tagName,
+    name: release.name || null,
+    publishedAt: release.publishedAt,
+    notes: release.body,
+    source: 'release'
+  } : null;
+}
+
+function findTag(tags) {
+  const tag = tags.find(candidate => !Number.isNaN(Date.parse(candidate.date)));
+  return tag ? {version: tag.name, name: null, publishedAt: tag.date, source: 'tag'} : null;
+}
+
+function findSection(changelog) {
+  const section = changelog.find(entry => entry.date);
+  return section ? {
+    version: section.version,
+    name: null,
+    publishedAt: section.date,
+    notes: section.notes,
+    source: 'changelog'
+  } : null;
+}
+
+/**
+ * Sections of changelog by version headings, e.g. `## [2.0.0] - 2024-05-01` or `# v2.0.0 (2024-05-01)`;
+ * headings without version (`### Added`) stay in their section, "Unreleased" is skipped
+ * @param {?string} text - Changelog markdown
+ * @returns {Array<{version: string, date: ?string, notes: string}>} Sections in document order
+ */
+function parseChangelog(text) {
+  const sections = [];
+  let section = null;
+  (text || '').replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+    const heading = line.match(HEADING_REG);
+    const version = heading ? heading[1].match(VERSION_REG) : null;
+    if (version) {
+      const date = heading[1].match(DATE_REG);
+      section = {version: version[1], date: date ? date[1] : null, lines: []};
+      sections.push(section);
+    } else if (section) {
+      section.lines.push(line);
+    }
+  });
+  return sections.map(({version, date, lines}) => ({version, date, notes: lines.join('\n')}));
+}
+
+/**
+ * First top-level list items of release notes as clean text
+ * @param {string} markdown - Release notes
+ * @param {number} maxBullets - Maximum number of bullets
+ * @returns {Array<string>} Bullets
+ */
+function extractBullets(markdown, maxBullets) {
+  return markdown.split(/\r?\n/)
+    .map(line => line.match(BULLET_REG))
+    .filter(Boolean)
+    .map(match => cleanInline(match[1].replace(CONTRIBUTION_REG, '')))
+    .filter(bullet => bullet && !SKIPPED_BULLET_REG.test(bullet))
+    .slice(0, maxBullets)
+    .map(truncateBullet);
+}
+
+function truncateBullet(bullet) {
+  if (bullet.length <= MAX_BULLET_LENGTH) {
+    return bullet;
+  }
+  const wordEnd = bullet.lastIndexOf(' ', MAX_BULLET_LENGTH);
+  return `${bullet.substring(0, wordEnd > 0 ? wordEnd : MAX_BULLET_LENGTH)}…`;
+}
+
+/**
+ * Report note of release within the trending window: `🎉 Trending after v2.0 release (3 days ago)` and its bullets
+ * @param {?Object} release - Result of ReleaseNotes.assess()
+ * @returns {string} Markdown note or empty string
+ */
+function formatReleaseNote(release) {
+  if (!release || !release.trending) {
+    return '';
+  }
+  // Tags like `2.0.0` are shown as `v2.0.0`
+  const label = /^\d/.test(release.version) ? `v${release.version}` : release.version;
+  const when = {0: 'today', 1: 'yesterday'}[release.daysAgo] || `${release.daysAgo} days ago`;
+  const lines = release.bullets.map(bullet => `- ${bullet}`);
+  return [`🎉 **Trending after ${label} release** (${when})`].concat(lines).join('\n');
+}
+
+function sameVersion(a, b) {
+  return Boolean(a && b) && a.replace(/^v/i, '') === b.replace(/^v/i, '');
+}
+
+module.exports = ReleaseNotes;
+module.exports.MAX_NOTES_LENGTH = MAX_NOTES_LENGTH;
+module.exports.parseChangelog = parseChangelog;
+module.exports.extractBullets = extractBullets;
+module.exports.formatReleaseNote = formatReleaseNote;
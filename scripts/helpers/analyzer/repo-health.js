@@ -0,0 +1,124 @@
+/**
+ * Repository Health Module
+ *
+ * Computes maturity score 0-100 from GitHub metadata collected by the content enricher:
+ * license, archived/fork/template flags, age, last push, open issues per star, releases and CI.
+ * Separates weekend prototypes from production-worthy projects.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Points of every component, sum is 100
+const POINTS = {
+  license: 15,
+  active: 15,
+  original: 5,
+  notTemplate: 5,
+  age: 15,
+  recentPush: 15,
+  issueRatio: 10,
+  releases: 10,
+  ci: 10
+};
+
+// Score components, unknown signals (null) score nothing
+const COMPONENTS = [
+  flags => (flags.license && flags.license !== 'NOASSERTION' ? POINTS.license : 0),
+  flags => (flags.archived ? 0 : POINTS.active),
+  flags => (flags.fork ? 0 : POINTS.original),
+  flags => (flags.template ? 0 : POINTS.notTemplate),
+  flags => scoreAge(flags.ageDays),
+  flags => scoreLastPush(flags.daysSinceLastPush),
+  flags => scoreIssueRatio(flags.openIssueRatio),
+  flags => (flags.hasReleases ? POINTS.releases : 0),
+  flags => (flags.hasCI ? POINTS.ci : 0)
+];
+
+const LEVELS = [
+  {level: 'mature', minScore: 80},
+  {level: 'growing', minScore: 55},
+  {level: 'prototype', minScore: 0}
+];
+
+class RepoHealth {
+  /**
+   * Add `health` to every repository
+   * @param {Array} repos - Enriched repositories
+   * @param {Date} [now] - Current run time
+   * @returns {Array} Repositories with health
+   */
+  annotate(repos, now = new Date()) {
+    return repos.map(repo => Object.assign({}, repo, {health: this.assess(repo, now)}));
+  }
+
+  /**
+   * Assess single repository
+   * @param {Object} repo - Enriched repository
+   * @param {Date} [now] - Current run time
+   * @returns {{score: number, level: string, flags: Object}} Health score, level and component flags
+   */
+  assess(repo, now = new Date()) {
+    const flags = {
+      license: repo.license || null,
+      archived: Boolean(repo.archived),
+      fork: Boolean(repo.isFork),
+      template: Boolean(repo.isTemplate),
+      ageDays: daysSince(repo.createdAt, now),
+      daysSinceLastPush: daysSince(repo.pushedAt, now),
+      openIssueRatio: openIssueRatio(repo),
+      hasReleases: toFlag(repo.hasReleases),
+      hasCI: toFlag(repo.hasCI)
+    };
+    const score = Math.round(COMPONENTS.reduce((sum, component) => sum + component(flags), 0));
+    return {score, level: LEVELS.find(({minScore}) => score >= minScore).level, flags};
+  }
+}
+
+/**
+ * Full points for repositories older than a year
+ */
+function scoreAge(ageDays) {
+  return ageDays === null ? 0 : POINTS.age * Math.min(1, ageDays / 365);
+}
+
+/**
+ * Full points for push within a month, nothing after a year
+ */
+function scoreLastPush(days) {
+  if (days === null || days > 365) {
+    return 0;
+  }
+  return days <= 30 ? POINTS.recentPush : POINTS.recentPush * (365 - days) / (365 - 30);
+}
+
+/**
+ * Full points up to 5 open issues per 100 stars, nothing from 25
+ */
+function scoreIssueRatio(ratio) {
+  if (ratio === null) {
+    return 0;
+  }
+  return POINTS.issueRatio * Math.max(0, Math.min(1, (0.25 - ratio) / 0.2));
+}
+
+function toFlag(value) {
+  return value === undefined ? null : value;
+}
+
+function daysSince(date, now) {
+  const time = date ? Date.parse(date) : NaN;
+  return Number.isNaN(time) ? null : Math.max(0, Math.floor((now.getTime() - time) / DAY_MS));
+}
+
+/**
+ * Open issues (GitHub counts pull requests too) per star
+ */
+function openIssueRatio(repo) {
+  const stars = repo.starsCount || repo.stars;
+  if (repo.openIssuesCount === undefined || repo.openIssuesCount === null || !stars) {
+    return null;
+  }
+  return Math.round(repo.openIssuesCount / stars * 1000) / 1000;
+}
+
+module.exports = RepoHealth;
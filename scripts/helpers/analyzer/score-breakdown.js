@@ -0,0 +1,60 @@
+/**
+ * Score Breakdown Module
+ *
+ * Renders `scoreBreakdown` of analyzed repository (see SmartAnalyzer.basicAnalysis) as Markdown:
+ * table of points per keyword match and field, followed by the other score components.
+ */
+
+/**
+ * Format score breakdown of single repository
+ * @param {Object} repo - Analyzed repository with `scoreBreakdown`
+ * @param {number} minRelevanceScore - Minimum score to include in report
+ * @returns {string} Markdown breakdown
+ */
+function formatScoreBreakdown(repo, minRelevanceScore) {
+  const title = `### 🔍 Score breakdown: [${repo.name}](${repo.url})`;
+  if (repo.excludedBy) {
+    return `${title}\n\nExcluded by keyword \`-${repo.excludedBy}\`, relevance score 0`;
+  }
+  const breakdown = repo.scoreBreakdown;
+  const semantic = repo.semantic ? ` ("${repo.semantic.statement}", similarity ${repo.semantic.similarity})` : '';
+  const totals = [
+    `- **Keyword score (${breakdown.method}):** ${Math.round(breakdown.keywordScore * 100) / 100}`,
+    `- **Semantic score:** ${breakdown.semanticScore}${semantic}`,
+    `- **Dependency score:** ${breakdown.dependencyScore || 0}${formatDependencyRules(repo.dependencyMatches)}`,
+    `- **Owner multiplier (feedback):** ×${breakdown.ownerWeight}`,
+    `- **Momentum score:** ${breakdown.signalScore}`,
+    `- **Relevance Score:** ${repo.relevanceScore} (minimum ${minRelevanceScore})`
+  ];
+  return `${title}\n\n${formatMatches(breakdown)}\n\n${totals.join('\n')}`;
+}
+
+/**
+ * Matched dependency rules with their packages, e.g. ` (uses torch: torch +5)`
+ */
+function formatDependencyRules(dependencyMatches) {
+  if (!dependencyMatches || dependencyMatches.length === 0) {
+    return '';
+  }
+  const rules = dependencyMatches.map(match => `${match.label}: ${match.packages.join(', ')} +${match.weight}`);
+  return ` (${rules.join('; ')})`;
+}
+
+/**
+ * Table of keyword matches, normalized IDF column only for corpus scoring methods
+ */
+function formatMatches(breakdown) {
+  if (breakdown.matches.length === 0) {
+    return '_No keyword matches_';
+  }
+  const isCorpus = breakdown.method !== 'count';
+  const header = ['Field', 'Keyword', 'Matches', 'Field weight', 'Keyword weight', ...(isCorpus ? ['IDF'] : []),
+    'Points'];
+  const rows = breakdown.matches.map(match => [
+    match.field, match.label, match.count, match.fieldWeight, match.keywordWeight,
+    ...(isCorpus ? [Math.round(match.idf * 100) / 100] : []), match.contribution
+  ]);
+  return [header, header.map(() => '---'), ...rows].map(cells => `| ${cells.join(' | ')} |`).join('\n');
+}
+
+module.exports = formatScoreBreakdown;
@@ -0,0 +1,82 @@
+/**
+ * Score Components Module
+ *
+ * Parts of relevance score besides the keyword score:
+ * semantic similarity to interest statements (see semantic-matcher.js), matched dependency rules
+ * (see dependency-matcher.js), momentum signals (see trend-signals.js) and owner multiplier learned from feedback.
+ */
+
+// Momentum signals are not scored unless weights are configured in `signals.weights`
+const DEFAULT_SIGNAL_WEIGHTS = {
+  velocity: 0,
+  acceleration: 0,
+  streak: 0
+};
+
+// Semantic similarity to interest statements: points for similarity 1.0 and threshold below which it's ignored
+const DEFAULT_SEMANTIC = {
+  weight: 20,
+  min_similarity: 0.25
+};
+
+class ScoreComponents {
+  /**
+   * @param {Object} config - Radar configuration: `semantic` and `signals` sections
+   * @param {Object} [preferences] - Owner multipliers learned from feedback
+   */
+  constructor(config, preferences = {}) {
+    this.semanticOptions = Object.assign({}, DEFAULT_SEMANTIC, config.semantic);
+    this.signalWeights = Object.assign({}, DEFAULT_SIGNAL_WEIGHTS, (config.signals || {}).weights);
+    this.owners = preferences.owners || {};
+  }
+
+  /**
+   * Calculate score from semantic match, similarity below `semantic.min_similarity` scores nothing
+   * @param {Object} [semantic] - Best matching interest statement and its similarity
+   * @returns {number} Semantic score
+   */
+  semanticScore(semantic) {
+    if (!semantic || semantic.similarity < this.semanticOptions.min_similarity) {
+      return 0;
+    }
+    return Math.round(semantic.similarity * this.semanticOptions.weight * 10) / 10;
+  }
+
+  /**
+   * Sum of weights of matched dependency rules
+   * @param {Array} [dependencyMatches] - Matched rules with weights
+   * @returns {number} Dependency score
+   */
+  dependencyScore(dependencyMatches) {
+    return (dependencyMatches || []).reduce((sum, match) => sum + match.weight, 0);
+  }
+
+  /**
+   * Calculate score from momentum signals.
+   * Velocity and acceleration are log-scaled so a single huge spike does not dominate.
+   * @param {Object} [signals] - Repository signals
+   * @returns {number} Signal score
+   */
+  signalScore(signals) {
+    if (!signals) {
+      return 0;
+    }
+    const logScale = value => Math.log2(1 + Math.max(0, value || 0));
+    const score = this.signalWeights.velocity * logScale(signals.starVelocity) +
+      this.signalWeights.acceleration * logScale(signals.acceleration) +
+      this.signalWeights.streak * (signals.trendingStreak || 0);
+    return Math.round(score * 10) / 10;
+  }
+
+  /**
+   * Multiplier of repository owner learned from feedback, 1 if there's none
+   * @param {string} name - Repository name `owner/repo`
+   * @returns {number}
+   */
+  ownerWeight(name) {
+    const owner = (name || '').split('/')[0].toLowerCase();
+    return this.owners[owner] || 1;
+  }
+}
+
+module.exports = ScoreComponents;
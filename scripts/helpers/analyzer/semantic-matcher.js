@@ -0,0 +1,98 @@
+/**
+ * Semantic Matcher Module
+ *
+ * Compares description, topics and README of every repository with the natural-language
+ * `interest_statements` from config using an embedding provider (see embedding-provider.js).
+ * Catches repositories that describe interests in other words than topic keywords.
+ */
+
+const {log} = require('../logger');
+const {createEmbeddingProvider, cosineSimilarity} = require('./embedding-provider');
+
+const DEFAULTS = {
+  readme_chars: 1000
+};
+
+class SemanticMatcher {
+  /**
+   * @param {Array<string>} statements - Interest statements
+   * @param {Object} provider - Embedding provider
+   * @param {Object} [options] - `semantic` config section
+   */
+  constructor(statements, provider, options = {}) {
+    this.statements = statements;
+    this.provider = provider;
+    this.options = Object.assign({}, DEFAULTS, options);
+  }
+
+  /**
+   * Add `semantic` match to every repository: best matching statement and its cosine similarity
+   * @param {Array} repos - Enriched repositories
+   * @returns {Promise<Array>} Repositories with semantic match, unchanged if provider failed
+   */
+  async annotate(repos) {
+    if (repos.length === 0) {
+      return repos;
+    }
+    const vectors = await this.provider.embed([...this.statements, ...repos.map(repo => this.buildText(repo))]);
+    if (!vectors) {
+      log('Semantic matching skipped: embedding provider failed');
+      return repos;
+    }
+    const statementVectors = vectors.slice(0, this.statements.length);
+    log(`Semantic matching: ${repos.length} repositories against ${this.statements.length} interest statements`);
+    return repos.map((repo, index) => {
+      const semantic = this.findBestStatement(vectors[this.statements.length + index], statementVectors);
+      return Object.assign({}, repo, {semantic});
+    });
+  }
+
+  /**
+   * @returns {{statement: string, similarity: number}} Best matching statement
+   */
+  findBestStatement(vector, statementVectors) {
+    return statementVectors
+      .map((statementVector, index) => ({
+        statement: this.statements[index],
+        similarity: Math.round(cosineSimilarity(vector, statementVector) * 1000) / 1000
+      }))
+      .reduce((best, match) => (match.similarity > best.similarity ? match : best));
+  }
+
+  /**
+   * Text of repository compared with interest statements
+   * @param {Object} repo - Enriched repository
+   * @returns {string}
+   */
+  buildText(repo) {
+    // Abstract and features of processed README are its most informative parts
+    const sections = repo.readmeSections;
+    const readme = sections ? [repo.readmeAbstract, sections.features].filter(Boolean).join('\n') : repo.readmeContent;
+    return [
+      repo.description,
+      (repo.topics || []).join(' '),
+      (readme || '').substring(0, this.options.readme_chars)
+    ].filter(Boolean).join('\n');
+  }
+}
+
+/**
+ * Create semantic matcher from config
+ * @param {Object} config - Radar configuration
+ * @returns {?SemanticMatcher} Matcher or null if there are no interest statements or provider is unavailable
+ */
+function createSemanticMatcher(config) {
+  const statements = config.interest_statements || [];
+  const options = config.semantic || {};
+  if (statements.length === 0 || options.enabled === false) {
+    return null;
+  }
+  const provider = createEmbeddingProvider(options);
+  if (!provider) {
+    log('Embedding provider API key not found, semantic matching disabled');
+    return null;
+  }
+  return new SemanticMatcher(statements, provider, options);
+}
+
+module.exports = {SemanticMatcher, createSemanticMatcher};
@@ -2,30 +2,82 @@
  * Smart Analyzer Module
  *
  * Analyzes repositories for relevance based on topic keywords
- * and optionally generates AI summaries using OpenAI API.
+ * and optionally generates AI summaries using an OpenAI-compatible API.
  */
 
 const {log, logError} = require('../logger');
+const {createSummaryProvider} = require('./summary-provider');
+const CacheStore = require('./cache-store');
+const KeywordQuery = require('./keyword-query');
+const {createKeywordScorer, explainKeywordScore} = require('./keyword-scorer');
+const ScoreComponents = require('./score-components');
+
+// Bump when buildAIPrompt changes to invalidate cached summaries
+const PROMPT_VERSION = 2;
+
+// Multipliers of keyword matches per repository field, overridden by `field_weights`
+const DEFAULT_FIELD_WEIGHTS = {
+  name: 0,
+  owner: 0,
+  description: 5,
+  topics: 3,
+  readme: 1,
+  dependencies: 2
+};
 
 class SmartAnalyzer {
-  constructor(config) {
+  /**
+   * @param {Object} config - Radar configuration
+   * @param {Object} [options]
+   * @param {CacheStore} [options.cache] - Cache for AI summaries
+   * @param {Object} [options.preferences] - Keyword and owner multipliers learned from feedback
+   */
+  constructor(config, options = {}) {
     this.config = config;
+    this.cache = options.cache || new CacheStore({enabled: false});
     this.topicKeywords = config.topic_keywords || [];
+    this.keywordQuery = new KeywordQuery(this.topicKeywords);
     this.enableAISummaries = config.enable_ai_summaries !== false;
     this.maxAISummaries = config.max_ai_summaries || 10;
-    this.openaiApiKey = process.env.OPENAI_API_KEY;
+    this.fieldWeights = Object.assign({}, DEFAULT_FIELD_WEIGHTS, config.field_weights);
+    this.keywordWeights = buildKeywordWeights(config.keyword_weights);
+    this.preferences = Object.assign({keywords: {}, owners: {}}, options.preferences);
+    this.keywordScorer = createKeywordScorer(config.scoring, {
+      fieldWeights: this.fieldWeights,
+      getKeywordWeight: label => this.getKeywordWeight(label),
+      maxKeywordWeight: Math.max(0, ...this.keywordQuery.includes.map(query => this.getKeywordWeight(query.label)))
+    });
+    this.components = new ScoreComponents(config, this.preferences);
+    this.aiSummaryCount = 0;
+    this.initSummaryProvider(config);
+  }
 
-    // Initialize OpenAI client if API key is available
-    if (this.openaiApiKey && this.enableAISummaries) {
-      // Note: OpenAI package would need to be installed
-      // this.openai = new OpenAI({ apiKey: this.openaiApiKey });
-      log('OpenAI API key detected, AI summaries enabled');
+  /**
+   * Initialize summary provider if summaries are enabled, disable them if there's no API key
+   * @param {Object} config - Radar configuration
+   */
+  initSummaryProvider(config) {
+    this.summaryProvider = this.enableAISummaries ? createSummaryProvider(config) : null;
+    if (this.summaryProvider) {
+      log(`AI summaries enabled: ${this.summaryProvider.options.model} at ${this.summaryProvider.options.base_url}`);
     } else if (this.enableAISummaries) {
-      log('OpenAI API key not found, AI summaries disabled');
+      log('AI provider API key not found, AI summaries disabled');
       this.enableAISummaries = false;
     }
   }
 
+  /**
+   * Build corpus statistics from all candidates of the run, required by BM25/TF-IDF scoring
+   * @param {Array} repos - Enriched repositories
+   */
+  prepare(repos) {
+    const method = this.keywordScorer.options.method;
+    if (method !== 'count') {
+      this.keywordScorer.prepare(repos.map(repo => this.getFieldStats(repo)));
+      log(`Scoring: ${method} over ${repos.length} candidates`);
+    }
+  }
+
   /**
    * Analyze a batch of repositories
    * @param {Array} repos - Array of enriched repository objects
@@ -33,15 +85,15 @@ class SmartAnalyzer {
    */
   async analyzeBatch(repos) {
     const analyzedRepos = [];
-    let aiSummaryCount = 0;
 
     for (const repo of repos) {
       try {
-        const analyzedRepo = await this.analyzeSingleRepo(repo, aiSummaryCount);
+        const analyzedRepo = await this.analyzeSingleRepo(repo, this.aiSummaryCount);
         analyzedRepos.push(analyzedRepo);
 
+        // AI summaries are limited per run, not per batch
         if (analyzedRepo.aiSummary) {
-          aiSummaryCount++;
+          this.aiSummaryCount++;
         }
 
       } catch (error) {
@@ -69,7 +121,7 @@ class SmartAnalyzer {
         analysisResult.relevanceScore > 0 &&
         aiSummaryCount < this.maxAISummaries) {
       try {
-        const aiSummary = await this.generateAISummary(repo, analysisResult.matchedKeywords);
+        const aiSummary = await this.getCachedAISummary(repo, analysisResult.matchedKeywords);
         analysisResult.aiSummary = aiSummary;
       } catch (error) {
         logError(`Failed to generate AI summary for ${repo.name}:`, error.message);
@@ -86,117 +138,172 @@ class SmartAnalyzer {
    * @returns {Object} Analysis result
    */
   basicAnalysis(repo) {
-    let relevanceScore = 0;
-    const matchedKeywords = [];
-
-    // Search in description
-    if (repo.description) {
-      const descMatches = this.findKeywordMatches(repo.description);
-      relevanceScore += descMatches.score * 5; // Higher weight for description
-      matchedKeywords.push(...descMatches.keywords);
+    // Exclusion terms (e.g. `-crypto`) make repository irrelevant regardless of matches
+    const excludedBy = this.keywordQuery.findExclusion([repo.name, repo.description, repo.readmeContent,
+      (repo.topics || []).join(' ')]);
+    if (excludedBy) {
+      return {
+        ...repo,
+        relevanceScore: 0,
+        signalScore: 0,
+        semanticScore: 0,
+        matchedKeywords: [],
+        excludedBy,
+        aiSummary: null
+      };
     }
 
-    // Search in README content
-    if (repo.readmeContent) {
-      const readmeMatches = this.findKeywordMatches(repo.readmeContent);
-      relevanceScore += readmeMatches.score;
-      matchedKeywords.push(...readmeMatches.keywords);
-    }
+    // Keyword matches of every weighted field: name, owner, description, topics, README
+    const fieldStats = this.getFieldStats(repo);
+    const matchedKeywords = [];
+    Object.keys(fieldStats).forEach(field => {
+      matchedKeywords.push(...fieldStats[field].matches.map(match => match.label));
+    });
+    const keywordScore = this.keywordScorer.score(fieldStats);
 
-    // Search in topics
-    if (repo.topics && Array.isArray(repo.topics)) {
-      const topicMatches = this.findKeywordMatches(repo.topics.join(' '));
-      relevanceScore += topicMatches.score * 3; // Higher weight for topics
-      matchedKeywords.push(...topicMatches.keywords);
-    }
+    const semanticScore = this.components.semanticScore(repo.semantic);
+    const dependencyScore = this.components.dependencyScore(repo.dependencyMatches);
+    const ownerWeight = this.components.ownerWeight(repo.name);
+    const relevanceScore = (keywordScore + semanticScore + dependencyScore) * ownerWeight;
 
     // Remove duplicate keywords
     const uniqueKeywords = [...new Set(matchedKeywords)];
 
+    // Momentum signals only boost repositories that already match interests
+    const signalScore = relevanceScore > 0 ? this.components.signalScore(repo.signals) : 0;
+
+    // Corpus scores stay within 0-100
+    const totalScore = Math.min(this.keywordScorer.maxScore, relevanceScore + signalScore);
+
     return {
       ...repo,
-      relevanceScore,
+      relevanceScore: Math.round(totalScore * 10) / 10,
+      signalScore,
+      semanticScore,
+      dependencyScore,
       matchedKeywords: uniqueKeywords,
+      scoreBreakdown: {
+        method: this.keywordScorer.options.method,
+        matches: explainKeywordScore(this.keywordScorer, fieldStats),
+        keywordScore,
+        semanticScore,
+        dependencyScore,
+        ownerWeight,
+        signalScore
+      },
       aiSummary: null
     };
   }
 
   /**
-   * Find keyword matches in text
-   * @param {string} text - Text to search
-   * @returns {Object} Matches and score
+   * Keyword matches and length in words of every weighted, non-empty field
+   * @param {Object} repo - Repository object
+   * @returns {Object} {field: {length, matches}}
    */
-  findKeywordMatches(text) {
-    if (!text || this.topicKeywords.length === 0) {
-      return { score: 0, keywords: [] };
-    }
-
-    const lowerText = text.toLowerCase();
-    const matchedKeywords = [];
-    let score = 0;
-
-    for (const keyword of this.topicKeywords) {
-      const lowerKeyword = keyword.toLowerCase();
-
-      // Use word boundary regex for exact matches
-      const exactRegex = new RegExp(`\\b${lowerKeyword}\\b`, 'gi');
-      const exactMatches = (lowerText.match(exactRegex) || []).length;
-
-      // Also check for partial matches (for compound terms like "LLM Agent")
-      const partialRegex = new RegExp(lowerKeyword, 'gi');
-      const partialMatches = (lowerText.match(partialRegex) || []).length;
+  getFieldStats(repo) {
+    const fieldTexts = this.getFieldTexts(repo);
+    const fieldStats = {};
+    Object.keys(this.fieldWeights).forEach(field => {
+      if (this.fieldWeights[field] && fieldTexts[field]) {
+        fieldStats[field] = {
+          length: countWords(fieldTexts[field]),
+          matches: this.keywordQuery.match(fieldTexts[field])
+        };
+      }
+    });
+    return fieldStats;
+  }
 
-      // Use the higher count, but prefer exact matches
-      const matches = Math.max(exactMatches, partialMatches);
+  /**
+   * Texts of repository fields searched for keywords
+   * @param {Object} repo - Repository object
+   * @returns {Object} Text by field name
+   */
+  getFieldTexts(repo) {
+    const [owner, name] = (repo.name || '').split('/');
+    return {
+      name,
+      owner,
+      description: repo.description,
+      topics: Array.isArray(repo.topics) ? repo.topics.join(' ') : null,
+      readme: repo.readmeContent,
+      dependencies: (repo.dependencies || []).map(dependency => dependency.substring(dependency.indexOf(':') + 1))
+        .join(' ')
+    };
+  }
 
-      if (matches > 0) {
-        matchedKeywords.push(keyword);
-        score += matches;
-      }
-    }
+  /**
+   * Score trending developers by keyword matches of their popular repository
+   * @param {Array} developers - Trending developers
+   * @returns {Array} Developers with relevance score and matched keywords
+   */
+  analyzeDevelopers(developers) {
+    return developers.map(developer => {
+      const analysis = developer.popularRepo
+        ? this.basicAnalysis(developer.popularRepo)
+        : { relevanceScore: 0, matchedKeywords: [] };
+      return Object.assign({}, developer, {
+        relevanceScore: analysis.relevanceScore,
+        matchedKeywords: analysis.matchedKeywords
+      });
+    });
+  }
 
-    return { score, keywords: matchedKeywords };
+  /**
+   * Weight of keyword from `keyword_weights` (1 if not configured) times multiplier learned from feedback
+   * @param {string} label - Keyword label
+   * @returns {number}
+   */
+  getKeywordWeight(label) {
+    const key = label.toLowerCase();
+    const weight = this.keywordWeights.has(key) ? this.keywordWeights.get(key) : 1;
+    return weight * (this.preferences.keywords[key] || 1);
   }
 
   /**
-   * Generate AI summary using OpenAI API
+   * Generate AI summary using the configured summary provider
    * @param {Object} repo - Repository object
    * @param {Array} matchedKeywords - Keywords that matched
-   * @returns {Promise<string>} AI-generated summary
+   * @returns {Promise<?string>} AI-generated summary, null if provider failed
    */
   async generateAISummary(repo, matchedKeywords) {
-    if (!this.openaiApiKey) {
-      throw new Error('OpenAI API key not available');
+    if (!this.summaryProvider) {
+      throw new Error('AI summary provider not available');
     }
 
-    // For now, return a placeholder since we don't have OpenAI package installed
-    // In a real implementation, this would call the OpenAI API
-
     const prompt = this.buildAIPrompt(repo, matchedKeywords);
-    log(`Would generate AI summary for ${repo.name} with prompt: ${prompt.substring(0, 100)}...`);
-
-    // Placeholder implementation
-    return `🤖 AI Summary: This repository appears relevant to your interests in ${matchedKeywords.join(', ')} based on its description and README content.`;
-
-    /*
-    // Real implementation would look like this:
-    const response = await this.openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        {
-          role: "system",
-          content: "You are a technical analyst that helps developers understand GitHub repositories."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      max_tokens: 150
-    });
+    log(`Generating AI summary for ${repo.name}`);
 
-    return response.choices[0].message.content.trim();
-    */
+    return this.summaryProvider.summarize(prompt);
+  }
+
+  /**
+   * Get AI summary from cache or generate it.
+   * Cache key: repo + README SHA + prompt version + model + matched keywords
+   * @param {Object} repo - Repository object
+   * @param {Array} matchedKeywords - Keywords that matched
+   * @returns {Promise<?string>} AI summary
+   */
+  async getCachedAISummary(repo, matchedKeywords) {
+    const cacheKey = [
+      repo.name,
+      repo.readmeSha || 'no-readme',
+      `prompt-v${PROMPT_VERSION}`,
+      this.summaryProvider.options.model,
+      matchedKeywords.join(',')
+    ].join(':');
+
+    const cachedSummary = this.cache.get('summary', cacheKey);
+    if (cachedSummary) {
+      log(`Using cached AI summary for ${repo.name}`);
+      return cachedSummary;
+    }
+
+    const aiSummary = await this.generateAISummary(repo, matchedKeywords);
+    if (aiSummary) {
+      this.cache.set('summary', cacheKey, aiSummary);
+    }
+    return aiSummary;
   }
 
   /**
@@ -211,12 +318,23 @@ Analyze this GitHub repository and provide a one-sentence summary explaining why
 
 Repository: ${repo.name}
 Description: ${repo.description || 'No description'}
-README Excerpt: ${(repo.readmeContent || '').substring(0, 500)}
+README Excerpt: ${this.buildReadmeExcerpt(repo)}
 
 Focus on explaining the connection to the specified interests in a concise, informative way.
     `.trim();
   }
 
+  /**
+   * README excerpt for prompt: abstract and beginning of features section of processed README
+   * @param {Object} repo - Repository object
+   * @returns {string} Excerpt
+   */
+  buildReadmeExcerpt(repo) {
+    const features = repo.readmeSections ? repo.readmeSections.features.substring(0, 300) : '';
+    const excerpt = [repo.readmeAbstract, features].filter(Boolean).join('\nFeatures: ');
+    return excerpt || (repo.readmeContent || '').substring(0, 500);
+  }
+
   /**
    * Get analysis statistics
    * @param {Array} analyzedRepos - Analyzed repositories
@@ -235,4 +353,18 @@ Focus on explaining the connection to the specified interests in a concise, info
   }
 }
 
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Build case-insensitive map of keyword weights
+ * @param {Object} [weights] - `keyword_weights` config section, e.g. {BCI: 10, AI: 1}
+ * @returns {Map<string, number>}
+ */
+function buildKeywordWeights(weights) {
+  weights = weights || {};
+  return new Map(Object.keys(weights).map(label => [label.toLowerCase(), Number(weights[label])]));
+}
+
 module.exports = SmartAnalyzer;
\ No newline at end of file
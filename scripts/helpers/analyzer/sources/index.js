@@ -0,0 +1,79 @@
+/**
+ * Repository Sources
+ *
+ * Source adapters provide candidate repositories for the radar pipeline.
+ * Every adapter has an `id` and async `fetch()` returning repositories in Trends shape.
+ * Results of all adapters are merged by repository name.
+ */
+
+const {log, logError} = require('../../logger');
+const TrendingSource = require('./trending-source');
+const SearchSource = require('./search-source');
+const TopicSource = require('./topic-source');
+const StaticListSource = require('./static-list-source');
+
+const ADAPTERS = {
+  trending: TrendingSource,
+  search: SearchSource,
+  topic: TopicSource,
+  static: StaticListSource,
+};
+
+const DEFAULT_SOURCES = [{type: 'trending'}];
+
+/**
+ * Create source adapters from `sources` config section
+ * @param {Object} config - Radar configuration
+ * @param {Object} [retryOptions] - Retry options for trending pages
+ * @returns {Array} Source adapters
+ */
+function createSources(config, retryOptions) {
+  const sourcesConfig = config.sources && config.sources.length > 0 ? config.sources : DEFAULT_SOURCES;
+  return sourcesConfig.map(options => {
+    const Adapter = ADAPTERS[options.type];
+    if (!Adapter) {
+      throw new Error(`Unknown repository source type: ${options.type}`);
+    }
+    return new Adapter(options, config, retryOptions);
+  });
+}
+
+/**
+ * Fetch repositories from all sources and merge them by name.
+ * Failed source does not break the whole extraction.
+ * @param {Array} sources - Source adapters
+ * @returns {Promise<Array>} Unique repositories with `sources` ids
+ */
+async function collectRepos(sources) {
+  const results = [];
+  for (const source of sources) {
+    try {
+      const repos = await source.fetch();
+      log(`Source ${source.id}: ${repos.length} repositories`);
+      results.push({source, repos});
+    } catch (error) {
+      logError(`Source ${source.id} failed:`, error.message);
+    }
+  }
+  return mergeRepos(results);
+}
+
+/**
+ * Merge repositories from several sources, first source wins for repo fields
+ * @param {Array<{source: Object, repos: Array}>} results - Fetched sources
+ * @returns {Array} Unique repositories
+ */
+function mergeRepos(results) {
+  const reposByName = new Map();
+  results.forEach(({source, repos}) => {
+    repos.forEach(repo => {
+      if (!reposByName.has(repo.name)) {
+        reposByName.set(repo.name, Object.assign({}, repo, {sources: []}));
+      }
+      reposByName.get(repo.name).sources.push(source.id);
+    });
+  });
+  return [...reposByName.values()];
+}
+
+module.exports = {createSources, collectRepos, mergeRepos};
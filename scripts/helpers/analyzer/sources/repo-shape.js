@@ -0,0 +1,54 @@
+/**
+ * Repository Shape
+ *
+ * Normalizes repositories from any source into the shape produced by Trends:
+ * {name, url, description, language, starsAdded, stars, forks}
+ */
+
+const NAME_REG = /^[\w.-]+\/[\w.-]+$/;
+
+/**
+ * Normalize raw repository fields
+ * @param {Object} fields - Raw fields, `name` is required
+ * @returns {Object} Normalized repository
+ */
+function normalizeRepo(fields) {
+  const name = String(fields.name || '').trim().replace(/^\/|\/$/g, '');
+  if (!NAME_REG.test(name)) {
+    throw new Error(`Invalid repository name: ${fields.name}`);
+  }
+  return {
+    name,
+    url: `https://github.com/${name}`,
+    description: toText(fields.description),
+    language: toText(fields.language),
+    starsAdded: toNumber(fields.starsAdded),
+    stars: toNumber(fields.stars),
+    forks: toNumber(fields.forks),
+  };
+}
+
+/**
+ * Normalize repository object returned by GitHub REST API (/repos, /search/repositories)
+ * @param {Object} apiRepo - GitHub API repository
+ * @returns {Object} Normalized repository
+ */
+function fromApiRepo(apiRepo) {
+  return normalizeRepo({
+    name: apiRepo.full_name,
+    description: apiRepo.description,
+    language: apiRepo.language,
+    stars: apiRepo.stargazers_count,
+    forks: apiRepo.forks_count,
+  });
+}
+
+function toText(value) {
+  return (value || '').trim();
+}
+
+function toNumber(value) {
+  return Number(value) || 0;
+}
+
+module.exports = {normalizeRepo, fromApiRepo};
@@ -0,0 +1,59 @@
+/**
+ * Search Source
+ *
+ * Candidate repositories from GitHub Search API queries, e.g. `created:>7d stars:>50 topic:llm`.
+ * Relative dates like `>7d` are expanded to absolute dates, as GitHub search expects.
+ */
+
+const RadarGitHubAPI = require('../radar-github-api');
+const {fromApiRepo} = require('./repo-shape');
+
+const DEFAULT_LIMIT = 30;
+const RELATIVE_DATE_REG = /\b((?:created|pushed|updated):[<>]=?)(\d+)d\b/g;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SearchSource {
+  constructor(options) {
+    if (!options.query) {
+      throw new Error('Search source requires `query` option');
+    }
+    this.id = `search:${options.query}`;
+    this.query = options.query;
+    this.limit = Math.min(options.limit || DEFAULT_LIMIT, 100);
+    this.githubApi = null;
+  }
+
+  /**
+   * @returns {Promise<Array>} Repositories in Trends shape
+   */
+  async fetch() {
+    const query = encodeURIComponent(SearchSource.expandRelativeDates(this.query));
+    const url = `/search/repositories?q=${query}&sort=stars&order=desc&per_page=${this.limit}`;
+    const response = await this.getGitHubApi().fetchJson('get', url);
+    return (response.result.items || []).map(fromApiRepo);
+  }
+
+  /**
+   * GitHub API client is created on first fetch, so a missing token fails only this source
+   * @returns {RadarGitHubAPI}
+   */
+  getGitHubApi() {
+    this.githubApi = this.githubApi || new RadarGitHubAPI();
+    return this.githubApi;
+  }
+
+  /**
+   * Replace relative dates (`created:>7d`) with absolute ones (`created:>2020-01-01`)
+   * @param {string} query - Search query
+   * @param {Date} [now] - Current date
+   * @returns {string}
+   */
+  static expandRelativeDates(query, now = new Date()) {
+    return query.replace(RELATIVE_DATE_REG, (match, qualifier, days) => {
+      const date = new Date(now.getTime() - Number(days) * DAY_MS);
+      return `${qualifier}${date.toISOString().substring(0, 10)}`;
+    });
+  }
+}
+
+module.exports = SearchSource;
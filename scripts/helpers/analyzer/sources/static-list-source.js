@@ -0,0 +1,68 @@
+/**
+ * Static List Source
+ *
+ * Candidate repositories from a local file: YAML/JSON array or plain text with one `owner/repo` per line.
+ * Repository details are loaded from GitHub API.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const {log, logError} = require('../../logger');
+const RadarGitHubAPI = require('../radar-github-api');
+const {fromApiRepo} = require('./repo-shape');
+
+class StaticListSource {
+  constructor(options) {
+    if (!options.path) {
+      throw new Error('Static list source requires `path` option');
+    }
+    this.id = `static:${options.path}`;
+    this.path = path.resolve(process.cwd(), options.path);
+    this.githubApi = null;
+  }
+
+  /**
+   * @returns {Promise<Array>} Repositories in Trends shape
+   */
+  async fetch() {
+    const names = StaticListSource.parse(fs.readFileSync(this.path, 'utf8'), this.path);
+    log(`Static list ${this.path}: ${names.length} repositories`);
+    const repos = [];
+    for (const name of names) {
+      try {
+        const response = await this.getGitHubApi().fetchJson('get', `/repos/${name}`);
+        repos.push(fromApiRepo(response.result));
+      } catch (error) {
+        logError(`Failed to load repo ${name} from static list:`, error.message);
+      }
+    }
+    return repos;
+  }
+
+  /**
+   * GitHub API client is created on first fetch, so a missing token fails only this source
+   * @returns {RadarGitHubAPI}
+   */
+  getGitHubApi() {
+    this.githubApi = this.githubApi || new RadarGitHubAPI();
+    return this.githubApi;
+  }
+
+  /**
+   * Parse repository names from file content
+   * @param {string} content - File content
+   * @param {string} filePath - File path, used to detect format
+   * @returns {Array<string>} Repository names
+   */
+  static parse(content, filePath) {
+    if (/\.(ya?ml|json)$/i.test(filePath)) {
+      return (yaml.load(content) || []).map(String);
+    }
+    return content.split('\n')
+      .map(line => line.replace(/#.*$/, '').trim())
+      .filter(Boolean);
+  }
+}
+
+module.exports = StaticListSource;
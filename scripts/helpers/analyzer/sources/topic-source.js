@@ -0,0 +1,78 @@
+/**
+ * Topic Source
+ *
+ * Candidate repositories scraped from https://github.com/topics/<topic> pages.
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const {log} = require('../../logger');
+const {normalizeRepo} = require('./repo-shape');
+
+const TOPICS_URL = 'https://github.com/topics';
+
+const request = axios.create({
+  timeout: 30 * 1000,
+});
+
+class TopicSource {
+  constructor(options) {
+    if (!options.topic) {
+      throw new Error('Topic source requires `topic` option');
+    }
+    this.id = `topic:${options.topic}`;
+    this.url = `${TOPICS_URL}/${encodeURIComponent(options.topic)}?o=desc&s=updated`;
+  }
+
+  /**
+   * @returns {Promise<Array>} Repositories in Trends shape
+   */
+  async fetch() {
+    log(`Fetching topic page: ${this.url}`);
+    const response = await request(this.url, {headers: {Accept: 'text/html'}});
+    return TopicSource.parse(response.data);
+  }
+
+  /**
+   * Parse repositories from topic page html, articles with invalid repository are skipped
+   * @param {string} html - Topic page html
+   * @returns {Array} Repositories in Trends shape
+   */
+  static parse(html) {
+    const $ = cheerio.load(html);
+    return $('article').toArray()
+      .map(article => $(article))
+      .filter($article => $article.find('h3 a').length > 0)
+      .map(parseArticle)
+      .filter(Boolean);
+  }
+}
+
+/**
+ * Parse repository of topic page article
+ * @returns {?Object} Repository in Trends shape, null if article has no valid repository
+ */
+function parseArticle($article) {
+  try {
+    return normalizeRepo({
+      name: $article.find('h3 a').last().attr('href'),
+      description: $article.find('p').first().text(),
+      language: $article.find('[itemprop=programmingLanguage]').text(),
+      stars: parseCount($article.find('[id^=repo-stars-counter]').first()),
+    });
+  } catch (error) {
+    log(`Skipped topic article: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Parse counters like "1,234" or "12.3k"
+ */
+function parseCount($el) {
+  const text = ($el.attr('title') || $el.text()).trim().replace(/,/g, '').toLowerCase();
+  const multiplier = text.endsWith('k') ? 1000 : 1;
+  return Math.round(parseFloat(text) * multiplier) || 0;
+}
+
+module.exports = TopicSource;
@@ -0,0 +1,23 @@
+/**
+ * Trending Source
+ *
+ * Candidate repositories from GitHub trending pages.
+ */
+
+const TrendingExtractor = require('../trending-extractor');
+
+class TrendingSource {
+  constructor(options, config, retryOptions) {
+    this.id = 'trending';
+    this.extractor = new TrendingExtractor(Object.assign({}, config, options), retryOptions);
+  }
+
+  /**
+   * @returns {Promise<Array>} Repositories in Trends shape
+   */
+  async fetch() {
+    return this.extractor.extract();
+  }
+}
+
+module.exports = TrendingSource;
@@ -0,0 +1,102 @@
+/**
+ * Summary Provider Module
+ *
+ * Generates AI summaries through any OpenAI-compatible `/chat/completions` endpoint
+ * (OpenAI, Ollama, vLLM, local stub server). Failed requests are retried,
+ * after that the provider falls back to no summary.
+ */
+
+const axios = require('axios');
+const axiosRetry = require('axios-retry');
+const {log, logError} = require('../logger');
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+const DEFAULTS = {
+  base_url: OPENAI_BASE_URL,
+  model: 'gpt-4o-mini',
+  max_tokens: 150,
+  temperature: 0.2,
+  timeout_ms: 30 * 1000,
+  retries: 2,
+  api_key_env: 'OPENAI_API_KEY'
+};
+
+const SYSTEM_PROMPT = 'You are a technical analyst that helps developers understand GitHub repositories.';
+
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} [options] - `ai_provider` config section
+   * @param {string} [apiKey] - API key, not required for local endpoints
+   */
+  constructor(options = {}, apiKey) {
+    this.options = Object.assign({}, DEFAULTS, options);
+    this.request = axios.create({
+      baseURL: this.options.base_url.replace(/\/$/, ''),
+      timeout: this.options.timeout_ms,
+      headers: apiKey ? {Authorization: `Bearer ${apiKey}`} : {}
+    });
+
+    // Retry network errors, timeouts, rate limits and server errors (POST is not retried by default)
+    axiosRetry(this.request, {
+      retries: this.options.retries,
+      shouldResetTimeout: true,
+      retryCondition: isRetryable,
+      retryDelay: retryNumber => {
+        log(`AI provider retry attempt: ${retryNumber}`);
+        return axiosRetry.exponentialDelay(retryNumber);
+      }
+    });
+  }
+
+  /**
+   * Generate summary for prompt
+   * @param {string} prompt - User prompt
+   * @returns {Promise<?string>} Summary or null if provider failed
+   */
+  async summarize(prompt) {
+    try {
+      const response = await this.request.post('/chat/completions', {
+        model: this.options.model,
+        max_tokens: this.options.max_tokens,
+        temperature: this.options.temperature,
+        messages: [
+          {role: 'system', content: SYSTEM_PROMPT},
+          {role: 'user', content: prompt}
+        ]
+      });
+      return extractContent(response.data);
+    } catch (error) {
+      logError(`AI provider request failed (${this.options.base_url}): ${error.message}`);
+      return null;
+    }
+  }
+}
+
+/**
+ * Create summary provider from config.
+ * API key is read from env variable `ai_provider.api_key_env` and is required only for the OpenAI endpoint.
+ * @param {Object} config - Radar configuration
+ * @returns {?OpenAICompatibleProvider} Provider or null if summaries can't be generated
+ */
+function createSummaryProvider(config) {
+  const options = Object.assign({}, DEFAULTS, config.ai_provider);
+  const apiKey = process.env[options.api_key_env];
+  if (!apiKey && options.base_url === OPENAI_BASE_URL) {
+    return null;
+  }
+  return new OpenAICompatibleProvider(options, apiKey);
+}
+
+function isRetryable(error) {
+  const status = error.response && error.response.status;
+  return !status || status === 429 || status >= 500;
+}
+
+function extractContent(data) {
+  const choice = data && data.choices && data.choices[0];
+  const content = choice && choice.message && choice.message.content;
+  return content ? content.trim() : null;
+}
+
+module.exports = {OpenAICompatibleProvider, createSummaryProvider};
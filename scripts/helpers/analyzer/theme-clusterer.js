@@ -0,0 +1,189 @@
+/**
+ * Theme Clusterer Module
+ *
+ * Groups the day's relevant repositories into themes ("Agent / Framework", "Memory / RAG")
+ * without external services: repositories are compared by weighted overlap of topics,
+ * matched keywords and description terms, then merged by average-linkage clustering.
+ * Every clustered repository gets `theme` label, singletons stay without theme.
+ */
+
+const {log} = require('../logger');
+
+const DEFAULTS = {
+  enabled: true,
+  min_similarity: 0.2,
+  min_size: 2,
+  min_repos: 4
+};
+
+// Feature weights: topics and matched keywords say more about theme than description words
+const FEATURE_WEIGHTS = {
+  topic: 3,
+  keyword: 2,
+  term: 1
+};
+
+const STOPWORDS = new Set(('a an the and or for with to of in on by from your you our is are be been that this these ' +
+  'it its as at based using use used open source tool tools simple fast easy powerful written built build new more ' +
+  'all any via into can will than just also only other like over most best first one two way make made free high ' +
+  'github repo repository project support supports including etc').split(' '));
+
+const TERM_REG = new RegExp('[\\p{L}\\p{N}][\\p{L}\\p{N}+#.-]*[\\p{L}\\p{N}+#]|[\\p{L}\\p{N}]', 'gu');
+const MAX_LABEL_FEATURES = 2;
+
+class ThemeClusterer {
+  /**
+   * @param {Object} [options] - `themes` config section
+   */
+  constructor(options = {}) {
+    this.options = Object.assign({}, DEFAULTS, options);
+  }
+
+  /**
+   * Add `theme` label to relevant repositories that belong to a cluster
+   * @param {Array} repos - Analyzed repositories
+   * @param {number} minRelevanceScore - Repositories below this score are not clustered
+   * @returns {Array} Repositories, clustered ones with `theme`
+   */
+  annotate(repos, minRelevanceScore) {
+    const relevant = repos.filter(repo => repo.relevanceScore >= minRelevanceScore);
+    if (!this.options.enabled || relevant.length < this.options.min_repos) {
+      return repos;
+    }
+    const themes = new Map();
+    this.cluster(relevant).forEach(cluster => {
+      cluster.repos.forEach(repo => themes.set(repo.name, cluster.label));
+    });
+    const themeCount = new Set(themes.values()).size;
+    log(`Themes: ${themeCount} themes for ${themes.size} of ${relevant.length} relevant repositories`);
+    return repos.map(repo => (themes.has(repo.name) ? Object.assign({}, repo, {theme: themes.get(repo.name)}) : repo));
+  }
+
+  /**
+   * Cluster repositories
+   * @param {Array} repos - Relevant repositories
+   * @returns {Array<{label: string, repos: Array}>} Clusters of at least `min_size` repositories
+   */
+  cluster(repos) {
+    const features = repos.map(extractFeatures);
+    let clusters = repos.map((repo, index) => [index]);
+
+    // Merge the most similar pair of clusters while it is similar enough
+    for (;;) {
+      const best = findMostSimilarPair(clusters, features);
+      if (!best || best.similarity < this.options.min_similarity) {
+        break;
+      }
+      const merged = clusters[best.i].concat(clusters[best.j]);
+      clusters = clusters.filter((cluster, index) => index !== best.i && index !== best.j).concat([merged]);
+    }
+
+    return clusters
+      .filter(cluster => cluster.length >= this.options.min_size)
+      .map(cluster => ({
+        label: buildLabel(cluster.map(index => features[index])),
+        repos: cluster.map(index => repos[index])
+      }));
+  }
+}
+
+/**
+ * Weighted features of repository: topics, matched keywords and description terms
+ * @returns {Map<string, {weight: number, text: string}>} Features by key
+ */
+function extractFeatures(repo) {
+  const features = new Map();
+  const add = (kind, text) => {
+    const key = normalizeTerm(text);
+    const existing = features.get(key);
+    if (existing) {
+      existing.weight = Math.max(existing.weight, FEATURE_WEIGHTS[kind]);
+    } else if (key) {
+      features.set(key, {weight: FEATURE_WEIGHTS[kind], text: kind === 'topic' ? text.replace(/-/g, ' ') : text});
+    }
+  };
+  // Keywords first for their configured spelling ("RAG"), topics then take over their weight
+  (repo.matchedKeywords || []).forEach(keyword => add('keyword', keyword));
+  (repo.topics || []).forEach(topic => add('topic', topic));
+  ((repo.description || '').match(TERM_REG) || [])
+    .filter(term => term.length > 2 && !STOPWORDS.has(term.toLowerCase()))
+    .forEach(term => add('term', term.toLowerCase()));
+  return features;
+}
+
+/**
+ * Lower-case, singular form of term, so `Agents`, `agent` and topic `agents` are the same feature
+ */
+function normalizeTerm(text) {
+  const term = String(text).toLowerCase().replace(/[\s_]+/g, '-');
+  return term.length > 4 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term;
+}
+
+/**
+ * Weighted Jaccard similarity of two feature maps
+ */
+function similarity(a, b) {
+  let shared = 0;
+  let total = 0;
+  new Set([...a.keys(), ...b.keys()]).forEach(key => {
+    const weight = (a.get(key) || b.get(key)).weight;
+    total += weight;
+    if (a.has(key) && b.has(key)) {
+      shared += weight;
+    }
+  });
+  return total > 0 ? shared / total : 0;
+}
+
+/**
+ * Average similarity of all pairs between two clusters
+ */
+function linkage(clusterA, clusterB, features) {
+  let sum = 0;
+  clusterA.forEach(i => clusterB.forEach(j => {
+    sum += similarity(features[i], features[j]);
+  }));
+  return sum / (clusterA.length * clusterB.length);
+}
+
+function findMostSimilarPair(clusters, features) {
+  const pairs = [];
+  for (let i = 0; i < clusters.length; i++) {
+    for (let j = i + 1; j < clusters.length; j++) {
+      pairs.push({i, j, similarity: linkage(clusters[i], clusters[j], features)});
+    }
+  }
+  return pairs.reduce((best, pair) => (!best || pair.similarity > best.similarity ? pair : best), null);
+}
+
+/**
+ * Label from features shared by most members, weighted by feature kind, e.g. "Agent / Framework"
+ * @param {Array<Map>} memberFeatures - Features of cluster members
+ * @returns {string} Label
+ */
+function buildLabel(memberFeatures) {
+  const scores = new Map();
+  memberFeatures.forEach(features => features.forEach((feature, key) => {
+    const score = scores.get(key) || {key, text: feature.text, count: 0, weight: feature.weight};
+    score.count++;
+    scores.set(key, score);
+  }));
+  const shared = [...scores.values()]
+    .filter(score => score.count > 1)
+    .sort((a, b) => b.count * b.weight - a.count * a.weight || a.key.localeCompare(b.key));
+
+  const labelFeatures = [];
+  shared.forEach(score => {
+    const overlaps = labelFeatures.some(feature => feature.key.includes(score.key) || score.key.includes(feature.key));
+    if (labelFeatures.length < MAX_LABEL_FEATURES && !overlaps) {
+      labelFeatures.push(score);
+    }
+  });
+  return labelFeatures.map(feature => capitalize(feature.text)).join(' / ') || 'Related';
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = ThemeClusterer;
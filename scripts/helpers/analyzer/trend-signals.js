@@ -0,0 +1,126 @@
+/**
+ * Trend Signals Module
+ *
+ * Computes momentum signals from the history store:
+ * star velocity (stars per day over the last N snapshots), acceleration
+ * and number of consecutive days on trending.
+ */
+
+const {toDateKey} = require('./history-store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WINDOW = 7;
+
+class TrendSignals {
+  /**
+   * @param {HistoryStore} historyStore - History of previous runs
+   * @param {Object} [options] - `signals` config section
+   */
+  constructor(historyStore, options = {}) {
+    this.historyStore = historyStore;
+    this.window = options.window || DEFAULT_WINDOW;
+  }
+
+  /**
+   * Add `signals` to every repository
+   * @param {Array} repos - Repositories of current run
+   * @param {Date} [now] - Current run time
+   * @returns {Array} Repositories with signals
+   */
+  annotate(repos, now = new Date()) {
+    return repos.map(repo => Object.assign({}, repo, {signals: this.compute(repo, now)}));
+  }
+
+  /**
+   * Compute signals for single repository
+   * @param {Object} repo - Repository of current run
+   * @param {Date} [now] - Current run time
+   * @returns {{starVelocity: ?number, acceleration: ?number, trendingStreak: number, snapshots: number}}
+   */
+  compute(repo, now = new Date()) {
+    const entries = this.historyStore.getByRepo(repo.name);
+    const points = this.buildStarSeries(entries, repo, now).slice(-this.window);
+    return {
+      // Average over the whole window, from its first to its last snapshot
+      starVelocity: velocity(points.length > 1 ? points[0] : null, points[points.length - 1]),
+      acceleration: acceleration(points),
+      trendingStreak: this.countStreak(entries, repo, now),
+      snapshots: points.length,
+    };
+  }
+
+  /**
+   * Build one {date, stars} point per day, the last observation of the day wins
+   * @returns {Array<{date: string, stars: number}>} Points ordered by date
+   */
+  buildStarSeries(entries, repo, now) {
+    const starsByDate = new Map();
+    entries.forEach(entry => {
+      const stars = (entry.metadata && entry.metadata.starsCount) || entry.trending.stars;
+      if (stars) {
+        starsByDate.set(entry.date, stars);
+      }
+    });
+    const currentStars = repo.starsCount || repo.stars;
+    if (currentStars) {
+      starsByDate.set(toDateKey(now), currentStars);
+    }
+    return [...starsByDate.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, stars]) => ({date, stars}));
+  }
+
+  /**
+   * Count consecutive days on trending, ending today
+   * @returns {number} Days on trending
+   */
+  countStreak(entries, repo, now) {
+    const trendingDates = new Set(entries.filter(isTrendingEntry).map(entry => entry.date));
+    if (isTrending(repo)) {
+      trendingDates.add(toDateKey(now));
+    }
+    let streak = 0;
+    let day = new Date(now);
+    while (trendingDates.has(toDateKey(day))) {
+      streak++;
+      day = new Date(day.getTime() - DAY_MS);
+    }
+    return streak;
+  }
+}
+
+/**
+ * Stars per day between two points
+ */
+function velocity(from, to) {
+  if (!from || !to) {
+    return null;
+  }
+  return (to.stars - from.stars) / daysBetween(from.date, to.date);
+}
+
+/**
+ * Change of velocity per day between the two last segments of series
+ */
+function acceleration(points) {
+  if (points.length < 3) {
+    return null;
+  }
+  const [first, middle, last] = points.slice(-3);
+  const span = daysBetween(first.date, last.date) / 2;
+  return (velocity(middle, last) - velocity(first, middle)) / span;
+}
+
+function daysBetween(fromDate, toDate) {
+  return Math.max(1, Math.round((Date.parse(toDate) - Date.parse(fromDate)) / DAY_MS));
+}
+
+function isTrending(repo) {
+  return Boolean(repo.trendingPages && repo.trendingPages.length > 0);
+}
+
+function isTrendingEntry(entry) {
+  return isTrending(entry.trending);
+}
+
+module.exports = TrendSignals;
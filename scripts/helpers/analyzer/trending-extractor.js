@@ -0,0 +1,153 @@
+/**
+ * Trending Extractor Module
+ *
+ * Builds one trending page url per target language and period,
+ * fetches pages with bounded concurrency and merges repositories by name.
+ */
+
+const {log, logError} = require('../logger');
+const {mapLimit} = require('../concurrency');
+const Trends = require('../trends');
+const {toSlug} = require('./languages');
+
+const TRENDING_URL = 'https://github.com/trending';
+const DEFAULT_PERIODS = ['daily'];
+const DEFAULT_CONCURRENCY = 3;
+// Stars added on pages of different periods are compared per day
+const PERIOD_DAYS = {daily: 1, weekly: 7, monthly: 30};
+const PERIOD_LABELS = {daily: 'today', weekly: 'this week', monthly: 'this month'};
+
+class TrendingExtractor {
+  constructor(config, retryOptions) {
+    this.languages = config.target_languages || [];
+    this.periods = config.trending_periods || DEFAULT_PERIODS;
+    this.concurrency = config.trending_concurrency || DEFAULT_CONCURRENCY;
+    this.retryOptions = retryOptions;
+    this.baseUrl = TRENDING_URL;
+    this.driftReports = [];
+  }
+
+  /**
+   * Fetch all trending pages and merge their repositories
+   * @returns {Promise<Array>} Unique repositories with the pages they were found on
+   */
+  async extract() {
+    const pages = this.buildPages();
+    log(`Fetching ${pages.length} trending pages (concurrency: ${this.concurrency})`);
+    const results = await mapLimit(pages, this.concurrency, page => this.fetchPage(page));
+    const repos = this.mergeRepos(results);
+    log(`Merged ${repos.length} unique repositories from ${pages.length} trending pages`);
+    this.logDriftReports();
+    return repos;
+  }
+
+  /**
+   * Build trending pages for every language and period.
+   * Empty language list means the "All languages" page.
+   * @returns {Array<{language: string, since: string, url: string}>}
+   */
+  buildPages() {
+    const languages = this.languages.length > 0 ? this.languages : [''];
+    const pages = [];
+    languages.forEach(language => {
+      this.periods.forEach(since => pages.push({language, since, url: this.buildUrl(language, since)}));
+    });
+    return pages;
+  }
+
+  /**
+   * Build trending page url
+   * @param {string} language - Language slug, display name or alias, empty for all languages
+   * @param {string} since - Period: daily, weekly or monthly
+   * @returns {string}
+   */
+  buildUrl(language, since) {
+    const langPath = language ? `/${encodeURIComponent(toSlug(language))}` : '';
+    return `${this.baseUrl}${langPath}?since=${since}`;
+  }
+
+  /**
+   * Fetch single trending page. Failed page does not break the whole extraction.
+   * @param {Object} page - Trending page
+   * @returns {Promise<{page: Object, repos: Array}>}
+   */
+  async fetchPage(page) {
+    try {
+      const trends = this.createPage(page.url);
+      const repos = await trends.getAll();
+      if (trends.driftReport) {
+        this.driftReports.push(trends.driftReport);
+      }
+      return {page, repos};
+    } catch (error) {
+      logError(error);
+      log(`Skipping trending page: ${page.url}`);
+      return {page, repos: []};
+    }
+  }
+
+  /**
+   * Log summary of parser drift reports (full reports and html are saved to artifacts by Trends)
+   */
+  logDriftReports() {
+    if (this.driftReports.length === 0) {
+      return;
+    }
+    const fields = new Set();
+    this.driftReports.forEach(report => Object.keys(report.fields).forEach(field => fields.add(field)));
+    log(`⚠️ Parser drift on ${this.driftReports.length} trending pages, invalid fields: ${[...fields].join(', ')}`);
+  }
+
+  /**
+   * Create trending page parser
+   * @param {string} url - Trending page url
+   * @returns {Trends}
+   */
+  createPage(url) {
+    return new Trends(url, this.retryOptions);
+  }
+
+  /**
+   * Merge repositories from all pages, de-duplicating by name.
+   * `starsAdded` comes from the page of the shortest period, `starsAddedSince` is its period.
+   * @param {Array<{page: Object, repos: Array}>} results - Fetched pages
+   * @returns {Array} Unique repositories sorted by stars added per day
+   */
+  mergeRepos(results) {
+    const reposByName = new Map();
+    results.forEach(({page, repos}) => repos.forEach(repo => mergeRepo(reposByName, repo, page)));
+    return [...reposByName.values()].sort((a, b) => getDailyStars(b) - getDailyStars(a));
+  }
+}
+
+function mergeRepo(reposByName, repo, page) {
+  const trendingPage = {language: page.language, since: page.since, url: page.url, starsAdded: repo.starsAdded};
+  if (!reposByName.has(repo.name)) {
+    reposByName.set(repo.name, Object.assign({}, repo, {starsAddedSince: page.since, trendingPages: []}));
+  }
+  const merged = reposByName.get(repo.name);
+  merged.trendingPages.push(trendingPage);
+  if (PERIOD_DAYS[page.since] < PERIOD_DAYS[merged.starsAddedSince]) {
+    Object.assign(merged, {starsAdded: repo.starsAdded, starsAddedSince: page.since});
+  }
+}
+
+function getDailyStars(repo) {
+  return (repo.starsAdded || 0) / (PERIOD_DAYS[repo.starsAddedSince] || 1);
+}
+
+/**
+ * Report note of stars added on the trending page of the shortest period, e.g. ` **+120** stars this week`
+ * @param {Object} repo - Repository
+ * @returns {string} Note or empty string
+ */
+function formatStarsAdded(repo) {
+  if (!repo.starsAdded) {
+    return '';
+  }
+  return ` **+${repo.starsAdded}** stars ${PERIOD_LABELS[repo.starsAddedSince] || PERIOD_LABELS.daily}`;
+}
+
+module.exports = TrendingExtractor;
+module.exports.TRENDING_URL = TRENDING_URL;
+module.exports.formatStarsAdded = formatStarsAdded;
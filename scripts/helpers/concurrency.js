@@ -0,0 +1,26 @@
+/**
+ * Runs async tasks with bounded concurrency.
+ */
+
+/**
+ * Maps items with async fn, running at most `limit` calls at the same time.
+ * Result order matches items order.
+ *
+ * @param {Array} items
+ * @param {Number} limit
+ * @param {Function} fn
+ * @returns {Promise<Array>}
+ */
+exports.mapLimit = async function (items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  const workersCount = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({length: workersCount}, worker));
+  return results;
+};
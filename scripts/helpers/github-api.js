@@ -1,5 +1,6 @@
 /**
  * GitHub API.
+ * Requests go through the shared rate-limit-aware scheduler.
  */
 
 const assert = require('assert');
@@ -8,6 +9,7 @@ const axiosRetry = require('axios-retry');
 const parseLinkHeader = require('parse-link-header');
 const config = require('../config');
 const {log} = require('./logger');
+const {shared: scheduler} = require('./request-scheduler');
 
 assert(config.githubToken, 'Empty GitHub token. Check env variables.');
 
@@ -38,7 +40,7 @@ axiosRetry(request, {
 exports.fetchJson = async function (method, url, data) {
   method = method.toUpperCase();
   log(method, url);
-  const response = await request({method, url, data});
+  const response = await scheduler.schedule(() => request({method, url, data}));
   const pages = parseLinkHeader(response.headers.link);
   return {result: response.data, pages};
   // if (response.ok) {
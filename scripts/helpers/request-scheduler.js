@@ -0,0 +1,238 @@
+/**
+ * Rate-limit-aware scheduler of GitHub API requests.
+ *
+ * Every request of `github-api.js` and `RadarGitHubAPI` goes through the shared instance:
+ * - at most `concurrency` requests run at the same time
+ * - quota of every resource (core, search, graphql) is read from `X-RateLimit-*` headers;
+ *   requests are spread until reset when few are left, and paused until reset when almost none are left
+ * - rate-limited responses (403/429 with exhausted quota, or secondary limit reported by `Retry-After`
+ *   or error message) pause all requests and are retried, unless the wait is longer than `max_wait_minutes`
+ * - quota usage is reported at the end of the run
+ */
+
+const {log} = require('./logger');
+
+const DEFAULTS = {
+  concurrency: 4,
+  min_remaining: 10,
+  throttle_remaining: 100,
+  max_wait_minutes: 15,
+  retries: 2
+};
+
+const RATE_LIMIT_STATUSES = [403, 429];
+// Secondary rate limits without Retry-After ask to wait at least a minute
+const SECONDARY_LIMIT_WAIT_MS = 60 * 1000;
+const SECONDARY_LIMIT_REG = /secondary rate limit/i;
+
+class RequestScheduler {
+  /**
+   * @param {Object} [options] - `rate_limit` config section
+   * @param {Object} [clock] - Timer functions, replaced in tests
+   * @param {Function} [clock.now] - () => current time in ms
+   * @param {Function} [clock.sleep] - async (ms) => void
+   */
+  constructor(options = {}, clock = {}) {
+    this.now = clock.now || Date.now;
+    this.sleep = clock.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.quotas = new Map();
+    this.pausedUntil = 0;
+    this.active = 0;
+    this.waiting = [];
+    this.stats = {requests: 0, throttled: 0, retried: 0, waitedMs: 0};
+    this.configure(options);
+  }
+
+  /**
+   * Apply `rate_limit` config section, called once the config is loaded
+   * @param {Object} [options]
+   */
+  configure(options = {}) {
+    this.options = Object.assign({}, DEFAULTS, options);
+  }
+
+  /**
+   * Run request when a slot is free and the quota allows it
+   * @param {Function} requestFn - async () => axios response
+   * @param {string} [resource] - Rate limit resource: core, search or graphql
+   * @returns {Promise<Object>} Response
+   */
+  async schedule(requestFn, resource = 'core') {
+    await this.acquire();
+    try {
+      return await this.execute(requestFn, resource, 0);
+    } finally {
+      this.release();
+    }
+  }
+
+  async execute(requestFn, resource, attempt) {
+    await this.waitForQuota(resource);
+    this.stats.requests++;
+    try {
+      const response = await requestFn();
+      this.update(response.headers);
+      return response;
+    } catch (error) {
+      const waitMs = error.response ? this.getRetryDelay(error.response) : null;
+      if (waitMs === null || attempt >= this.options.retries || waitMs > this.getMaxWaitMs()) {
+        throw error;
+      }
+      log(`GitHub API rate limit hit (${error.response.status}), retrying in ${Math.ceil(waitMs / 1000)}s`);
+      this.pausedUntil = Math.max(this.pausedUntil, this.now() + waitMs);
+      this.stats.retried++;
+      return this.execute(requestFn, resource, attempt + 1);
+    }
+  }
+
+  /**
+   * Wait while all requests are paused, then while quota of resource is low
+   * @param {string} resource - Rate limit resource
+   */
+  async waitForQuota(resource) {
+    const waitMs = Math.max(this.pausedUntil - this.now(), this.getThrottleDelay(resource));
+    if (waitMs <= 0) {
+      return;
+    }
+    this.stats.throttled++;
+    this.stats.waitedMs += waitMs;
+    await this.sleep(waitMs);
+  }
+
+  /**
+   * Delay before next request of resource: until reset if almost nothing is left,
+   * remaining time spread evenly over remaining requests if few are left
+   * @param {string} resource - Rate limit resource
+   * @returns {number} Delay in ms, 0 if quota is unknown or sufficient
+   */
+  getThrottleDelay(resource) {
+    const quota = this.quotas.get(resource);
+    const untilReset = quota ? quota.reset - this.now() : 0;
+    if (untilReset <= 0 || quota.remaining > this.options.throttle_remaining) {
+      return 0;
+    }
+    if (quota.remaining <= this.options.min_remaining) {
+      if (untilReset > this.getMaxWaitMs()) {
+        return 0;
+      }
+      log(`GitHub API ${resource} quota: ${quota.remaining} left, pausing until reset`);
+      return untilReset;
+    }
+    return Math.floor(untilReset / quota.remaining);
+  }
+
+  /**
+   * Delay before retry of rate-limited response
+   * @param {Object} response - Error response
+   * @returns {?number} Delay in ms, null if response isn't rate-limited
+   */
+  getRetryDelay(response) {
+    const headers = response.headers || {};
+    this.update(headers);
+    if (!RATE_LIMIT_STATUSES.includes(response.status)) {
+      return null;
+    }
+    if (headers['retry-after']) {
+      return this.parseRetryAfter(headers['retry-after']);
+    }
+    if (headers['x-ratelimit-remaining'] === '0') {
+      return Math.max(0, Number(headers['x-ratelimit-reset']) * 1000 - this.now());
+    }
+    // 403 without rate limit headers is a permission error, unless its message reports a secondary limit
+    return isSecondaryLimit(response) ? SECONDARY_LIMIT_WAIT_MS : null;
+  }
+
+  /**
+   * `Retry-After` is delay in seconds or HTTP-date
+   * @param {string} value - Header value
+   * @returns {?number} Delay in ms, null if header can't be parsed
+   */
+  parseRetryAfter(value) {
+    if (/^\s*\d+\s*$/.test(value)) {
+      return Number(value) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - this.now());
+  }
+
+  /**
+   * Remember quota from `X-RateLimit-*` headers
+   * @param {Object} [headers] - Response headers
+   */
+  update(headers) {
+    if (!headers || headers['x-ratelimit-remaining'] === undefined) {
+      return;
+    }
+    this.setQuota(headers['x-ratelimit-resource'] || 'core', {
+      limit: headers['x-ratelimit-limit'],
+      remaining: headers['x-ratelimit-remaining'],
+      used: headers['x-ratelimit-used'],
+      reset: headers['x-ratelimit-reset']
+    });
+  }
+
+  /**
+   * @param {string} resource - Rate limit resource
+   * @param {Object} rate - `limit`, `remaining`, `used` and `reset` epoch seconds, as in `/rate_limit` response
+   */
+  setQuota(resource, rate) {
+    this.quotas.set(resource, {
+      limit: Number(rate.limit),
+      remaining: Number(rate.remaining),
+      used: Number(rate.used || 0),
+      reset: Number(rate.reset) * 1000
+    });
+  }
+
+  async acquire() {
+    if (this.active < this.options.concurrency) {
+      this.active++;
+      return;
+    }
+    // Slot is handed over by release() without decrementing `active`
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  getMaxWaitMs() {
+    return this.options.max_wait_minutes * 60 * 1000;
+  }
+
+  /**
+   * Quota usage of every resource seen in this run
+   * @returns {string}
+   */
+  getReport() {
+    const {requests, throttled, retried, waitedMs} = this.stats;
+    const quotas = [...this.quotas.entries()].map(([resource, quota]) => {
+      const reset = new Date(quota.reset).toISOString();
+      return `${resource} ${quota.used}/${quota.limit} used, ${quota.remaining} left until ${reset}`;
+    });
+    return `GitHub API: ${requests} requests, ${throttled} throttled (${Math.round(waitedMs / 1000)}s), ` +
+      `${retried} retried after rate limit${quotas.length > 0 ? `; ${quotas.join('; ')}` : ''}`;
+  }
+
+  logReport() {
+    log(this.getReport());
+  }
+}
+
+/**
+ * 429, or 403 with "You have exceeded a secondary rate limit" message and no `Retry-After`
+ */
+function isSecondaryLimit(response) {
+  const message = (response.data && response.data.message) || '';
+  return response.status === 429 || SECONDARY_LIMIT_REG.test(message);
+}
+
+module.exports = RequestScheduler;
+// Shared by all GitHub API clients of the process
+module.exports.shared = new RequestScheduler();
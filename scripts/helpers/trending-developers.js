@@ -0,0 +1,58 @@
+/**
+ * Grabs trending developers from https://github.com/trending/developers/<lang>.
+ *
+ * Uses the same loading and retry logic as Trends, only parsing differs (no selector sets and drift detection):
+ * every row is a developer with their most popular repo.
+ */
+const {throwIf} = require('throw-utils');
+const {log} = require('./logger');
+const Trends = require('./trends');
+
+module.exports = class TrendingDevelopers extends Trends {
+  _parseRepos() {
+    // Retried page load parses the page again
+    this._repos = [];
+    this._queryRepos();
+    this._domRepos.each((index, developer) => this._extractRepoInfo(developer));
+  }
+
+  _queryRepos() {
+    const developerSelector = 'article.Box-row';
+    this._domRepos = this._$(developerSelector);
+    log(`Found trending developers: ${this._domRepos.length} by selector: ${developerSelector}`);
+  }
+
+  _extractRepoInfo(developer) {
+    const $developer = this._$(developer);
+    const loginSelector = 'h1.h3 a';
+    const login = ($developer.find(loginSelector).attr('href') || '').replace(/^\//, '');
+    throwIf(!login, `Can't find developer login by selector '${loginSelector}' on: ${this._url}`);
+    // popular repo is a nested article
+    const $popularRepo = $developer.find('article');
+    const popularRepoName = ($popularRepo.find('h1 a').attr('href') || '').replace(/^\//, '');
+    const info = {
+      login,
+      name: $developer.find(loginSelector).text().trim(),
+      url: `https://github.com/${login}`,
+      popularRepo: popularRepoName ? {
+        name: popularRepoName,
+        url: `https://github.com/${popularRepoName}`,
+        description: $popularRepo.find('.f6').text().trim(),
+      } : null,
+    };
+    this._repos.push(info);
+  }
+
+  /**
+   * GitHub shows: It looks like we don’t have any trending developers for %lang%
+   */
+  _isNoRepos() {
+    const message = this._$('.blankslate').text();
+    return message.indexOf('have any trending developers') > 0;
+  }
+
+  /**
+   * Keep rank order of the page.
+   */
+  _sortRepos() {}
+};
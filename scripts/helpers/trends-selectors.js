@@ -0,0 +1,43 @@
+/**
+ * Versioned selector sets for trending page, tried in order.
+ * Every field has a list of fallback selectors, `{name}` is replaced with repo name.
+ */
+
+module.exports = [
+  {
+    version: '2020-box-row',
+    row: '.Box-row',
+    fields: {
+      name: ['h2 a', 'h1 a'],
+      description: ['p'],
+      language: ['[itemprop=programmingLanguage]'],
+      starsAdded: ['.float-sm-right', 'span:contains("stars today")', 'span:contains("stars this")'],
+      stars: ['[href*="/{name}/stargazers"]', 'a[href$="/stargazers"]'],
+      forks: ['[href*="/{name}/forks"]', '[href*="/{name}/network/members"]', 'a[href$="/forks"]'],
+    },
+  },
+  {
+    version: '2019-article',
+    row: 'article',
+    fields: {
+      name: ['h1 a', 'h2 a', 'h3 a'],
+      description: ['p'],
+      language: ['[itemprop=programmingLanguage]'],
+      starsAdded: ['.float-sm-right', 'span:contains("stars")'],
+      stars: ['a[href$="/stargazers"]'],
+      forks: ['a[href$="/network/members"]', 'a[href$="/forks"]'],
+    },
+  },
+  {
+    version: '2018-repo-list',
+    row: 'ol.repo-list > li',
+    fields: {
+      name: ['h3 a'],
+      description: ['.py-1 p', 'p'],
+      language: ['[itemprop=programmingLanguage]'],
+      starsAdded: ['.float-sm-right'],
+      stars: ['a[href$="/stargazers"]'],
+      forks: ['a[href$="/network"]', 'a[href$="/network/members"]'],
+    },
+  },
+];
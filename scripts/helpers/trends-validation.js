@@ -0,0 +1,53 @@
+/**
+ * Per-field validation of parsed trending repos and "parser drift" report.
+ */
+
+const NAME_REG = /^[\w.-]+\/[\w.-]+$/;
+const NUMERIC_FIELDS = ['starsAdded', 'stars', 'forks'];
+const MAX_SAMPLES = 3;
+
+/**
+ * Returns list of invalid fields of parsed repo.
+ * Name must match `owner/repo`, counters must be numbers.
+ *
+ * @param {Object} info parsed repo
+ * @returns {Array<String>}
+ */
+exports.getInvalidFields = function (info) {
+  const invalid = NAME_REG.test(info.name || '') ? [] : ['name'];
+  return invalid.concat(NUMERIC_FIELDS.filter(field => !Number.isFinite(info[field])));
+};
+
+/**
+ * Builds drift report for parsing attempt: which fields failed, by which selectors, with raw samples.
+ * If attempt found no rows, `row` field lists the row selector of every set tried.
+ *
+ * @param {String} url
+ * @param {Object} attempt {selectors, rows: [{info, raw, invalid}]}
+ * @param {Array} attempts summary of all selector sets tried: {version, rowSelector, rows, invalidFields}
+ * @returns {Object}
+ */
+exports.buildDriftReport = function (url, attempt, attempts) {
+  const fields = {};
+  attempt.rows.forEach(({raw, invalid}) => {
+    invalid.forEach(field => {
+      fields[field] = fields[field] || {invalid: 0, selectors: attempt.selectors.fields[field], samples: []};
+      fields[field].invalid++;
+      if (fields[field].samples.length < MAX_SAMPLES) {
+        fields[field].samples.push(raw[field]);
+      }
+    });
+  });
+  if (attempt.rows.length === 0) {
+    fields.row = {invalid: 0, selectors: attempts.map(summary => summary.rowSelector), samples: []};
+  }
+  return {
+    url,
+    date: new Date().toISOString(),
+    selectorVersion: attempt.selectors.version,
+    rows: attempt.rows.length,
+    validRepos: attempt.rows.filter(row => row.invalid.indexOf('name') === -1).length,
+    fields,
+    attempts,
+  };
+};
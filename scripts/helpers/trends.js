@@ -4,13 +4,17 @@
  * In case of error retries X times because server can response with different errors:
  * 1. "Trending repos are being dissecting." - when GitHub re-calculates trends
  * 2. "This page is taking way too long to load." - when page loads too long
+ *
+ * Page is parsed with versioned selector sets (see trends-selectors.js), parsed fields are validated.
+ * If GitHub markup changes, "parser drift" report and html are saved to artifacts.
  */
 const axios = require('axios');
 const cheerio = require('cheerio');
 const promiseRetry = require('promise-retry');
-const {throwIf} = require('throw-utils');
 const {log, logError} = require('./logger');
 const artifacts = require('./artifacts');
+const SELECTOR_SETS = require('./trends-selectors');
+const {getInvalidFields, buildDriftReport} = require('./trends-validation');
 
 const RETRY_DEFAULTS = {
   retries: 5,
@@ -29,10 +33,21 @@ module.exports = class Trends {
     this._html = null;
     this._$ = null;
     this._domRepos = null;
+    this._selectors = SELECTOR_SETS[0];
     this._repos = [];
+    this._driftReport = null;
     this._filename = this._url.split('/').pop();
   }
 
+  /**
+   * Parser drift report of the last load, null if all fields are valid.
+   *
+   * @returns {Object|null}
+   */
+  get driftReport() {
+    return this._driftReport;
+  }
+
   /**
    * Loads trending repos (3 retries).
    *
@@ -50,8 +65,7 @@ module.exports = class Trends {
   async _loadRepos() {
     await this._loadHtml();
     this._constructDom();
-    this._queryRepos();
-    this._domRepos.each((index, repo) => this._extractRepoInfo(repo));
+    this._parseRepos();
     if (this._repos.length > 0) {
       this._sortRepos();
       return this._repos;
@@ -60,7 +74,8 @@ module.exports = class Trends {
       log(`Found message that there are no trending repos on url: ${this._url}`);
       return [];
     }
-    throw new Error(`Can't find trending repos on page: ${this._url}`);
+    const drift = this._driftReport ? ` (parser drift, see ${this._filename}.drift.json)` : '';
+    throw new Error(`Can't find trending repos on page: ${this._url}${drift}`);
   }
 
   _retry(error, retryFn) {
@@ -89,33 +104,100 @@ module.exports = class Trends {
     this._$ = cheerio.load(this._html);
   }
 
+  /**
+   * Tries selector sets in order and takes the first one with all fields valid.
+   * If none is valid, takes the one with most valid repos (then most rows) and reports drift.
+   * Drift is also reported if no set finds rows and the page has no "no trending repos" message.
+   */
+  _parseRepos() {
+    const attempts = [];
+    for (const selectors of SELECTOR_SETS) {
+      const attempt = this._parseWithSelectors(selectors);
+      attempts.push(attempt);
+      if (attempt.rows.length > 0 && attempt.invalidCount === 0) {
+        break;
+      }
+    }
+    const best = attempts.reduce((a, b) => compareAttempts(b, a) > 0 ? b : a);
+    this._selectors = best.selectors;
+    this._repos = best.rows.map(row => row.info).filter(info => getInvalidFields(info).indexOf('name') === -1);
+    this._driftReport = null;
+    if (this._hasDrift(best)) {
+      this._reportDrift(best, attempts);
+    }
+  }
+
+  _hasDrift(attempt) {
+    return attempt.invalidCount > 0 || (attempt.rows.length === 0 && !this._isNoRepos());
+  }
+
+  _parseWithSelectors(selectors) {
+    this._selectors = selectors;
+    this._queryRepos();
+    const rows = this._domRepos.toArray().map(repo => this._extractRepoInfo(repo));
+    const invalidCount = rows.reduce((sum, row) => sum + row.invalid.length, 0);
+    return {selectors, rows, invalidCount};
+  }
+
   _queryRepos() {
-    const repoSelector = '.Box-row';
+    const repoSelector = this._selectors.row;
     this._domRepos = this._$(repoSelector);
-    log(`Found trending repos: ${this._domRepos.length} by selector: ${repoSelector}`);
+    log(`Found trending repos: ${this._domRepos.length} by selector: ${repoSelector} (${this._selectors.version})`);
   }
 
   _extractRepoInfo(repo) {
     const $repo = this._$(repo);
-    const nameSelector = 'h2 a';
-    const name = $repo.find(nameSelector).attr('href').replace(/^\//, '');
-    throwIf(!name, `Can't find repo name by selector '${nameSelector}' on: ${this._url}`);
+    const raw = {};
+    const find = (field, name) => {
+      raw[field] = this._findField($repo, field, name);
+      return raw[field];
+    };
+    const name = (find('name').attr('href') || '').replace(/^\//, '');
     const info = {
       name,
       url: `https://github.com/${name}`,
-      description: $repo.find('p').text().trim(),
-      language: $repo.find('[itemprop=programmingLanguage]').text().trim(),
-      starsAdded: toNumber($repo.find(`.float-sm-right`)),
-      // '*=' means 'contains'
-      stars: toNumber($repo.find(`[href*="/${name}/stargazers"]`)),
-      forks: toNumber($repo.find(`[href*="/${name}/forks"]`)),
+      description: find('description').text().trim(),
+      language: find('language').text().trim(),
+      starsAdded: toNumber(find('starsAdded', name)),
+      stars: toNumber(find('stars', name)),
+      forks: toNumber(find('forks', name)),
     };
-    this._repos.push(info);
+    const invalid = getInvalidFields(info);
+    // invalid counters fall back to 0, repos with invalid name are skipped
+    invalid.filter(field => field !== 'name').forEach(field => info[field] = 0);
+    Object.keys(raw).forEach(field => raw[field] = raw[field].length ? raw[field].text().trim() : null);
+    return {info, raw, invalid};
+  }
+
+  /**
+   * Finds field element by fallback selectors of current selector set.
+   */
+  _findField($repo, field, name) {
+    const selectors = this._selectors.fields[field].map(selector => selector.replace('{name}', name));
+    const found = selectors.map(selector => $repo.find(selector).first()).find($el => $el.length > 0);
+    return found || $repo.find(selectors[0]);
+  }
+
+  _reportDrift(attempt, attempts) {
+    const summary = attempts.map(({selectors, rows}) => ({
+      version: selectors.version,
+      rowSelector: selectors.row,
+      rows: rows.length,
+      invalidFields: [...new Set([].concat(...rows.map(row => row.invalid)))],
+    }));
+    this._driftReport = buildDriftReport(this._url, attempt, summary);
+    log(`Parser drift detected on ${this._url}: invalid fields: ${Object.keys(this._driftReport.fields).join(', ')}`);
+    this._saveArtifact(`${this._filename}.drift.json`, JSON.stringify(this._driftReport, null, 2));
+    this._saveHtmlToArtifacts(this._html);
   }
 
   _saveHtmlToArtifacts(html) {
+    this._saveArtifact(`${this._filename}.html`, html);
+  }
+
+  _saveArtifact(filename, content) {
     try {
-      artifacts.save(`${this._filename}.html`, html);
+      artifacts.save(filename, content);
     } catch (e) {
       logError('Error while saving artifact', e);
     }
@@ -136,5 +218,13 @@ module.exports = class Trends {
 };
 
 function toNumber(el) {
-  return parseInt(el.text().trim().replace(',', '') || 0);
+  return el.length ? parseInt(el.text().trim().replace(/,/g, '')) : NaN;
+}
+
+function countValidRepos(attempt) {
+  return attempt.rows.filter(row => row.invalid.length === 0).length;
+}
+
+function compareAttempts(a, b) {
+  return countValidRepos(a) - countValidRepos(b) || a.rows.length - b.rows.length;
 }
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+/**
+ * Radar Feedback
+ *
+ * Reads reactions and `/useful owner/repo`, `/noise owner/repo` replies on radar reports
+ * posted to the target issue of every profile and writes learned keyword and owner weights
+ * to the preferences file applied by the next radar run.
+ */
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const path = require('path');
+const {log, logError} = require('./helpers/logger');
+const Issues = require('./helpers/issues');
+const Comments = require('./helpers/comments');
+const FeedbackLearner = require('./helpers/analyzer/feedback-learner');
+const {resolveProfileConfigs} = require('./helpers/analyzer/radar-profile');
+const RequestScheduler = require('./helpers/request-scheduler');
+
+main()
+  .catch(error => {
+    logError('Radar feedback failed:', error);
+    process.exit(1);
+  });
+
+async function main() {
+  const radarConfig = loadConfiguration();
+  RequestScheduler.shared.configure(radarConfig.rate_limit);
+  for (const {name, config} of resolveProfileConfigs(radarConfig)) {
+    await learnProfile(name, config);
+  }
+  RequestScheduler.shared.logReport();
+}
+
+/**
+ * Learn weights of profile from comments of its target issue
+ */
+async function learnProfile(name, config) {
+  const learner = new FeedbackLearner(config.feedback);
+  if (!learner.options.enabled) {
+    log(`Feedback learning disabled for profile ${name}`);
+    return;
+  }
+
+  const issues = await new Issues(config.issue_label || 'trending-daily', '').getAll();
+  if (issues.length === 0) {
+    throw new Error(`No target issue found for radar report of profile ${name}`);
+  }
+
+  const comments = await new Comments(issues[0]).getAll();
+  const preferences = learner.learn(comments);
+  learner.savePreferences(preferences);
+  log(`Learned weights of profile ${name}: ` +
+    `${JSON.stringify({keywords: preferences.keywords, owners: preferences.owners})}`);
+}
+
+function loadConfiguration() {
+  const configPath = path.join(process.cwd(), 'radar.config.yml');
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Radar configuration file not found: ${configPath}`);
+  }
+  return yaml.load(fs.readFileSync(configPath, 'utf8')) || {};
+}
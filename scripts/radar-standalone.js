@@ -12,13 +12,15 @@ const yaml = require('js-yaml');
 const path = require('path');
 
 // Import standalone analyzer modules
-const LanguageFilter = require('./helpers/analyzer/language-filter');
-const ContentEnricher = require('./helpers/analyzer/content-enricher');
-const SmartAnalyzer = require('./helpers/analyzer/smart-analyzer');
+const RadarPipeline = require('./helpers/analyzer/radar-pipeline');
 const RadarFormatter = require('./helpers/analyzer/radar-formatter');
+const {buildExtractionConfig, DEFAULT_NAME: DEFAULT_PROFILE} = require('./helpers/analyzer/radar-profile');
+const DeveloperExtractor = require('./helpers/analyzer/developer-extractor');
+const RequestScheduler = require('./helpers/request-scheduler');
 
-// Import existing trends module (this doesn't require GitHub API)
-const Trends = require('./helpers/trends');
+// Repository source adapters (trending and topic pages don't require GitHub API)
+const {createSources, collectRepos} = require('./helpers/analyzer/sources');
+const {fromApiRepo} = require('./helpers/analyzer/sources/repo-shape');
 
 // Simple logger for standalone version
 const logger = {
@@ -30,9 +32,10 @@ class StandaloneRadar {
   constructor() {
     this.config = null;
     this.allRepos = [];
-    this.filteredRepos = [];
+    this.developers = [];
     this.analysisResults = [];
-    this.finalReport = '';
+    this.pipeline = null;
+    this.reports = [];
   }
 
   async run() {
@@ -42,18 +45,27 @@ class StandaloneRadar {
       // 1. Load Configuration
       await this.loadConfiguration();
 
-      // 2. Extract - Fetch all trending repositories
-      await this.extractTrendingRepos();
+      // 2. Extract - Fetch candidate repositories from all sources
+      await this.extractCandidateRepos();
+
+      // Trending developers for "Developers to watch" section
+      await this.extractTrendingDevelopers();
 
       // 3. Analyze - Process with language filter and smart analysis
       await this.analyzeRepos();
 
+      // Persist this run to the history store
+      this.pipeline.recordHistory(this.allRepos, this.analysisResults);
+
       // 4. Format - Generate personalized report
-      await this.formatReport();
+      this.reports = this.pipeline.formatReports(this.developers);
 
       // 5. Display Report
       await this.displayReport();
 
+      this.pipeline.cacheStore.logStats();
+      RequestScheduler.shared.logReport();
+
       logger.log('✅ Standalone Radar completed successfully');
 
     } catch (error) {
@@ -81,95 +93,141 @@ class StandaloneRadar {
       this.config.topic_keywords = [];
     }
 
+    // Concurrency and quota thresholds of all GitHub API requests
+    RequestScheduler.shared.configure(this.config.rate_limit);
+
+    // --no-cache disables README, metadata and AI summary cache for this run
+    if (process.argv.includes('--no-cache')) {
+      this.config.cache = Object.assign({}, this.config.cache, {enabled: false});
+    }
+
     logger.log(`Configuration loaded: ${this.config.target_languages.length} languages, ${this.config.topic_keywords.length} keywords`);
   }
 
-  async extractTrendingRepos() {
-    logger.log('📥 Extracting trending repositories...');
+  async extractCandidateRepos() {
+    logger.log('📥 Extracting candidate repositories...');
 
-    // Use existing trends module to fetch "All Languages"
-    const trendingUrl = 'https://github.com/trending';
-    const trends = new Trends(trendingUrl, {
+    // Trending pages, search queries, topic pages and static lists
+    const sources = createSources(buildExtractionConfig(this.config), {
       retries: 5,
       minTimeout: 5000,
     });
-    this.allRepos = await trends.getAll();
+    this.allRepos = await collectRepos(sources);
 
-    logger.log(`Extracted ${this.allRepos.length} trending repositories`);
+    logger.log(`Extracted ${this.allRepos.length} candidate repositories from ${sources.length} sources`);
   }
 
-  async analyzeRepos() {
-    logger.log('🧠 Analyzing repositories...');
-
-    // 3a. Language Filter
-    const languageFilter = new LanguageFilter(this.config.target_languages);
-    this.filteredRepos = languageFilter.filter(this.allRepos);
-    logger.log(`Language filter: ${this.filteredRepos.length} repositories after filtering`);
-
-    // 3b & 3c. Content Enrichment & Smart Analysis
-    const contentEnricher = new ContentEnricher();
-    const smartAnalyzer = new SmartAnalyzer(this.config);
-
-    // Process repositories in batches to avoid rate limits
-    const batchSize = 3; // Smaller batch size for standalone version
-    const batches = [];
-    for (let i = 0; i < this.filteredRepos.length; i += batchSize) {
-      batches.push(this.filteredRepos.slice(i, i + batchSize));
+  async extractTrendingDevelopers() {
+    if (!this.config.trending_developers) {
+      return;
     }
+    logger.log('👥 Extracting trending developers...');
 
-    for (let i = 0; i < batches.length; i++) {
-      logger.log(`Processing batch ${i + 1}/${batches.length}...`);
-      const batch = batches[i];
+    const extractor = new DeveloperExtractor(buildExtractionConfig(this.config), {
+      retries: 5,
+      minTimeout: 5000,
+    });
+    this.developers = await extractor.extract();
 
-      try {
-        // Enrich with README content
-        const enrichedBatch = await contentEnricher.enrichBatch(batch);
+    logger.log(`Extracted ${this.developers.length} trending developers`);
+  }
 
-        // Analyze with smart analyzer
-        const analyzedBatch = await smartAnalyzer.analyzeBatch(enrichedBatch);
+  async analyzeRepos() {
+    logger.log('🧠 Analyzing repositories...');
 
-        this.analysisResults.push(...analyzedBatch);
+    // Language filter, content enrichment, trend signals and analysis of every profile
+    this.pipeline = this.createPipeline();
+    this.analysisResults = await this.pipeline.analyze(this.allRepos);
 
-        // Small delay between batches to respect rate limits
-        if (i < batches.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 2000));
-        }
-      } catch (error) {
-        logger.logError(`Batch ${i + 1} failed:`, error.message);
-        // Continue with next batch
-      }
-    }
+    logger.log(`Analysis complete: ${this.analysisResults.length} repositories analyzed for ` +
+      `${this.pipeline.profiles.length} profiles`);
+  }
 
-    logger.log(`Analysis complete: ${this.analysisResults.length} repositories analyzed`);
+  createPipeline() {
+    // Smaller batch size for standalone version, failed batches are skipped
+    return new RadarPipeline(this.config, {batchSize: 3, skipFailedBatches: true, logger});
   }
 
-  async formatReport() {
-    logger.log('📝 Formatting personalized report...');
+  async displayReport() {
+    this.reports.forEach(({profile, report}) => {
+      logger.log('\n' + '='.repeat(60));
+      logger.log(`🎯 PERSONALIZED GITHUB RADAR REPORT${profile.name === DEFAULT_PROFILE ? '' : ` - ${profile.name}`}`);
+      logger.log('='.repeat(60));
+      console.log(report);
+      logger.log('='.repeat(60));
+
+      // Save report to file for reference, one file per profile
+      const fileName = profile.name === DEFAULT_PROFILE ? 'radar-report.md' : `radar-report-${profile.name}.md`;
+      const reportPath = path.join(process.cwd(), fileName);
+      fs.writeFileSync(reportPath, report);
+      logger.log(`📄 Report saved to: ${reportPath}`);
+    });
+  }
 
-    const formatter = new RadarFormatter(this.config);
-    this.finalReport = formatter.format(this.analysisResults);
+  /**
+   * Run single repository through language filter, enrichment, exclusion rules and analysis of profile
+   * and print its score breakdown
+   * @param {string} name - Repository `owner/repo`
+   * @param {string} [profileName] - Profile to explain, the first one by default
+   */
+  async explain(name, profileName) {
+    await this.loadConfiguration();
+    this.pipeline = this.createPipeline();
+    const profile = this.findProfile(profileName);
+
+    this.allRepos = [await this.fetchRepo(name)];
+    const passesLanguageFilter = (await this.pipeline.filterLanguages(this.allRepos, [profile])).length > 0;
+    let [repo] = profile.dependencyMatcher.annotate(await this.pipeline.enrichBatch(this.allRepos));
+    const exclusionRule = profile.exclusionRules.findRule(repo);
+    if (profile.semanticMatcher) {
+      [repo] = await profile.semanticMatcher.annotate([repo]);
+    }
+    // The repository is its own corpus: IDF of bm25/tfidf differs from the daily run, count scores are exact
+    profile.smartAnalyzer.prepare([repo]);
+    const analyzed = profile.smartAnalyzer.basicAnalysis(repo);
+
+    const method = analyzed.scoreBreakdown.method;
+    const notes = [
+      passesLanguageFilter ? '' : `⚠️ Filtered out by target_languages (${repo.language})`,
+      exclusionRule ? `⚠️ Excluded by \`exclude.${exclusionRule}\` rule` : '',
+      method === 'count' ? '' : `ℹ️ ${method} IDF comes from this repository alone, scores are exact for \`count\` only`
+    ].filter(Boolean);
+    const formatter = new RadarFormatter(profile.config);
+    console.log([formatter.formatScoreBreakdown(analyzed), ...notes].join('\n\n'));
+  }
 
-    logger.log(`Report generated: ${this.finalReport.length} characters`);
+  findProfile(profileName) {
+    const profiles = this.pipeline.profiles;
+    const profile = profileName ? profiles.find(({name}) => name === profileName) : profiles[0];
+    if (!profile) {
+      const names = profiles.map(({name}) => name).join(', ');
+      throw new Error(`Unknown profile: ${profileName}, expected one of: ${names}`);
+    }
+    return profile;
   }
 
-  async displayReport() {
-    logger.log('\n' + '='.repeat(60));
-    logger.log('🎯 PERSONALIZED GITHUB RADAR REPORT');
-    logger.log('='.repeat(60));
-    console.log(this.finalReport);
-    logger.log('='.repeat(60));
-
-    // Save report to file for reference
-    const reportPath = path.join(process.cwd(), 'radar-report.md');
-    fs.writeFileSync(reportPath, this.finalReport);
-    logger.log(`📄 Report saved to: ${reportPath}`);
+  /**
+   * Candidate repository built from API metadata, as if it was extracted from a source
+   * @param {string} name - Repository `owner/repo`
+   */
+  async fetchRepo(name) {
+    const [owner, repoName] = (name || '').split('/');
+    if (!owner || !repoName) {
+      throw new Error('Usage: npm run radar-explain -- owner/repo');
+    }
+    return fromApiRepo(await this.pipeline.contentEnricher.getRepoMetadata(owner, repoName));
   }
 }
 
 // Main execution
 async function main() {
   const radar = new StandaloneRadar();
-  await radar.run();
+  if (process.argv[2] === 'explain') {
+    const profileIndex = process.argv.indexOf('--profile');
+    await radar.explain(process.argv[3], profileIndex > 0 ? process.argv[profileIndex + 1] : undefined);
+  } else {
+    await radar.run();
+  }
 }
 
 // Handle errors
@@ -5,7 +5,7 @@
  *
  * Core Architecture: Five Modules
  * 1. Control Panel (Config) - radar.config.yml
- * 2. Extractor - Modified to fetch all languages
+ * 2. Extractor - Source adapters: trending pages, search queries, topic pages, static lists
  * 3. Analyzer - Language filter, content enricher, smart analyzer
  * 4. Formatter - New template with relevance scores and AI summaries
  * 5. Scheduler & Reporter - Reuse existing infrastructure
@@ -18,23 +18,24 @@ const path = require('path');
 // Import existing helpers
 const config = require('./config');
 const {log, logError} = require('./helpers/logger');
-const Trends = require('./helpers/trends');
 const Comments = require('./helpers/comments');
 const githubApi = require('./helpers/github-api');
 
 // Import new analyzer modules
-const LanguageFilter = require('./helpers/analyzer/language-filter');
-const ContentEnricher = require('./helpers/analyzer/content-enricher');
-const SmartAnalyzer = require('./helpers/analyzer/smart-analyzer');
-const RadarFormatter = require('./helpers/analyzer/radar-formatter');
+const {createSources, collectRepos} = require('./helpers/analyzer/sources');
+const RadarPipeline = require('./helpers/analyzer/radar-pipeline');
+const {buildExtractionConfig} = require('./helpers/analyzer/radar-profile');
+const DeveloperExtractor = require('./helpers/analyzer/developer-extractor');
+const RequestScheduler = require('./helpers/request-scheduler');
 
 class PersonalizedRadar {
   constructor() {
     this.config = null;
     this.allRepos = [];
-    this.filteredRepos = [];
+    this.developers = [];
     this.analysisResults = [];
-    this.finalReport = '';
+    this.pipeline = null;
+    this.reports = [];
   }
 
   async run() {
@@ -44,18 +45,27 @@ class PersonalizedRadar {
       // 1. Load Configuration
       await this.loadConfiguration();
 
-      // 2. Extract - Fetch all trending repositories
-      await this.extractTrendingRepos();
+      // 2. Extract - Fetch candidate repositories from all sources
+      await this.extractCandidateRepos();
+
+      // Trending developers for "Developers to watch" section
+      await this.extractTrendingDevelopers();
 
       // 3. Analyze - Process with language filter and smart analysis
       await this.analyzeRepos();
 
+      // Persist this run to the history store
+      this.pipeline.recordHistory(this.allRepos, this.analysisResults);
+
       // 4. Format - Generate personalized report
-      await this.formatReport();
+      this.reports = this.pipeline.formatReports(this.developers);
 
       // 5. Report - Post to GitHub issue
       await this.postReport();
 
+      this.pipeline.cacheStore.logStats();
+      RequestScheduler.shared.logReport();
+
       log('✅ Personalized Radar completed successfully');
 
     } catch (error) {
@@ -83,6 +93,14 @@ class PersonalizedRadar {
       this.config.topic_keywords = [];
     }
 
+    // Concurrency and quota thresholds of all GitHub API requests
+    RequestScheduler.shared.configure(this.config.rate_limit);
+
+    // --no-cache disables README, metadata and AI summary cache for this run
+    if (process.argv.includes('--no-cache')) {
+      this.config.cache = Object.assign({}, this.config.cache, {enabled: false});
+    }
+
     // Ensure GitHub token is available
     this.ensureGitHubToken();
 
@@ -111,73 +129,52 @@ class PersonalizedRadar {
     );
   }
 
-  async extractTrendingRepos() {
-    log('📥 Extracting trending repositories...');
+  async extractCandidateRepos() {
+    log('📥 Extracting candidate repositories...');
 
-    // Modified extractor: Only fetch "All Languages" trending page
-    const trendingUrl = 'https://github.com/trending';
-    const trends = new Trends(trendingUrl, config.trendingRetryOptions);
-    this.allRepos = await trends.getAll();
+    // Trending pages, search queries, topic pages and static lists
+    const sources = createSources(buildExtractionConfig(this.config), config.trendingRetryOptions);
+    this.allRepos = await collectRepos(sources);
 
-    log(`Extracted ${this.allRepos.length} trending repositories`);
+    log(`Extracted ${this.allRepos.length} candidate repositories from ${sources.length} sources`);
   }
 
-  async analyzeRepos() {
-    log('🧠 Analyzing repositories...');
-
-    // 3a. Language Filter
-    const languageFilter = new LanguageFilter(this.config.target_languages);
-    this.filteredRepos = languageFilter.filter(this.allRepos);
-    log(`Language filter: ${this.filteredRepos.length} repositories after filtering`);
-
-    // 3b & 3c. Content Enrichment & Smart Analysis
-    const contentEnricher = new ContentEnricher();
-    const smartAnalyzer = new SmartAnalyzer(this.config);
-
-    // Process repositories in batches to avoid rate limits
-    const batchSize = 5;
-    const batches = [];
-    for (let i = 0; i < this.filteredRepos.length; i += batchSize) {
-      batches.push(this.filteredRepos.slice(i, i + batchSize));
+  async extractTrendingDevelopers() {
+    if (!this.config.trending_developers) {
+      return;
     }
+    log('👥 Extracting trending developers...');
 
-    for (let i = 0; i < batches.length; i++) {
-      log(`Processing batch ${i + 1}/${batches.length}...`);
-      const batch = batches[i];
+    const extractor = new DeveloperExtractor(buildExtractionConfig(this.config), config.trendingRetryOptions);
+    this.developers = await extractor.extract();
 
-      // Enrich with README content
-      const enrichedBatch = await contentEnricher.enrichBatch(batch);
-
-      // Analyze with smart analyzer
-      const analyzedBatch = await smartAnalyzer.analyzeBatch(enrichedBatch);
-
-      this.analysisResults.push(...analyzedBatch);
-
-      // Small delay between batches to respect rate limits
-      if (i < batches.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
-    }
-
-    log(`Analysis complete: ${this.analysisResults.length} repositories analyzed`);
+    log(`Extracted ${this.developers.length} trending developers`);
   }
 
-  async formatReport() {
-    log('📝 Formatting personalized report...');
+  async analyzeRepos() {
+    log('🧠 Analyzing repositories...');
 
-    const formatter = new RadarFormatter(this.config);
-    this.finalReport = formatter.format(this.analysisResults);
+    // Language filter, content enrichment, trend signals and analysis of every profile
+    this.pipeline = new RadarPipeline(this.config);
+    this.analysisResults = await this.pipeline.analyze(this.allRepos);
 
-    log(`Report generated: ${this.finalReport.length} characters`);
+    log(`Analysis complete: ${this.analysisResults.length} repositories analyzed for ` +
+      `${this.pipeline.profiles.length} profiles`);
   }
 
   async postReport() {
-    log('📤 Posting report to GitHub issue...');
+    for (const {profile, report} of this.reports) {
+      await this.postProfileReport(profile, report);
+    }
+  }
+
+  async postProfileReport(profile, report) {
+    log(`📤 Posting report of profile ${profile.name} to GitHub issue...`);
 
     // Reuse existing infrastructure
-    const issues = await this.getTargetIssue();
+    const issues = await this.getTargetIssue(profile.config.issue_label);
     if (issues.length === 0) {
-      throw new Error('No target issue found for radar report');
+      throw new Error(`No target issue found for radar report of profile ${profile.name}`);
     }
 
     const targetIssue = issues[0];
@@ -185,17 +182,17 @@ class PersonalizedRadar {
 
     if (config.dryRun) {
       log(`DRY RUN - Would post report to issue #${targetIssue.number}`);
-      log(`Report content:\n${this.finalReport}`);
+      log(`Report content:\n${report}`);
     } else {
-      const result = await commentsHelper.post(this.finalReport);
+      const result = await commentsHelper.post(report);
       log(`Report posted to issue #${targetIssue.number}: ${result.html_url}`);
     }
   }
 
-  async getTargetIssue() {
+  async getTargetIssue(label) {
     // Use existing Issues helper to find the radar issue
     const Issues = require('./helpers/issues');
-    const issuesHelper = new Issues(this.config.issue_label || 'trending-daily', '');
+    const issuesHelper = new Issues(label || 'trending-daily', '');
     return await issuesHelper.getAll();
   }
 }
@@ -0,0 +1,62 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const CacheStore = require('../../scripts/helpers/analyzer/cache-store.js');
+const SmartAnalyzer = require('../../scripts/helpers/analyzer/smart-analyzer.js');
+
+describe('cache-store', function () {
+
+  let dir;
+
+  beforeEach(() => {
+    dir = path.join(os.tmpdir(), `radar-cache-${Date.now()}`);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    fs.removeSync(dir);
+  });
+
+  it('should return fresh values and skip stale ones', function () {
+    const cache = new CacheStore({path: dir, ttl_hours: 1});
+    cache.set('summary', 'a/b:sha:v1', 'Summary');
+    assert.equal(new CacheStore({path: dir}).get('summary', 'a/b:sha:v1'), 'Summary');
+    assert.isNull(cache.get('summary', 'a/b:other-sha:v1'));
+    sinon.useFakeTimers(Date.now() + 2 * 60 * 60 * 1000);
+    assert.isNull(cache.get('summary', 'a/b:sha:v1'));
+    assert.isFalse(cache.read('summary', 'a/b:sha:v1').fresh);
+  });
+
+  it('should revalidate stale entry by etag', async function () {
+    const cache = new CacheStore({path: dir, ttl_hours: 0});
+    const fetchFn = sinon.stub();
+    fetchFn.onFirstCall().resolves({status: 200, value: 'readme v1', etag: '"abc"'});
+    fetchFn.onSecondCall().resolves({status: 304, value: null, etag: '"abc"'});
+    assert.equal(await cache.fetch('readme', '/repos/a/b/readme', fetchFn), 'readme v1');
+    assert.equal(await cache.fetch('readme', '/repos/a/b/readme', fetchFn), 'readme v1');
+    sinon.assert.calledWith(fetchFn.secondCall, '"abc"');
+    assert.deepEqual(cache.stats, {hits: 0, misses: 1, revalidated: 1, writes: 2});
+  });
+
+  it('should not read or write when disabled', async function () {
+    const cache = new CacheStore({path: dir, enabled: false});
+    cache.set('summary', 'key', 'value');
+    assert.isNull(cache.get('summary', 'key'));
+    assert.isFalse(fs.existsSync(dir));
+  });
+
+  it('should reuse cached AI summary', async function () {
+    sinon.stub(console, 'log');
+    const cache = new CacheStore({path: dir});
+    const config = {topic_keywords: ['BCI'], ai_provider: {base_url: 'http://127.0.0.1:1/v1'}};
+    const analyzer = new SmartAnalyzer(config, {cache});
+    const summarize = sinon.stub(analyzer.summaryProvider, 'summarize').resolves('Fresh summary');
+    const repo = {name: 'a/b', description: 'BCI toolkit', readmeSha: 'sha1'};
+    assert.equal((await analyzer.analyzeBatch([repo]))[0].aiSummary, 'Fresh summary');
+    assert.equal((await analyzer.analyzeBatch([repo]))[0].aiSummary, 'Fresh summary');
+    sinon.assert.calledOnce(summarize);
+    await analyzer.analyzeBatch([Object.assign({}, repo, {readmeSha: 'sha2'})]);
+    sinon.assert.calledTwice(summarize);
+  });
+
+});
@@ -0,0 +1,87 @@
+const CorpusScorer = require('../../scripts/helpers/analyzer/corpus-scorer.js');
+const SmartAnalyzer = require('../../scripts/helpers/analyzer/smart-analyzer.js');
+const {CountScorer} = require('../../scripts/helpers/analyzer/keyword-scorer.js');
+
+describe('corpus-scorer', function () {
+
+  beforeEach(function () {
+    sinon.stub(console, 'log');
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  function createAnalyzer(method) {
+    return new SmartAnalyzer({
+      topic_keywords: ['AI', 'BCI'],
+      keyword_weights: {BCI: 10},
+      scoring: {method},
+      enable_ai_summaries: false,
+    });
+  }
+
+  function createRepos() {
+    const filler = 'lorem ipsum '.repeat(400);
+    return [
+      {name: 'a/long-readme', description: 'A toolkit', readmeContent: `${'AI '.repeat(30)}${filler}`},
+      {name: 'a/short', description: 'AI toolkit', readmeContent: 'Small AI helper'},
+      {name: 'a/bci', description: 'BCI toolkit', readmeContent: 'Decoding signals'},
+      {name: 'a/other', description: 'AI platform', readmeContent: filler},
+      {name: 'a/none', description: 'Web framework', readmeContent: filler},
+    ];
+  }
+
+  function scoreAll(method) {
+    const analyzer = createAnalyzer(method);
+    const repos = createRepos();
+    analyzer.prepare(repos);
+    const scores = {};
+    repos.forEach(repo => {
+      scores[repo.name] = analyzer.basicAnalysis(repo).relevanceScore;
+    });
+    return scores;
+  }
+
+  CorpusScorer.METHODS.forEach(method => {
+    it(`should normalize ${method} scores to 0-100`, function () {
+      const scores = scoreAll(method);
+      Object.values(scores).forEach(score => assert.isTrue(score >= 0 && score <= 100));
+      assert.equal(scores['a/none'], 0);
+    });
+
+    it(`should saturate long READMEs repeating keyword with ${method}`, function () {
+      const scores = scoreAll(method);
+      // Raw counts score 30 vs 6
+      assert.isBelow(scores['a/long-readme'], scores['a/short'] * 1.5);
+    });
+
+    it(`should favour rare and heavy keywords with ${method}`, function () {
+      const scores = scoreAll(method);
+      assert.isAbove(scores['a/bci'], scores['a/short']);
+      assert.isAbove(scores['a/bci'], 50);
+    });
+  });
+
+  it('should keep count method as default', function () {
+    const analyzer = new SmartAnalyzer({topic_keywords: ['AI'], enable_ai_summaries: false});
+    assert.instanceOf(analyzer.keywordScorer, CountScorer);
+    assert.equal(analyzer.basicAnalysis({name: 'a/b', readmeContent: 'AI '.repeat(30)}).relevanceScore, 30);
+  });
+
+  it('should reject unknown method', function () {
+    assert.throws(() => createAnalyzer('pagerank'), 'Unknown scoring method: pagerank');
+  });
+
+  it('should explain bm25 score as sum of match contributions', function () {
+    const analyzer = createAnalyzer('bm25');
+    const repos = createRepos();
+    analyzer.prepare(repos);
+    const result = analyzer.basicAnalysis(repos[1]);
+    const sum = result.scoreBreakdown.matches.reduce((total, match) => total + match.contribution, 0);
+    assert.closeTo(sum, result.relevanceScore, 0.05);
+    assert.deepEqual(result.scoreBreakdown.matches.map(match => match.field), ['description', 'readme']);
+    assert.isTrue(result.scoreBreakdown.matches.every(match => match.idf > 0 && match.idf <= 1));
+  });
+
+});
@@ -0,0 +1,110 @@
+const DependencyMatcher = require('../../scripts/helpers/analyzer/dependency-matcher.js');
+const {parseManifest} = require('../../scripts/helpers/analyzer/manifest-parser.js');
+const SmartAnalyzer = require('../../scripts/helpers/analyzer/smart-analyzer.js');
+const RadarFormatter = require('../../scripts/helpers/analyzer/radar-formatter.js');
+
+describe('dependency-matcher', function () {
+
+  const pyproject = [
+    '[project]',
+    'name = "agent" # not a dependency',
+    'dependencies = [',
+    '  "torch>=2.0",',
+    '  "Scikit_Learn",',
+    '  "uvicorn[standard]; python_version > \'3.8\'",',
+    ']',
+    '[project.optional-dependencies]',
+    'dev = ["pytest"]',
+    '[tool.poetry.dependencies]',
+    'python = "^3.10"',
+    'FastAPI = {version = "^0.110", extras = ["all"]}'
+  ].join('\n');
+
+  const cargoToml = [
+    '[package]',
+    'name = "server"',
+    '[dependencies]',
+    'tokio = { version = "1", features = ["full"] }',
+    'serde_json = "1"',
+    '[dependencies.reqwest]',
+    'version = "0.11"',
+    '[target.\'cfg(unix)\'.dev-dependencies]',
+    'nix = "0.27"'
+  ].join('\n');
+
+  const goMod = [
+    'module example.com/app',
+    'require github.com/gin-gonic/gin v1.9.1',
+    'require (',
+    '\tgithub.com/jackc/pgx/v5 v5.5.0',
+    '\tgolang.org/x/sys v0.15.0 // indirect',
+    ')'
+  ].join('\n');
+
+  beforeEach(function () {
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'error');
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it('should parse dependencies of manifests and lockfiles', function () {
+    assert.deepEqual(parseManifest('pyproject.toml', pyproject),
+      ['pypi:torch', 'pypi:scikit-learn', 'pypi:uvicorn', 'pypi:pytest', 'pypi:fastapi']);
+    assert.deepEqual(parseManifest('Cargo.toml', cargoToml), ['cargo:tokio', 'cargo:serde-json', 'cargo:reqwest',
+      'cargo:nix']);
+    assert.deepEqual(parseManifest('go.mod', goMod), ['go:github.com/gin-gonic/gin', 'go:github.com/jackc/pgx']);
+    assert.deepEqual(parseManifest('requirements.txt', '# ml\nnumpy==1.26\n-r dev.txt\nFlask[async]>=2\n'),
+      ['pypi:numpy', 'pypi:flask']);
+    assert.deepEqual(parseManifest('app/package-lock.json', '{"packages": {"": {"dependencies": {"React": "18"}}}}'),
+      ['npm:react']);
+    assert.deepEqual(parseManifest('Cargo.lock', '[[package]]\nname = "tokio"\n\n[[package]]\nname = "bytes"\n'),
+      ['cargo:tokio', 'cargo:bytes']);
+    assert.deepEqual(parseManifest('package.json', '{invalid'), []);
+  });
+
+  it('should match dependency rules and our stack', function () {
+    const lockfiles = {'package-lock.json': '{"packages": {"": {"dependencies": {"react": "18", "axios": "1"}}}}'};
+    const readFile = filePath => lockfiles[filePath.split('/').pop()];
+    const matcher = new DependencyMatcher({
+      rules: ['uses torch', {rule: 'depends on gin', weight: 8}, 'uses npm:tokio', 'pytorch'],
+      lockfiles: ['package-lock.json']
+    }, readFile);
+    const [ml, web, go] = matcher.annotate([
+      {name: 'a/ml', dependencies: ['pypi:torch', 'pypi:numpy']},
+      {name: 'b/web', dependencies: ['npm:react', 'npm:tokio'], description: 'Tiny alternative to Axios.'},
+      {name: 'c/go', dependencies: ['go:github.com/gin-gonic/gin', 'cargo:tokio']}
+    ]);
+
+    assert.deepEqual(ml.dependencyMatches, [{label: 'uses torch', weight: 5, packages: ['torch']}]);
+    assert.deepEqual(web.dependencyMatches.map(match => match.label), ['uses npm:tokio']);
+    assert.deepEqual(web.stack, {dependsOn: ['react'], replaces: ['axios']});
+    assert.deepEqual(go.dependencyMatches, [
+      {label: 'depends on gin', weight: 8, packages: ['github.com/gin-gonic/gin']}
+    ]);
+    assert.deepEqual(go.stack, {dependsOn: [], replaces: []});
+  });
+
+  it('should score matched rules and show dependencies in report', function () {
+    const config = {topic_keywords: ['LangChain'], enable_ai_summaries: false, target_languages: []};
+    const repo = {
+      name: 'a/agent',
+      description: 'Agent toolkit',
+      dependencies: ['pypi:torch', 'pypi:langchain'],
+      dependencyMatches: [{label: 'uses torch', weight: 5, packages: ['torch']}],
+      stack: {dependsOn: ['numpy', 'pandas', 'scipy', 'requests', 'click', 'rich'], replaces: ['celery']}
+    };
+    const analyzed = new SmartAnalyzer(config).basicAnalysis(repo);
+
+    // Keyword in dependencies field (weight 2) and matched rule
+    assert.equal(analyzed.relevanceScore, 7);
+    assert.equal(analyzed.scoreBreakdown.dependencyScore, 5);
+    assert.equal(new RadarFormatter(config).formatDependencies(analyzed),
+      '📦 **Dependencies:** uses torch • depends on our numpy, pandas, scipy, requests, click +1 more • ' +
+      'may replace our celery');
+    assert.equal(new RadarFormatter(config).formatDependencies({}), '');
+  });
+
+});
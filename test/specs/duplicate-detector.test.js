@@ -0,0 +1,63 @@
+const DuplicateDetector = require('../../scripts/helpers/analyzer/duplicate-detector.js');
+const RadarFormatter = require('../../scripts/helpers/analyzer/radar-formatter.js');
+
+describe('duplicate-detector', function () {
+
+  const words = 'agent memory graph vector index planner tool browser shell retrieval prompt cache model ' +
+    'server client stream token schema plugin router embed chunk rank score eval trace replay';
+  const readme = Array.from({length: 6}, (value, index) => `${words} step ${index}`).join(' ');
+
+  function repo(name, fields) {
+    return Object.assign({name, url: `https://github.com/${name}`, stars: 10, readmeContent: ''}, fields);
+  }
+
+  beforeEach(function () {
+    sinon.stub(console, 'log');
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it('should collapse fork family into source repository', function () {
+    const repos = [
+      repo('someone/agentkit', {isFork: true, forkParent: 'org/agentkit', forkSource: 'org/agentkit', stars: 90}),
+      repo('org/agentkit', {stars: 50}),
+      repo('other/agentkit', {isFork: true, forkParent: 'someone/agentkit', forkSource: 'org/agentkit'}),
+      repo('org/unrelated')
+    ];
+    const collapsed = new DuplicateDetector().collapse(repos);
+    assert.deepEqual(collapsed.map(item => item.name), ['org/agentkit', 'org/unrelated']);
+    assert.deepEqual(collapsed[0].duplicates.map(item => item.name), ['someone/agentkit', 'other/agentkit']);
+    assert.isUndefined(collapsed[1].duplicates);
+  });
+
+  it('should detect near-duplicate READMEs and copycat names', function () {
+    const detector = new DuplicateDetector();
+    const original = repo('org/recall', {readmeContent: readme, starsCount: 500});
+    const copy = repo('clone/recall-ai', {readmeContent: `${readme} fork notes here`});
+    const halfReadme = readme.substring(0, readme.length / 2);
+    const renamed = repo('spam/re-call', {readmeContent: `${halfReadme} ${'extra '.repeat(40)}`});
+    const different = repo('org/other', {readmeContent: readme.split(' ').reverse().join(' ')});
+
+    assert.equal(detector.findLink(original, copy), 'readme');
+    assert.equal(detector.findLink(original, renamed), 'name');
+    assert.isNull(detector.findLink(original, different));
+    assert.isNull(detector.findLink(repo('a/tiny', {readmeContent: 'Same'}), repo('b/tiny2', {readmeContent: 'Same'})));
+
+    const collapsed = detector.collapse([copy, different, original, renamed]);
+    assert.deepEqual(collapsed.map(item => item.name), ['org/other', 'org/recall']);
+    assert.isTrue(new DuplicateDetector({enabled: false}).collapse([copy, original]).length === 2);
+  });
+
+  it('should show collapsed repositories under canonical entry', function () {
+    const formatter = new RadarFormatter({target_languages: [], topic_keywords: []});
+    const line = formatter.formatDuplicates({duplicates: [
+      {name: 'a/x', url: 'https://github.com/a/x'},
+      {name: 'b/y', url: 'https://github.com/b/y'}
+    ]});
+    assert.equal(line, '👯 **Also:** [a/x](https://github.com/a/x), [b/y](https://github.com/b/y)');
+    assert.equal(formatter.formatDuplicates({}), '');
+  });
+
+});
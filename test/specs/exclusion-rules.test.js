@@ -0,0 +1,72 @@
+const ExclusionRules = require('../../scripts/helpers/analyzer/exclusion-rules.js');
+const RadarFormatter = require('../../scripts/helpers/analyzer/radar-formatter.js');
+
+describe('exclusion-rules', function () {
+
+  const now = new Date('2024-06-01T00:00:00Z');
+
+  function findRule(options, repo) {
+    return new ExclusionRules(options).findRule(Object.assign({name: 'org/tool', stars: 500}, repo), now);
+  }
+
+  it('should match owner and repo glob patterns', function () {
+    const options = {repos: ['spam-org', '*/awesome-*', 'Org/Tool-?']};
+    assert.equal(findRule(options, {name: 'SPAM-org/anything'}), 'repos');
+    assert.equal(findRule(options, {name: 'someone/awesome-llm'}), 'repos');
+    assert.equal(findRule(options, {name: 'org/tool-x'}), 'repos');
+    assert.isNull(findRule(options, {name: 'org/tool-xy'}));
+    assert.isNull(findRule(options, {name: 'org/tool'}));
+    assert.isNull(findRule(options, {name: 'spam-org-two/tool'}));
+  });
+
+  it('should exclude forks and archived repos only when enabled', function () {
+    assert.equal(findRule({fork: true}, {isFork: true}), 'fork');
+    assert.equal(findRule({archived: true}, {archived: true}), 'archived');
+    assert.isNull(findRule({fork: false}, {isFork: true, archived: true}));
+  });
+
+  it('should apply license allow and deny lists', function () {
+    const allow = {licenses: {allow: ['MIT', 'apache-2.0']}};
+    assert.isNull(findRule(allow, {license: 'Apache-2.0'}));
+    assert.equal(findRule(allow, {license: 'GPL-3.0'}), 'licenses');
+    assert.equal(findRule(allow, {license: null}), 'licenses');
+    const deny = {licenses: {deny: ['AGPL-3.0']}};
+    assert.equal(findRule(deny, {license: 'AGPL-3.0'}), 'licenses');
+    assert.isNull(findRule(deny, {license: null}));
+  });
+
+  it('should apply min stars and max age', function () {
+    assert.equal(findRule({min_stars: 1000}, {starsCount: 999}), 'min_stars');
+    assert.isNull(findRule({min_stars: 1000}, {starsCount: 1000}));
+    assert.equal(findRule({max_age_days: 30}, {createdAt: '2024-04-01T00:00:00Z'}), 'max_age_days');
+    assert.isNull(findRule({max_age_days: 30}, {createdAt: '2024-05-15T00:00:00Z'}));
+    assert.isNull(findRule({max_age_days: 30}, {}));
+  });
+
+  it('should detect awesome lists', function () {
+    const options = {awesome_lists: true};
+    assert.equal(findRule(options, {name: 'someone/awesome'}), 'awesome_lists');
+    assert.equal(findRule(options, {name: 'someone/llm-awesome'}), 'awesome_lists');
+    assert.equal(findRule(options, {description: 'A curated list of LLM agents'}), 'awesome_lists');
+    const list = Array.from({length: 25}, (item, index) => `- Project ${index} - description`).join('\n');
+    assert.equal(findRule(options, {readmeContent: `Intro\n${list}`}), 'awesome_lists');
+    assert.isNull(findRule(options, {name: 'someone/awesomeness', description: 'List of tools in README'}));
+  });
+
+  it('should filter repos and report per-rule counts', function () {
+    sinon.stub(console, 'log');
+    const rules = new ExclusionRules({fork: true, awesome_lists: true});
+    const kept = rules.apply([
+      {name: 'a/fork', isFork: true},
+      {name: 'a/awesome-ai'},
+      {name: 'b/awesome-ml', isFork: true},
+      {name: 'a/tool'},
+    ], now);
+    sinon.restore();
+    assert.deepEqual(kept.map(repo => repo.name), ['a/tool']);
+    assert.deepEqual(rules.counts, {fork: 2, awesome_lists: 1});
+    const formatter = new RadarFormatter({target_languages: [], topic_keywords: []});
+    assert.equal(formatter.formatExclusions(rules.counts), '### 🚫 Excluded by rules\n\n- forks: 2\n- awesome lists: 1');
+  });
+
+});
@@ -0,0 +1,85 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const FeedbackLearner = require('../../scripts/helpers/analyzer/feedback-learner.js');
+const SmartAnalyzer = require('../../scripts/helpers/analyzer/smart-analyzer.js');
+
+describe('feedback-learner', function () {
+
+  const now = new Date('2024-06-10T00:00:00Z');
+  const report = [
+    '## 🎯 Personalized GitHub Radar - 6/9/2024',
+    '',
+    '### 🔥 [neuro / bci-kit](https://github.com/neuro/bci-kit) **+42** stars today • Python',
+    '',
+    '**Relevance Score:** 12',
+    '**Matched Keywords:** BCI, EEG',
+    '',
+    '---',
+    '',
+    '### ⭐ [hype / coin-agent](https://github.com/hype/coin-agent)',
+    '',
+    '**Relevance Score:** 6',
+    '**Matched Keywords:** Agent'
+  ].join('\n');
+
+  function comment(body, login, createdAt) {
+    return {body, user: {login}, created_at: createdAt};
+  }
+
+  let filePath;
+
+  beforeEach(function () {
+    sinon.stub(console, 'log');
+    filePath = path.join(os.tmpdir(), `radar-preferences-${Date.now()}.json`);
+  });
+
+  afterEach(function () {
+    sinon.restore();
+    fs.removeSync(filePath);
+  });
+
+  it('should parse report repositories and reply commands', function () {
+    assert.deepEqual(FeedbackLearner.parseReport(report), [
+      {name: 'neuro/bci-kit', keywords: ['bci', 'eeg']},
+      {name: 'hype/coin-agent', keywords: ['agent']}
+    ]);
+    const reply = 'Thanks!\n/useful neuro/bci-kit\n /NOISE https://github.com/hype/coin-agent';
+    assert.deepEqual(FeedbackLearner.parseCommands(reply), [
+      {name: 'neuro/bci-kit', vote: 1},
+      {name: 'hype/coin-agent', vote: -1}
+    ]);
+  });
+
+  it('should learn keyword and owner multipliers from commands and reactions', function () {
+    const learner = new FeedbackLearner({preferences_path: filePath});
+    const preferences = learner.learn([
+      Object.assign(comment(report, 'radar-bot', '2024-06-09T08:00:00Z'), {reactions: {'+1': 3, 'confused': 1}}),
+      comment('/noise hype/coin-agent', 'alice', '2024-06-09T09:00:00Z'),
+      comment('/useful hype/coin-agent', 'bob', '2024-06-09T09:30:00Z'),
+      comment('/noise hype/coin-agent', 'bob', '2024-06-09T10:00:00Z'),
+      comment('/useful neuro/bci-kit', 'alice', '2024-06-09T11:00:00Z'),
+      comment('/useful old/repo', 'alice', '2024-01-01T00:00:00Z')
+    ], now);
+
+    // bci-kit: 1 + 2 × 0.25 / 2 = 1.25, coin-agent: -2 + 0.25 = -1.75
+    assert.deepEqual(preferences.keywords, {bci: 1.54, eeg: 1.54, agent: 0.55});
+    assert.deepEqual(preferences.owners, {neuro: 1.54, hype: 0.55});
+    assert.equal(preferences.votes, 2);
+  });
+
+  it('should save preferences applied by smart analyzer', function () {
+    const learner = new FeedbackLearner({preferences_path: filePath});
+    assert.deepEqual(learner.loadPreferences(), {keywords: {}, owners: {}});
+    learner.savePreferences({keywords: {bci: 2}, owners: {hype: 0.5}});
+
+    const analyzer = new SmartAnalyzer({topic_keywords: ['BCI'], enable_ai_summaries: false}, {
+      preferences: learner.loadPreferences()
+    });
+    assert.equal(analyzer.basicAnalysis({name: 'neuro/kit', description: 'BCI'}).relevanceScore, 10);
+    assert.equal(analyzer.basicAnalysis({name: 'hype/kit', description: 'BCI'}).relevanceScore, 5);
+    assert.deepEqual(new FeedbackLearner({preferences_path: filePath, enabled: false}).loadPreferences(),
+      {keywords: {}, owners: {}});
+  });
+
+});
@@ -0,0 +1,181 @@
+const http = require('http');
+const ContentEnricher = require('../../scripts/helpers/analyzer/content-enricher.js');
+const GraphQLEnricher = require('../../scripts/helpers/analyzer/graphql-enricher.js');
+
+describe('graphql-enricher', function () {
+
+  const token = process.env.GITHUB_TOKEN;
+  let server;
+  let requests;
+  let routes;
+
+  function node(fields) {
+    return Object.assign({
+      createdAt: '2024-01-01T00:00:00Z',
+      updatedAt: '2024-02-01T00:00:00Z',
+      pushedAt: '2024-02-01T00:00:00Z',
+      forkCount: 3,
+      stargazerCount: 120,
+      isArchived: false,
+      isFork: false,
+      isTemplate: false,
+      issues: {totalCount: 4},
+      pullRequests: {totalCount: 1},
+      licenseInfo: {spdxId: 'MIT'},
+      parent: null,
+      repositoryTopics: {nodes: [{topic: {name: 'llm'}}]},
+      latestRelease: {tagName: 'v1.2.0', name: 'v1.2.0', publishedAt: '2024-02-01T00:00:00Z'},
+      workflows: {entries: [{name: 'ci.yml'}]},
+      readme0: {oid: 'abc', text: '# One\n\nAgent framework for LLM tools.'},
+      readme1: null,
+      readme2: null,
+      manifest0: {text: '{"dependencies": {"react": "^18.0.0"}}'},
+      releases: {nodes: [
+        {tagName: 'v1.3.0', name: null, publishedAt: '2024-02-05T00:00:00Z', description: '', isDraft: true},
+        {tagName: 'v1.2.0', name: 'v1.2.0', publishedAt: '2024-02-01T00:00:00Z', description: '- Tools API'}
+      ]},
+      tags: {nodes: [{name: 'v1.2.0', target: {tagger: {date: '2024-02-01T00:00:00Z'}}}]},
+      changelog: null
+    }, fields);
+  }
+
+  function respond(req, res) {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      requests.push({method: req.method, url: req.url, body: body ? JSON.parse(body) : null});
+      const route = routes[`${req.method} ${req.url}`];
+      const [status, data] = typeof route === 'function' ? route(JSON.parse(body)) : route || [404, {}];
+      res.writeHead(status, {'Content-Type': 'application/json'});
+      res.end(JSON.stringify(data));
+    });
+  }
+
+  function createEnricher(enrichment) {
+    const apiUrl = `http://127.0.0.1:${server.address().port}`;
+    return new ContentEnricher({enrichment: Object.assign({api_url: apiUrl, batch_size: 2}, enrichment)});
+  }
+
+  before(function (done) {
+    process.env.GITHUB_TOKEN = 'test-token';
+    server = http.createServer(respond).listen(0, '127.0.0.1', done);
+  });
+
+  after(function (done) {
+    if (token === undefined) {
+      delete process.env.GITHUB_TOKEN;
+    } else {
+      process.env.GITHUB_TOKEN = token;
+    }
+    server.close(done);
+  });
+
+  beforeEach(function () {
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'error');
+    requests = [];
+    routes = {};
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it('should convert repository node to REST-shaped metadata', function () {
+    const {query, variables} = GraphQLEnricher.buildQuery([{name: 'a/one'}, {name: 'b/two'}]);
+    assert.include(query, 'repo1: repository(owner: $owner1, name: $name1) { ...RepoFields }');
+    assert.deepEqual(variables, {owner0: 'a', name0: 'one', owner1: 'b', name1: 'two'});
+
+    const fork = {isFork: true, parent: {nameWithOwner: 'x/two', parent: {nameWithOwner: 'org/two'}}};
+    const data = GraphQLEnricher.toRepoData(node(fork));
+    assert.include(data.metadata, {open_issues_count: 5, stargazers_count: 120, fork: true});
+    assert.deepEqual(data.metadata.source, {full_name: 'org/two'});
+    assert.deepEqual(data.readme, {content: '# One\n\nAgent framework for LLM tools.', sha: 'abc'});
+    assert.deepEqual(data.health, {hasReleases: true, hasCI: true});
+    assert.deepEqual(data.dependencies, ['npm:react']);
+    assert.deepEqual(data.releaseSources.releases.map(release => release.tagName), ['v1.2.0']);
+    assert.deepEqual(data.releaseSources.tags, [{name: 'v1.2.0', date: '2024-02-01T00:00:00Z'}]);
+  });
+
+  it('should fetch batch with one query per batch and fall back to REST for missing fields', async function () {
+    routes['POST /graphql'] = ({variables}) => [200, {
+      data: {
+        repo0: variables.name0 === 'one' ? node({}) : null,
+        repo1: node({readme0: null, latestRelease: null, workflows: null})
+      },
+      errors: variables.name0 === 'one' ? [] : [{type: 'NOT_FOUND', message: 'Could not resolve to a Repository'}]
+    }];
+    routes['GET /repos/b/two/readme'] = [200, {content: Buffer.from('Two readme').toString('base64'), sha: 'def'}];
+    routes['GET /repos/d/four/readme'] = [200, {content: Buffer.from('Four readme').toString('base64'), sha: 'ghi'}];
+
+    const repos = ['a/one', 'b/two', 'c/gone', 'd/four'].map(name => ({name, stars: 1}));
+    const enriched = await createEnricher().enrichBatch(repos);
+
+    assert.equal(requests.filter(request => request.method === 'POST').length, 2);
+    assert.include(enriched[0], {readmeContent: 'One\nAgent framework for LLM tools.', license: 'MIT', hasCI: true});
+    assert.equal(enriched[0].latestRelease.tagName, 'v1.2.0');
+    assert.include(enriched[0].release, {version: 'v1.2.0', source: 'release'});
+    assert.deepEqual(enriched[0].release.bullets, ['Tools API']);
+    assert.include(enriched[1], {readmeContent: 'Two readme', readmeSha: 'def', hasReleases: false, hasCI: false});
+    assert.deepEqual(enriched[2], repos[2]);
+    assert.include(enriched[3], {readmeContent: 'Four readme', starsCount: 120});
+    assert.include(requests.map(request => request.url), '/repos/c/gone/readme');
+  });
+
+  it('should enrich with REST when GraphQL query fails', async function () {
+    routes['POST /graphql'] = [502, {message: 'Bad Gateway'}];
+    routes['GET /repos/a/one/readme'] = [200, {content: Buffer.from('One readme').toString('base64'), sha: 'abc'}];
+    routes['GET /repos/a/one'] = [200, {topics: ['llm'], stargazers_count: 50, license: {spdx_id: 'MIT'}}];
+
+    const [repo] = await createEnricher().enrichBatch([{name: 'a/one', stars: 1}]);
+
+    assert.include(repo, {readmeContent: 'One readme', starsCount: 50, license: 'MIT'});
+    assert.deepEqual(repo.topics, ['llm']);
+  });
+
+  it('should pick the latest of date-sorted REST tags and fetch releases once', async function () {
+    const commit = date => [200, {commit: {committer: {date}}}];
+    routes['GET /repos/a/one/readme'] = [200, {content: Buffer.from('One readme').toString('base64'), sha: 'abc'}];
+    routes['GET /repos/a/one'] = [200, {stargazers_count: 50}];
+    routes['GET /repos/a/one/releases?per_page=3'] = [200, []];
+    routes['GET /repos/a/one/tags?per_page=3'] = [200, [
+      {name: 'v0.9.1', commit: {sha: 'old'}},
+      {name: 'v1.0.0', commit: {sha: 'new'}}
+    ]];
+    routes['GET /repos/a/one/commits/old'] = commit('2024-01-01T00:00:00Z');
+    routes['GET /repos/a/one/commits/new'] = commit('2024-03-01T00:00:00Z');
+
+    const [repo] = await createEnricher({backend: 'rest'}).enrichBatch([{name: 'a/one', stars: 1}]);
+
+    assert.include(repo.release, {version: 'v1.0.0', source: 'tag', publishedAt: '2024-03-01T00:00:00Z'});
+    assert.include(repo, {hasReleases: false, hasCI: null});
+    assert.equal(requests.filter(request => request.url.includes('/releases')).length, 1);
+  });
+
+  it('should keep REST tags with failed commit undated and changelog when tags fail', async function () {
+    const changelog = '## [2.0.0] - 2024-05-01\n- Streaming';
+    const readme = [200, {content: Buffer.from('Readme').toString('base64'), sha: 'abc'}];
+    routes['GET /repos/a/one/readme'] = readme;
+    routes['GET /repos/a/two/readme'] = readme;
+    routes['GET /repos/a/one'] = [200, {stargazers_count: 50}];
+    routes['GET /repos/a/two'] = [200, {stargazers_count: 50}];
+    routes['GET /repos/a/one/releases?per_page=3'] = [200, []];
+    routes['GET /repos/a/one/tags?per_page=3'] = [200, [
+      {name: 'v1.0.0', commit: {sha: 'new'}},
+      {name: 'v0.9.1', commit: {sha: 'old'}}
+    ]];
+    routes['GET /repos/a/one/commits/new'] = [500, {}];
+    routes['GET /repos/a/one/commits/old'] = [200, {commit: {committer: {date: '2024-01-01T00:00:00Z'}}}];
+    routes['GET /repos/a/two/releases?per_page=3'] = [200, []];
+    routes['GET /repos/a/two/tags?per_page=3'] = [500, {}];
+    routes['GET /repos/a/two/contents/'] = [200, [{name: 'CHANGELOG.md'}]];
+    routes['GET /repos/a/two/contents/CHANGELOG.md'] = [200, {content: Buffer.from(changelog).toString('base64')}];
+
+    const [one, two] = await createEnricher({backend: 'rest'})
+      .enrichBatch([{name: 'a/one', stars: 1}, {name: 'a/two', stars: 1}]);
+
+    assert.include(one.release, {version: 'v0.9.1', source: 'tag'});
+    assert.include(two.release, {version: '2.0.0', source: 'changelog', publishedAt: '2024-05-01'});
+  });
+
+});
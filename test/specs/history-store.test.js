@@ -0,0 +1,62 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const HistoryStore = require('../../scripts/helpers/analyzer/history-store.js');
+
+describe('history-store', function () {
+
+  let filePath;
+
+  beforeEach(() => {
+    filePath = path.join(os.tmpdir(), `radar-history-${Date.now()}.jsonl`);
+    sinon.stub(console, 'log');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    fs.removeSync(filePath);
+  });
+
+  function recordDay(store, date, run) {
+    return store.recordRun(Object.assign({timestamp: new Date(`${date}T10:00:00Z`)}, run));
+  }
+
+  it('should record run with trending, metadata and analysis', function () {
+    const store = new HistoryStore(filePath);
+    recordDay(store, '2024-03-01', {
+      repos: [{name: 'a/b', stars: 10}, {name: 'c/d', stars: 5}],
+      analyzed: [{name: 'a/b', topics: ['ai'], readmeContent: 'long text', relevanceScore: 7, matchedKeywords: ['AI']}],
+    });
+    const entries = new HistoryStore(filePath).load();
+    assert.equal(entries.length, 2);
+    assert.deepEqual(entries[0], {
+      run: '2024-03-01T10:00:00.000Z',
+      date: '2024-03-01',
+      name: 'a/b',
+      trending: {stars: 10},
+      metadata: {topics: ['ai']},
+      analysis: {relevanceScore: 7, matchedKeywords: ['AI']},
+    });
+    assert.isNull(entries[1].analysis);
+  });
+
+  it('should query by repo, date range and keyword', function () {
+    const store = new HistoryStore(filePath);
+    recordDay(store, '2024-03-01', {repos: [{name: 'a/b'}], analyzed: [{name: 'a/b', matchedKeywords: ['BCI']}]});
+    recordDay(store, '2024-03-02', {repos: [{name: 'a/b'}, {name: 'c/d', description: 'BCI toolkit'}]});
+    recordDay(store, '2024-03-05', {repos: [{name: 'e/f'}]});
+    assert.equal(store.getByRepo('A/B').length, 2);
+    assert.deepEqual(store.getByDateRange('2024-03-02', '2024-03-05').map(entry => entry.name), ['a/b', 'c/d', 'e/f']);
+    assert.deepEqual(store.findByKeyword('bci').map(entry => entry.date), ['2024-03-01', '2024-03-02']);
+  });
+
+  it('should keep the last run of every day in daily snapshots', function () {
+    const store = new HistoryStore(filePath);
+    store.recordRun({repos: [{name: 'a/b'}], timestamp: new Date('2024-03-01T08:00:00Z')});
+    store.recordRun({repos: [{name: 'c/d'}], timestamp: new Date('2024-03-01T20:00:00Z')});
+    const snapshots = new HistoryStore(filePath).getDailySnapshots();
+    assert.equal(snapshots.length, 1);
+    assert.deepEqual(snapshots[0].entries.map(entry => entry.name), ['c/d']);
+  });
+
+});
@@ -0,0 +1,53 @@
+const KeywordQuery = require('../../scripts/helpers/analyzer/keyword-query.js');
+const SmartAnalyzer = require('../../scripts/helpers/analyzer/smart-analyzer.js');
+
+describe('keyword-query', function () {
+
+  function match(entries, text) {
+    return new KeywordQuery(entries).match(text);
+  }
+
+  it('should match whole words only', function () {
+    assert.deepEqual(match(['AI'], 'email me, I maintain what I said'), []);
+    assert.deepEqual(match(['AI'], 'AI agents, Open-AI and ai.'), [{label: 'AI', count: 3}]);
+  });
+
+  it('should match phrases with any word separator', function () {
+    const text = 'llm-agent, LLM agent, llm_agent, llm agents';
+    assert.deepEqual(match(['LLM Agent'], text), [{label: 'LLM Agent', count: 3}]);
+    assert.deepEqual(match(['"brain computer interface"'], 'A Brain Computer Interface'), [
+      {label: 'brain computer interface', count: 1}
+    ]);
+  });
+
+  it('should support prefix wildcard', function () {
+    assert.deepEqual(match(['agent*'], 'agents and agentic reagents'), [{label: 'agent*', count: 2}]);
+  });
+
+  it('should support OR groups and synonyms', function () {
+    assert.deepEqual(match(['RAG OR retrieval augmented'], 'RAG via retrieval-augmented generation'), [
+      {label: 'RAG OR retrieval augmented', count: 2}
+    ]);
+    const synonyms = 'LLM Agent = [llm agents, ai agent, autonomous agent]';
+    assert.deepEqual(match([synonyms], 'An autonomous agent and an AI agent'), [{label: 'LLM Agent', count: 2}]);
+  });
+
+  it('should find exclusions', function () {
+    const query = new KeywordQuery(['AI', '-crypto', '-"awesome list"']);
+    assert.equal(query.findExclusion(['AI for crypto trading']), 'crypto');
+    assert.equal(query.findExclusion([null, 'An Awesome List of AI']), 'awesome list');
+    assert.isNull(query.findExclusion(['cryptography AI']));
+    assert.equal(query.describe(), 'AI (excluding: crypto, awesome list)');
+  });
+
+  it('should make excluded repos irrelevant', function () {
+    sinon.stub(console, 'log');
+    const analyzer = new SmartAnalyzer({topic_keywords: ['AI', '-crypto'], enable_ai_summaries: false});
+    sinon.restore();
+    const result = analyzer.basicAnalysis({name: 'a/b', description: 'AI bot', topics: ['crypto']});
+    assert.equal(result.relevanceScore, 0);
+    assert.equal(result.excludedBy, 'crypto');
+    assert.equal(analyzer.basicAnalysis({name: 'a/b', description: 'AI bot'}).relevanceScore, 5);
+  });
+
+});
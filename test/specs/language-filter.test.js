@@ -0,0 +1,65 @@
+const LanguageFilter = require('../../scripts/helpers/analyzer/language-filter.js');
+const {findLanguage, toSlug} = require('../../scripts/helpers/analyzer/languages.js');
+
+describe('language-filter', function () {
+
+  beforeEach(function () {
+    sinon.stub(console, 'log');
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it('should normalize slugs, display names and aliases', function () {
+    assert.equal(toSlug('Jupyter Notebook'), 'jupyter-notebook');
+    assert.equal(toSlug('jupyter_notebook'), 'jupyter-notebook');
+    assert.equal(toSlug('ts'), 'typescript');
+    assert.equal(toSlug('cpp'), 'c++');
+    assert.equal(toSlug('C++'), 'c++');
+    assert.equal(toSlug('Some New Lang'), 'some-new-lang');
+    assert.equal(toSlug(null), '');
+    assert.equal(findLanguage('golang').name, 'Go');
+    assert.isNull(findLanguage('klingon'));
+  });
+
+  it('should match trending labels against config aliases', function () {
+    const filter = new LanguageFilter(['jupyter-notebook', 'ts', 'c++']);
+    const repos = [
+      {name: 'a/notebooks', language: 'Jupyter Notebook'},
+      {name: 'a/web', language: 'TypeScript'},
+      {name: 'a/engine', language: 'C++'},
+      {name: 'a/script', language: 'Python'},
+      {name: 'a/docs', language: null},
+    ];
+    assert.deepEqual(filter.filter(repos).map(repo => repo.name), ['a/notebooks', 'a/web', 'a/engine']);
+  });
+
+  it('should keep repos by share of target languages in code', async function () {
+    const filter = new LanguageFilter(['python', 'rust'], {minShare: 0.3});
+    const languages = {
+      'a/mixed': {TypeScript: 600, Python: 250, Rust: 150},
+      'a/bindings': {'C++': 900, Python: 100},
+    };
+    const getLanguages = sinon.stub().callsFake(async repo => languages[repo.name]);
+    const filtered = await filter.filterByShare([
+      {name: 'a/primary', language: 'Python'},
+      {name: 'a/mixed', language: 'TypeScript'},
+      {name: 'a/bindings', language: 'C++'},
+      {name: 'a/empty', language: 'Go'},
+    ], getLanguages);
+    assert.deepEqual(filtered, [
+      {name: 'a/primary', language: 'Python'},
+      {name: 'a/mixed', language: 'TypeScript', languageShare: 0.4},
+    ]);
+    assert.equal(getLanguages.callCount, 3);
+  });
+
+  it('should not fetch languages without min share', async function () {
+    const getLanguages = sinon.stub();
+    const filtered = await new LanguageFilter(['python']).filterByShare([{name: 'a/b', language: 'Go'}], getLanguages);
+    assert.deepEqual(filtered, []);
+    assert.isFalse(getLanguages.called);
+  });
+
+});
@@ -0,0 +1,85 @@
+const RadarPipeline = require('../../scripts/helpers/analyzer/radar-pipeline.js');
+
+describe('radar-pipeline', function () {
+
+  const token = process.env.GITHUB_TOKEN;
+
+  const config = {
+    topic_keywords: ['LLM'],
+    enable_ai_summaries: false,
+    history_path: false,
+    cache: {enabled: false},
+    health: {enabled: false},
+    enrichment: {backend: 'rest'},
+    profiles: [
+      {name: 'py', target_languages: ['Python']},
+      {name: 'ts', target_languages: ['TypeScript']}
+    ]
+  };
+
+  const repos = [
+    {name: 'a/py', language: 'Python', description: 'LLM agents'},
+    {name: 'b/rust', language: 'Rust', description: 'LLM runtime'},
+    {name: 'c/ts', language: 'TypeScript', description: 'LLM chat UI'}
+  ];
+
+  function createPipeline(options) {
+    const pipeline = new RadarPipeline(config, Object.assign({batchSize: 1}, options));
+    sinon.stub(pipeline.contentEnricher, 'checkRateLimit').resolves();
+    sinon.stub(pipeline.contentEnricher, 'getLanguages').resolves({});
+    return pipeline;
+  }
+
+  before(function () {
+    process.env.GITHUB_TOKEN = 'test-token';
+  });
+
+  after(function () {
+    if (token === undefined) {
+      delete process.env.GITHUB_TOKEN;
+    } else {
+      process.env.GITHUB_TOKEN = token;
+    }
+  });
+
+  beforeEach(function () {
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'error');
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it('should enrich repositories kept by any profile once and analyze them for every profile', async function () {
+    const pipeline = createPipeline();
+    const enrichBatch = sinon.stub(pipeline.contentEnricher, 'enrichBatch').callsFake(async batch => batch);
+
+    const analyzed = await pipeline.analyze(repos);
+
+    assert.deepEqual(enrichBatch.args.map(([batch]) => batch.map(repo => repo.name)), [['a/py'], ['c/ts']]);
+    assert.deepEqual(analyzed.map(repo => repo.name), ['a/py', 'c/ts']);
+    assert.deepEqual(pipeline.profiles.map(profile => profile.analysisResults.length), [1, 1]);
+    assert.deepEqual(pipeline.formatReports([]).map(({profile}) => profile.name), ['py', 'ts']);
+  });
+
+  it('should fail on failed batch by default', async function () {
+    const pipeline = createPipeline();
+    sinon.stub(pipeline.contentEnricher, 'enrichBatch').rejects(new Error('Bad credentials'));
+
+    let error = null;
+    await pipeline.enrichRepos(repos).catch(e => (error = e));
+    assert.equal(error && error.message, 'Bad credentials');
+  });
+
+  it('should skip failed batches if configured', async function () {
+    const pipeline = createPipeline({skipFailedBatches: true});
+    sinon.stub(pipeline.contentEnricher, 'enrichBatch')
+      .callsFake(async batch => batch)
+      .onFirstCall().rejects(new Error('Bad credentials'));
+
+    const enriched = await pipeline.enrichRepos(repos);
+    assert.deepEqual(enriched.map(repo => repo.name), ['b/rust', 'c/ts']);
+  });
+
+});
@@ -0,0 +1,78 @@
+const RadarProfile = require('../../scripts/helpers/analyzer/radar-profile.js');
+
+describe('radar-profile', function () {
+
+  const config = {
+    target_languages: ['python'],
+    topic_keywords: ['LLM'],
+    min_relevance_score: 1,
+    enable_ai_summaries: false,
+    issue_label: 'radar-all',
+    profiles: [
+      {name: 'ml', topic_keywords: ['PyTorch'], issue_label: 'radar-ml'},
+      {name: 'frontend', target_languages: ['ts', 'JavaScript'], topic_keywords: ['React'], min_relevance_score: 5},
+      {target_languages: ['TypeScript']}
+    ]
+  };
+
+  beforeEach(function () {
+    sinon.stub(console, 'log');
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it('should merge profile settings over top-level config', function () {
+    const profiles = RadarProfile.resolveProfileConfigs(config);
+    assert.deepEqual(profiles.map(profile => profile.name), ['ml', 'frontend', 'profile-3']);
+    assert.include(profiles[0].config, {issue_label: 'radar-ml', min_relevance_score: 1});
+    assert.deepEqual(profiles[0].config.target_languages, ['python']);
+    assert.deepEqual(profiles[1].config.topic_keywords, ['React']);
+    assert.isUndefined(profiles[1].config.profiles);
+    assert.equal(profiles[1].config.feedback.preferences_path, '.radar/preferences-frontend.json');
+    assert.deepEqual(RadarProfile.resolveProfileConfigs({}).map(profile => profile.name), ['default']);
+  });
+
+  it('should extract union of target languages once for all profiles', function () {
+    assert.deepEqual(RadarProfile.buildExtractionConfig(config).target_languages, ['python', 'ts', 'JavaScript']);
+    const allLanguages = Object.assign({}, config, {profiles: [{name: 'any', target_languages: []}, {name: 'py'}]});
+    assert.deepEqual(RadarProfile.buildExtractionConfig(allLanguages).target_languages, []);
+  });
+
+  it('should analyze shared enriched repositories with settings of every profile', async function () {
+    const profiles = RadarProfile.createProfiles(config);
+    const repos = [
+      {name: 'a/torch', language: 'Python', description: 'PyTorch LLM toolkit'},
+      {name: 'b/ui', language: 'TypeScript', description: 'React component for LLM chats'}
+    ];
+    const getLanguages = sinon.stub().resolves({});
+    for (const profile of profiles) {
+      await profile.filterLanguages(repos, getLanguages);
+      await profile.analyze(repos);
+    }
+
+    assert.deepEqual(profiles[0].analysisResults.map(repo => [repo.name, repo.relevanceScore]), [['a/torch', 5]]);
+    assert.deepEqual(profiles[1].analysisResults.map(repo => [repo.name, repo.relevanceScore]), [['b/ui', 5]]);
+    assert.include(profiles[1].formatReport([]), '**Minimum Relevance Score:** 5');
+    assert.deepEqual(RadarProfile.mergeProfileResults(profiles).map(repo => [repo.name, repo.relevanceScore]), [
+      ['a/torch', 5],
+      ['b/ui', 5]
+    ]);
+  });
+
+  it('should collapse duplicates among repositories kept by profile', async function () {
+    const [ml] = RadarProfile.createProfiles(config);
+    const repos = [
+      {name: 'a/engine', language: 'Rust', description: 'LLM engine', starsCount: 900},
+      {name: 'b/engine', language: 'Python', description: 'PyTorch LLM engine', isFork: true, forkParent: 'a/engine'},
+      {name: 'c/engine', language: 'Python', description: 'PyTorch LLM engine', isFork: true, forkParent: 'a/engine'}
+    ];
+    await ml.filterLanguages(repos, sinon.stub().resolves({}));
+    const analyzed = await ml.analyze(repos);
+
+    assert.deepEqual(analyzed.map(repo => repo.name), ['b/engine']);
+    assert.deepEqual(analyzed[0].duplicates.map(repo => repo.name), ['c/engine']);
+  });
+
+});
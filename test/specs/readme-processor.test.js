@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const {processReadme, cleanInline} = require('../../scripts/helpers/analyzer/readme-processor.js');
+const SmartAnalyzer = require('../../scripts/helpers/analyzer/smart-analyzer.js');
+
+describe('readme-processor', function () {
+
+  const markdown = fs.readFileSync(path.join(__dirname, '../data/readme_noisy.md'), 'utf8');
+
+  it('should strip badges, html, link urls and code blocks', function () {
+    const {text} = processReadme(markdown);
+    assert.notInclude(text, 'shields.io');
+    assert.notInclude(text, '<img');
+    assert.notInclude(text, 'wikipedia');
+    assert.notInclude(text, 'pip install');
+    assert.notInclude(text, 'recording.edf');
+    assert.notInclude(text, 'transformer');
+    assert.notInclude(text, 'comment with AI');
+    assert.include(text, 'decoding brain signals from EEG headsets');
+  });
+
+  it('should split sections and drop boilerplate', function () {
+    const {sections} = processReadme(markdown);
+    assert.include(sections.intro, 'NeuroKit is a toolkit');
+    assert.include(sections.features, 'Real-time BCI pipelines');
+    assert.include(sections.features, 'Muse yes');
+    assert.equal(sections.usage, 'Run neurokit decode on your recordings.');
+    assert.equal(sections.other, '');
+    assert.notInclude(processReadme(markdown).text, 'MIT');
+  });
+
+  it('should build abstract from intro prose', function () {
+    const {abstract} = processReadme(markdown);
+    assert.equal(abstract, 'NeuroKit is a toolkit for decoding brain signals from EEG headsets. See for docs.');
+    const long = processReadme(`${'Decoding neural signals in real time. '.repeat(30)}`).abstract;
+    assert.isAtMost(long.length, 500);
+    assert.isTrue(long.endsWith('.'));
+  });
+
+  it('should keep text of inline markup', function () {
+    assert.equal(cleanInline('**Fast** `agent` [docs][1] <b>LLM</b> ~~old~~'), 'Fast agent docs LLM old');
+    assert.equal(cleanInline('[1]: https://example.com'), '');
+  });
+
+  it('should handle empty readme', function () {
+    assert.deepEqual(processReadme(''), {
+      text: '',
+      abstract: '',
+      sections: {intro: '', features: '', usage: '', other: ''}
+    });
+  });
+
+  it('should use abstract and features in AI prompt', function () {
+    sinon.stub(console, 'log');
+    const analyzer = new SmartAnalyzer({topic_keywords: ['BCI'], enable_ai_summaries: false});
+    sinon.restore();
+    const processed = processReadme(markdown);
+    const prompt = analyzer.buildAIPrompt({
+      name: 'a/neurokit',
+      readmeContent: processed.text,
+      readmeAbstract: processed.abstract,
+      readmeSections: processed.sections
+    }, ['BCI']);
+    assert.include(prompt, 'README Excerpt: NeuroKit is a toolkit');
+    assert.include(prompt, 'Features: - Real-time BCI pipelines');
+  });
+
+});
@@ -0,0 +1,86 @@
+const ReleaseNotes = require('../../scripts/helpers/analyzer/release-notes.js');
+const RadarFormatter = require('../../scripts/helpers/analyzer/radar-formatter.js');
+
+describe('release-notes', function () {
+
+  const now = new Date('2024-05-10T12:00:00Z');
+
+  const changelog = [
+    '# Changelog',
+    '## [Unreleased]',
+    '- Work in progress',
+    '## [2.0.0](https://github.com/a/b/compare/v1.9.0...v2.0.0) - 2024-05-08',
+    '### Added',
+    '- **Streaming** responses for [tools](https://example.com/tools)',
+    '- Async client',
+    '## 1.9.0 (2024-03-01)',
+    '- Bug fixes'
+  ].join('\n');
+
+  it('should parse changelog sections and release note bullets', function () {
+    assert.deepEqual(ReleaseNotes.parseChangelog(changelog).map(({version, date}) => ({version, date})), [
+      {version: '2.0.0', date: '2024-05-08'},
+      {version: '1.9.0', date: '2024-03-01'}
+    ]);
+
+    const notes = [
+      '## What\'s Changed',
+      '* Add plugin API by @octocat in https://github.com/a/b/pull/12',
+      '* Drop Python 3.8 by @dependabot[bot] in https://github.com/a/b/pull/13',
+      '  * nested detail',
+      '',
+      '**Full Changelog**: https://github.com/a/b/compare/v1.9.0...v2.0.0',
+      `- ${'long '.repeat(40)}tail`
+    ].join('\n');
+    assert.deepEqual(ReleaseNotes.extractBullets(notes, 2), ['Add plugin API', 'Drop Python 3.8']);
+    const [, , long] = ReleaseNotes.extractBullets(notes, 3);
+    assert.isAtMost(long.length, 141);
+    assert.match(long, /long…$/);
+  });
+
+  it('should find latest release, tag or changelog section within the trending window', function () {
+    const releaseNotes = new ReleaseNotes({window_days: 7, max_bullets: 2});
+    const releases = [
+      {tagName: 'v2.1.0-rc1', publishedAt: '2024-05-09T00:00:00Z', body: '- Preview', prerelease: true},
+      {tagName: 'v2.0.0', name: 'Two', publishedAt: '2024-05-08T00:00:00Z', body: '', prerelease: false}
+    ];
+
+    const release = releaseNotes.assess({name: 'a/b'}, {releases, changelog}, now);
+    assert.deepEqual(release, {
+      version: 'v2.0.0',
+      name: 'Two',
+      publishedAt: '2024-05-08T00:00:00Z',
+      source: 'release',
+      daysAgo: 2,
+      trending: true,
+      // Release without notes takes bullets of changelog section
+      bullets: ['Streaming responses for tools', 'Async client']
+    });
+
+    // Daily trending repository: the window is one day
+    const daily = {name: 'a/b', trendingPages: [{since: 'daily'}]};
+    assert.isFalse(releaseNotes.assess(daily, {releases}, now).trending);
+
+    const tag = releaseNotes.assess({name: 'a/b'}, {tags: [{name: '3.0', date: '2024-05-10T08:00:00Z'}]}, now);
+    assert.include(tag, {version: '3.0', source: 'tag', daysAgo: 0, trending: true});
+    assert.include(releaseNotes.assess({name: 'a/b'}, {changelog}, now), {version: '2.0.0', source: 'changelog'});
+    assert.isNull(releaseNotes.assess({name: 'a/b'}, {releases: [], tags: [], changelog: null}, now));
+  });
+
+  it('should show release within the trending window in report', function () {
+    const formatter = new RadarFormatter({topic_keywords: [], target_languages: []});
+    const repo = {
+      name: 'a/b',
+      url: 'https://github.com/a/b',
+      relevanceScore: 5,
+      matchedKeywords: [],
+      release: {version: '2.0', daysAgo: 3, trending: true, bullets: ['Plugin API', 'Async client']}
+    };
+
+    assert.include(formatter.formatRepository(repo),
+      '🎉 **Trending after v2.0 release** (3 days ago)\n- Plugin API\n- Async client');
+    const old = Object.assign({}, repo, {release: Object.assign({}, repo.release, {trending: false})});
+    assert.notInclude(formatter.formatRepository(old), 'Trending after');
+  });
+
+});
@@ -0,0 +1,67 @@
+const RepoHealth = require('../../scripts/helpers/analyzer/repo-health.js');
+const RadarFormatter = require('../../scripts/helpers/analyzer/radar-formatter.js');
+
+describe('repo-health', function () {
+
+  const now = new Date('2024-06-01T00:00:00Z');
+  const health = new RepoHealth();
+
+  const mature = {
+    name: 'org/mature',
+    license: 'MIT',
+    createdAt: '2021-01-01T00:00:00Z',
+    pushedAt: '2024-05-30T00:00:00Z',
+    starsCount: 1000,
+    openIssuesCount: 20,
+    hasReleases: true,
+    hasCI: true,
+  };
+
+  it('should give full score to mature repo', function () {
+    const result = health.assess(mature, now);
+    assert.equal(result.score, 100);
+    assert.equal(result.level, 'mature');
+    assert.deepEqual(result.flags, {
+      license: 'MIT',
+      archived: false,
+      fork: false,
+      template: false,
+      ageDays: 1247,
+      daysSinceLastPush: 2,
+      openIssueRatio: 0.02,
+      hasReleases: true,
+      hasCI: true,
+    });
+  });
+
+  it('should score weekend prototype low', function () {
+    const result = health.assess({
+      name: 'dev/prototype',
+      createdAt: '2024-05-29T00:00:00Z',
+      pushedAt: '2024-05-31T00:00:00Z',
+      starsCount: 300,
+      openIssuesCount: 0,
+      hasReleases: false,
+      hasCI: false,
+    }, now);
+    assert.equal(result.score, 50);
+    assert.equal(result.level, 'prototype');
+  });
+
+  it('should penalize archived forks and treat unknown signals as missing', function () {
+    const result = health.assess(Object.assign({}, mature, {archived: true, isFork: true, hasCI: undefined}), now);
+    assert.equal(result.score, 70);
+    assert.isNull(result.flags.hasCI);
+  });
+
+  it('should annotate repos and show health in report', function () {
+    const [repo] = health.annotate([Object.assign({}, mature, {archived: true})], now);
+    const formatter = new RadarFormatter({target_languages: [], topic_keywords: []});
+    assert.equal(
+      formatter.formatHealth(repo),
+      '🩺 **Health:** 85/100 (mature) • ⚠️ archived • MIT • 3.4 years old • pushed 2 days ago • releases • CI'
+    );
+    assert.equal(formatter.formatHealth({name: 'a/b'}), '');
+  });
+
+});
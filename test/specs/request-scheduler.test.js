@@ -0,0 +1,127 @@
+const RequestScheduler = require('../../scripts/helpers/request-scheduler.js');
+
+describe('request-scheduler', function () {
+
+  let now;
+  let sleeps;
+
+  function createScheduler(options) {
+    const sleep = async ms => {
+      sleeps.push(ms);
+      now += ms;
+    };
+    return new RequestScheduler(options, {now: () => now, sleep});
+  }
+
+  function rateLimitHeaders(remaining, resetSeconds, resource = 'core') {
+    return {
+      'x-ratelimit-limit': '5000',
+      'x-ratelimit-remaining': String(remaining),
+      'x-ratelimit-used': String(5000 - remaining),
+      'x-ratelimit-reset': String(resetSeconds),
+      'x-ratelimit-resource': resource
+    };
+  }
+
+  function rateLimitError(status, headers, data) {
+    return Object.assign(new Error(`Request failed with status code ${status}`), {response: {status, headers, data}});
+  }
+
+  beforeEach(function () {
+    sinon.stub(console, 'log');
+    now = 1000000;
+    sleeps = [];
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it('should throttle by remaining quota and pause until reset', async function () {
+    const scheduler = createScheduler();
+    const resetSeconds = now / 1000 + 100;
+
+    await scheduler.schedule(async () => ({headers: rateLimitHeaders(50, resetSeconds)}));
+    await scheduler.schedule(async () => ({headers: rateLimitHeaders(5, resetSeconds)}));
+    await scheduler.schedule(async () => ({headers: rateLimitHeaders(4, resetSeconds, 'search')}), 'search');
+    await scheduler.schedule(async () => ({headers: rateLimitHeaders(5000, resetSeconds + 3600)}));
+
+    // 100s spread over 50 requests, then pause until reset; search quota is unknown yet
+    assert.deepEqual(sleeps, [2000, 98000]);
+    assert.include(scheduler.getReport(), 'GitHub API: 4 requests, 2 throttled (100s), 0 retried after rate limit');
+    assert.include(scheduler.getReport(), 'core 0/5000 used, 5000 left');
+  });
+
+  it('should retry rate-limited responses after Retry-After or reset', async function () {
+    const scheduler = createScheduler({retries: 2});
+    const request = sinon.stub();
+    request.onCall(0).rejects(rateLimitError(403, {'retry-after': '30'}));
+    request.onCall(1).rejects(rateLimitError(403, rateLimitHeaders(0, now / 1000 + 60)));
+    request.onCall(2).resolves({headers: rateLimitHeaders(4999, now / 1000 + 3600), data: 'ok'});
+
+    const response = await scheduler.schedule(request);
+
+    assert.equal(response.data, 'ok');
+    assert.deepEqual(sleeps, [30000, 30000]);
+    assert.equal(scheduler.stats.retried, 2);
+
+    // Permission errors and waits longer than max_wait_minutes fail at once
+    const forbidden = rateLimitError(403, {});
+    let error = await scheduler.schedule(() => Promise.reject(forbidden)).catch(e => e);
+    assert.equal(error, forbidden);
+    const exhausted = rateLimitError(403, rateLimitHeaders(0, now / 1000 + 3600));
+    error = await scheduler.schedule(() => Promise.reject(exhausted)).catch(e => e);
+    assert.equal(error, exhausted);
+  });
+
+  it('should retry after Retry-After HTTP-date and fail on unparsable Retry-After', async function () {
+    const scheduler = createScheduler();
+    const request = sinon.stub();
+    request.onCall(0).rejects(rateLimitError(429, {'retry-after': new Date(now + 45000).toUTCString()}));
+    request.onCall(1).resolves({headers: {}, data: 'ok'});
+
+    const response = await scheduler.schedule(request);
+
+    assert.equal(response.data, 'ok');
+    assert.deepEqual(sleeps, [45000]);
+
+    const invalid = rateLimitError(429, {'retry-after': 'soon'});
+    const error = await scheduler.schedule(() => Promise.reject(invalid)).catch(e => e);
+    assert.equal(error, invalid);
+    assert.equal(scheduler.pausedUntil, now);
+    assert.equal(scheduler.stats.waitedMs, 45000);
+  });
+
+  it('should wait for secondary rate limit reported by 403 message', async function () {
+    const scheduler = createScheduler();
+    const request = sinon.stub();
+    const message = 'You have exceeded a secondary rate limit. Please wait a few minutes before you try again.';
+    request.onCall(0).rejects(rateLimitError(403, rateLimitHeaders(4000, now / 1000 + 3600), {message}));
+    request.onCall(1).resolves({headers: rateLimitHeaders(3999, now / 1000 + 3600), data: 'ok'});
+
+    const response = await scheduler.schedule(request);
+
+    assert.equal(response.data, 'ok');
+    assert.deepEqual(sleeps, [60000]);
+  });
+
+  it('should run at most `concurrency` requests at the same time', async function () {
+    const scheduler = new RequestScheduler({concurrency: 2});
+    let active = 0;
+    let maxActive = 0;
+    const request = async index => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+      return {headers: {}, data: index};
+    };
+
+    const responses = await Promise.all([0, 1, 2, 3, 4].map(index => scheduler.schedule(() => request(index))));
+
+    assert.deepEqual(responses.map(response => response.data), [0, 1, 2, 3, 4]);
+    assert.equal(maxActive, 2);
+    assert.equal(scheduler.active, 0);
+  });
+
+});
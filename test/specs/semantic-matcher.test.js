@@ -0,0 +1,119 @@
+const http = require('http');
+const {
+  HashedNgramProvider,
+  OpenAICompatibleEmbeddingProvider,
+  createEmbeddingProvider,
+  cosineSimilarity
+} = require('../../scripts/helpers/analyzer/embedding-provider.js');
+const {SemanticMatcher, createSemanticMatcher} = require('../../scripts/helpers/analyzer/semantic-matcher.js');
+const SmartAnalyzer = require('../../scripts/helpers/analyzer/smart-analyzer.js');
+
+describe('semantic-matcher', function () {
+
+  const statements = [
+    'Brain computer interfaces that decode neural signals',
+    'Autonomous agents built on large language models',
+  ];
+
+  beforeEach(function () {
+    sinon.stub(console, 'log');
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it('should embed similar texts closer with local provider', async function () {
+    const provider = new HashedNgramProvider({dimensions: 256});
+    const [statement, related, unrelated] = await provider.embed([
+      statements[0], 'Brain signal decoding toolkit for EEG', 'CSS framework for responsive web design'
+    ]);
+    assert.lengthOf(statement, 256);
+    assert.closeTo(cosineSimilarity(statement, statement), 1, 1e-9);
+    assert.isAbove(cosineSimilarity(statement, related), cosineSimilarity(statement, unrelated) + 0.1);
+  });
+
+  it('should annotate repos with best matching statement', async function () {
+    const matcher = new SemanticMatcher(statements, new HashedNgramProvider());
+    const [bci, agent] = await matcher.annotate([
+      {name: 'a/eeg', description: 'Decoding brain signals from EEG headsets'},
+      {name: 'a/bot', description: 'Agents powered by large language models', topics: ['llm']},
+    ]);
+    assert.equal(bci.semantic.statement, statements[0]);
+    assert.equal(agent.semantic.statement, statements[1]);
+    assert.isAbove(bci.semantic.similarity, 0.2);
+  });
+
+  it('should blend similarity into relevance score', function () {
+    const analyzer = new SmartAnalyzer({
+      topic_keywords: ['BCI'],
+      semantic: {weight: 10, min_similarity: 0.3},
+      enable_ai_summaries: false,
+    });
+    const semantic = {statement: statements[0], similarity: 0.45};
+    assert.equal(analyzer.basicAnalysis({name: 'a/b', description: 'EEG', semantic}).relevanceScore, 4.5);
+    assert.equal(analyzer.basicAnalysis({name: 'a/b', description: 'BCI', semantic}).relevanceScore, 9.5);
+    const weak = {statement: statements[0], similarity: 0.2};
+    assert.equal(analyzer.basicAnalysis({name: 'a/b', description: 'EEG', semantic: weak}).relevanceScore, 0);
+  });
+
+  it('should create matcher only with interest statements', function () {
+    assert.isNull(createSemanticMatcher({}));
+    assert.isNull(createSemanticMatcher({interest_statements: statements, semantic: {enabled: false}}));
+    assert.instanceOf(createSemanticMatcher({interest_statements: statements}).provider, HashedNgramProvider);
+    assert.throws(() => createEmbeddingProvider({provider: 'word2vec'}), 'Unknown embedding provider');
+  });
+
+  describe('openai-compatible provider', function () {
+
+    let server;
+    let requests;
+
+    beforeEach(done => {
+      requests = [];
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+          const request = JSON.parse(body);
+          requests.push({url: req.url, body: request});
+          const data = request.input.map((text, index) => ({index, embedding: [text.length, 1]})).reverse();
+          res.writeHead(200, {'Content-Type': 'application/json'});
+          res.end(JSON.stringify({data}));
+        });
+      });
+      server.listen(0, '127.0.0.1', done);
+    });
+
+    afterEach(done => {
+      server.close(done);
+    });
+
+    it('should call embeddings endpoint and keep input order', async function () {
+      const baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+      const provider = createEmbeddingProvider({provider: 'openai', base_url: baseUrl, model: 'nomic-embed-text'});
+      assert.instanceOf(provider, OpenAICompatibleEmbeddingProvider);
+      const vectors = await provider.embed(['a', 'abc']);
+      assert.deepEqual(vectors, [[1, 1], [3, 1]]);
+      assert.equal(requests[0].url, '/v1/embeddings');
+      assert.deepEqual(requests[0].body, {model: 'nomic-embed-text', input: ['a', 'abc']});
+    });
+
+    it('should send inputs in chunks of batch_size', async function () {
+      const baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+      const provider = createEmbeddingProvider({provider: 'openai', base_url: baseUrl, batch_size: 2});
+      const vectors = await provider.embed(['a', 'ab', 'abc', 'abcd', 'abcde']);
+      assert.deepEqual(vectors.map(vector => vector[0]), [1, 2, 3, 4, 5]);
+      assert.deepEqual(requests.map(request => request.body.input.length), [2, 2, 1]);
+    });
+
+    it('should skip semantic matching when provider fails', async function () {
+      sinon.stub(console, 'error');
+      const provider = new OpenAICompatibleEmbeddingProvider({base_url: 'http://127.0.0.1:1/v1', retries: 0});
+      const repos = [{name: 'a/b', description: 'EEG'}];
+      assert.deepEqual(await new SemanticMatcher(statements, provider).annotate(repos), repos);
+    });
+
+  });
+
+});
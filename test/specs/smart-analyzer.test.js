@@ -0,0 +1,66 @@
+const SmartAnalyzer = require('../../scripts/helpers/analyzer/smart-analyzer.js');
+const RadarFormatter = require('../../scripts/helpers/analyzer/radar-formatter.js');
+
+describe('smart-analyzer', function () {
+
+  function createAnalyzer(config) {
+    sinon.stub(console, 'log');
+    const analyzer = new SmartAnalyzer(Object.assign({enable_ai_summaries: false}, config));
+    sinon.restore();
+    return analyzer;
+  }
+
+  it('should use default field weights', function () {
+    const analyzer = createAnalyzer({topic_keywords: ['BCI']});
+    const result = analyzer.basicAnalysis({
+      name: 'bci/bci-kit',
+      description: 'BCI toolkit',
+      topics: ['bci'],
+      readmeContent: 'BCI and BCI'
+    });
+    assert.equal(result.relevanceScore, 5 + 3 + 2);
+    assert.deepEqual(result.matchedKeywords, ['BCI']);
+  });
+
+  it('should apply per-keyword weights case-insensitively', function () {
+    const analyzer = createAnalyzer({
+      topic_keywords: ['Neuro-AI', 'AI', 'LLM Agent = [ai agent]'],
+      keyword_weights: {'neuro-ai': 10, 'LLM Agent': 4},
+    });
+    assert.equal(analyzer.basicAnalysis({name: 'a/b', description: 'Neuro-AI'}).relevanceScore, 55);
+    assert.equal(analyzer.basicAnalysis({name: 'a/b', description: 'AI'}).relevanceScore, 5);
+    assert.equal(analyzer.basicAnalysis({name: 'a/b', description: 'AI agent'}).relevanceScore, 25);
+  });
+
+  it('should search name and owner with configured field weights', function () {
+    const analyzer = createAnalyzer({
+      topic_keywords: ['BCI'],
+      field_weights: {name: 4, owner: 2, readme: 0},
+    });
+    const result = analyzer.basicAnalysis({name: 'bci-lab/open-bci', readmeContent: 'BCI'});
+    assert.equal(result.relevanceScore, 6);
+    assert.equal(analyzer.basicAnalysis({name: 'lab/tools', readmeContent: 'BCI'}).relevanceScore, 0);
+  });
+
+  it('should explain score per field and keyword', function () {
+    const config = {topic_keywords: ['BCI', 'EEG'], keyword_weights: {EEG: 2}};
+    const result = createAnalyzer(config).basicAnalysis({
+      name: 'bci/kit',
+      url: 'https://github.com/bci/kit',
+      description: 'BCI and EEG toolkit',
+      readmeContent: 'EEG EEG EEG'
+    });
+    assert.equal(result.relevanceScore, 21);
+    assert.deepEqual(result.scoreBreakdown.matches, [
+      {field: 'description', label: 'EEG', count: 1, fieldWeight: 5, keywordWeight: 2, contribution: 10},
+      {field: 'readme', label: 'EEG', count: 3, fieldWeight: 1, keywordWeight: 2, contribution: 6},
+      {field: 'description', label: 'BCI', count: 1, fieldWeight: 5, keywordWeight: 1, contribution: 5}
+    ]);
+    assert.include(result.scoreBreakdown, {method: 'count', keywordScore: 21, semanticScore: 0, ownerWeight: 1});
+
+    const breakdown = new RadarFormatter(Object.assign({target_languages: []}, config)).formatScoreBreakdown(result);
+    assert.include(breakdown, '| readme | EEG | 3 | 1 | 2 | 6 |');
+    assert.include(breakdown, '- **Relevance Score:** 21 (minimum 1)');
+  });
+
+});
@@ -0,0 +1,87 @@
+const SearchSource = require('../../scripts/helpers/analyzer/sources/search-source.js');
+const TopicSource = require('../../scripts/helpers/analyzer/sources/topic-source.js');
+const StaticListSource = require('../../scripts/helpers/analyzer/sources/static-list-source.js');
+const {normalizeRepo, fromApiRepo} = require('../../scripts/helpers/analyzer/sources/repo-shape.js');
+const {createSources, collectRepos} = require('../../scripts/helpers/analyzer/sources');
+
+describe('sources', function () {
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should normalize repo to trends shape', function () {
+    const repo = fromApiRepo({full_name: 'a/b', description: ' desc ', language: null, stargazers_count: 5});
+    assert.deepEqual(repo, {
+      name: 'a/b',
+      url: 'https://github.com/a/b',
+      description: 'desc',
+      language: '',
+      starsAdded: 0,
+      stars: 5,
+      forks: 0,
+    });
+    assert.throws(() => normalizeRepo({name: 'not-a-repo'}), /Invalid repository name/);
+  });
+
+  it('should expand relative dates in search query', function () {
+    const now = new Date('2024-03-10T12:00:00Z');
+    const query = SearchSource.expandRelativeDates('created:>7d stars:>50 topic:llm', now);
+    assert.equal(query, 'created:>2024-03-03 stars:>50 topic:llm');
+  });
+
+  it('should parse topic page', function () {
+    const html = `
+      <article>
+        <h3><a href="/owner">owner</a> / <a href="/owner/repo">repo</a></h3>
+        <span id="repo-stars-counter-star" title="1,234">1.2k</span>
+        <p>Repo description</p>
+        <span itemprop="programmingLanguage">Python</span>
+      </article>
+      <article><p>Not a repo</p></article>
+    `;
+    const repos = TopicSource.parse(html);
+    assert.equal(repos.length, 1);
+    assert.include(repos[0], {name: 'owner/repo', stars: 1234, language: 'Python', description: 'Repo description'});
+  });
+
+  it('should skip malformed article of topic page', function () {
+    const html = `
+      <article><h3><a href="/owner/other/tree/main">other</a></h3></article>
+      <article><h3><a href="/owner">owner</a> / <a href="/owner/repo">repo</a></h3></article>
+    `;
+    const repos = TopicSource.parse(html);
+    assert.deepEqual(repos.map(repo => repo.name), ['owner/repo']);
+  });
+
+  it('should parse static list', function () {
+    assert.deepEqual(StaticListSource.parse('a/b\n# comment\n\nc/d # note\n', 'list.txt'), ['a/b', 'c/d']);
+    assert.deepEqual(StaticListSource.parse('- a/b\n- c/d\n', 'list.yml'), ['a/b', 'c/d']);
+  });
+
+  it('should throw on unknown source type', function () {
+    assert.throws(() => createSources({sources: [{type: 'rss'}]}), /Unknown repository source type: rss/);
+  });
+
+  it('should require GitHub token only when token-dependent source is fetched', async function () {
+    sinon.stub(process, 'env').value({});
+    const [search] = createSources({sources: [{type: 'search', query: 'topic:llm'}]});
+    const error = await search.fetch().catch(e => e);
+    assert.match(error.message, /GitHub token not found/);
+  });
+
+  it('should merge repos from all sources and skip failed ones', async function () {
+    sinon.stub(console, 'error');
+    const sources = [
+      {id: 'trending', fetch: async () => [{name: 'a/b', stars: 1}]},
+      {id: 'broken', fetch: async () => { throw new Error('fail'); }},
+      {id: 'search:q', fetch: async () => [{name: 'a/b', stars: 2}, {name: 'c/d', stars: 3}]},
+    ];
+    const repos = await collectRepos(sources);
+    assert.deepEqual(repos.map(repo => [repo.name, repo.stars, repo.sources]), [
+      ['a/b', 1, ['trending', 'search:q']],
+      ['c/d', 3, ['search:q']],
+    ]);
+  });
+
+});
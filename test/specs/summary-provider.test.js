@@ -0,0 +1,72 @@
+const http = require('http');
+const {OpenAICompatibleProvider, createSummaryProvider} = require('../../scripts/helpers/analyzer/summary-provider.js');
+
+describe('summary-provider', function () {
+
+  let server;
+  let baseUrl;
+  let requests;
+  let responses;
+
+  beforeEach(done => {
+    requests = [];
+    responses = [];
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        requests.push({url: req.url, headers: req.headers, body: JSON.parse(body)});
+        const {status, data} = responses.shift() || {status: 500, data: {}};
+        res.writeHead(status, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify(data));
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+      done();
+    });
+  });
+
+  afterEach(done => {
+    sinon.restore();
+    server.close(done);
+  });
+
+  function completion(content) {
+    return {status: 200, data: {choices: [{message: {role: 'assistant', content}}]}};
+  }
+
+  it('should call chat completions endpoint', async function () {
+    responses.push(completion(' Neat BCI toolkit. '));
+    const provider = new OpenAICompatibleProvider({base_url: baseUrl, model: 'llama3', max_tokens: 50}, 'secret');
+    const summary = await provider.summarize('Summarize repo');
+    assert.equal(summary, 'Neat BCI toolkit.');
+    assert.equal(requests[0].url, '/v1/chat/completions');
+    assert.equal(requests[0].headers.authorization, 'Bearer secret');
+    assert.include(requests[0].body, {model: 'llama3', max_tokens: 50});
+    assert.deepEqual(requests[0].body.messages[1], {role: 'user', content: 'Summarize repo'});
+  });
+
+  it('should retry server errors', async function () {
+    sinon.stub(console, 'log');
+    responses.push({status: 503, data: {}}, completion('Summary'));
+    const provider = new OpenAICompatibleProvider({base_url: baseUrl, retries: 2});
+    assert.equal(await provider.summarize('prompt'), 'Summary');
+    assert.equal(requests.length, 2);
+  });
+
+  it('should fall back to no summary on failure', async function () {
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'error');
+    const provider = new OpenAICompatibleProvider({base_url: baseUrl, retries: 1});
+    assert.isNull(await provider.summarize('prompt'));
+    assert.equal(requests.length, 2);
+  });
+
+  it('should require api key only for OpenAI endpoint', function () {
+    sinon.stub(process, 'env').value({});
+    assert.isNull(createSummaryProvider({}));
+    assert.instanceOf(createSummaryProvider({ai_provider: {base_url: baseUrl}}), OpenAICompatibleProvider);
+  });
+
+});
@@ -0,0 +1,59 @@
+const ThemeClusterer = require('../../scripts/helpers/analyzer/theme-clusterer.js');
+const RadarFormatter = require('../../scripts/helpers/analyzer/radar-formatter.js');
+
+describe('theme-clusterer', function () {
+
+  const repos = [
+    {name: 'a/crew', relevanceScore: 9, topics: ['agents', 'llm'], matchedKeywords: ['agent'],
+      description: 'Multi-agent framework for LLM apps'},
+    {name: 'b/autopilot', relevanceScore: 7, topics: ['agent', 'framework'], matchedKeywords: ['agent'],
+      description: 'Autonomous agent framework'},
+    {name: 'c/recall', relevanceScore: 8, topics: ['rag', 'vector-database'], matchedKeywords: ['RAG'],
+      description: 'Long-term memory for chatbots'},
+    {name: 'd/remember', relevanceScore: 5, topics: ['rag', 'memory'], matchedKeywords: ['RAG'],
+      description: 'Memory layer with retrieval'},
+    {name: 'e/eeg', relevanceScore: 4, topics: ['bci'], matchedKeywords: ['BCI'],
+      description: 'Open hardware EEG board'},
+    {name: 'f/noise', relevanceScore: 0, topics: ['agents'], matchedKeywords: [], description: 'Agent'}
+  ];
+
+  beforeEach(function () {
+    sinon.stub(console, 'log');
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it('should cluster repos by shared topics, keywords and description terms', function () {
+    const clusters = new ThemeClusterer().cluster(repos.slice(0, 5));
+    assert.deepEqual(clusters.map(cluster => cluster.repos.map(repo => repo.name).sort()), [
+      ['a/crew', 'b/autopilot'],
+      ['c/recall', 'd/remember']
+    ]);
+    assert.equal(clusters[0].label, 'Agent / Framework');
+    assert.equal(clusters[1].label, 'RAG / Memory');
+  });
+
+  it('should annotate only relevant repos and keep flat list on small days', function () {
+    const clusterer = new ThemeClusterer();
+    const annotated = clusterer.annotate(repos, 1);
+    assert.deepEqual(annotated.map(repo => repo.theme), [
+      'Agent / Framework', 'Agent / Framework', 'RAG / Memory', 'RAG / Memory', undefined, undefined
+    ]);
+    assert.isUndefined(repos[0].theme);
+    const fewRepos = repos.slice(0, 3);
+    assert.strictEqual(clusterer.annotate(fewRepos, 1), fewRepos);
+    assert.isTrue(new ThemeClusterer({enabled: false}).annotate(repos, 1).every(repo => !repo.theme));
+  });
+
+  it('should render one section per theme ordered by best repo with "Other" last', function () {
+    const annotated = new ThemeClusterer().annotate(repos, 1);
+    const formatter = new RadarFormatter({target_languages: [], topic_keywords: []});
+    const report = formatter.format(annotated);
+    const headings = report.split('\n').filter(line => line.startsWith('## 🧩'));
+    assert.deepEqual(headings, ['## 🧩 Agent / Framework (2)', '## 🧩 RAG / Memory (2)', '## 🧩 Other (1)']);
+    assert.notInclude(report, 'f/noise');
+  });
+
+});
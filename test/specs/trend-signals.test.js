@@ -0,0 +1,72 @@
+const TrendSignals = require('../../scripts/helpers/analyzer/trend-signals.js');
+const SmartAnalyzer = require('../../scripts/helpers/analyzer/smart-analyzer.js');
+
+describe('trend-signals', function () {
+
+  function createHistory(entries) {
+    return {getByRepo: name => entries.filter(entry => entry.name === name)};
+  }
+
+  function entry(date, stars, trending = true) {
+    return {name: 'a/b', date, trending: {stars, trendingPages: trending ? [{since: 'daily'}] : undefined}};
+  }
+
+  const now = new Date('2024-03-04T10:00:00Z');
+
+  it('should compute star velocity, acceleration and streak', function () {
+    const history = createHistory([
+      entry('2024-03-01', 100, false),
+      entry('2024-03-02', 110),
+      entry('2024-03-03', 140),
+    ]);
+    const signals = new TrendSignals(history).compute({name: 'a/b', starsCount: 200, trendingPages: [{}]}, now);
+    assert.closeTo(signals.starVelocity, 100 / 3, 0.001);
+    assert.equal(signals.acceleration, 30);
+    assert.equal(signals.trendingStreak, 3);
+    assert.equal(signals.snapshots, 4);
+  });
+
+  it('should limit series to configured window', function () {
+    const history = createHistory([entry('2024-03-01', 100), entry('2024-03-02', 110), entry('2024-03-03', 120)]);
+    const signals = new TrendSignals(history, {window: 2}).compute({name: 'a/b', stars: 150}, now);
+    assert.equal(signals.snapshots, 2);
+    assert.isNull(signals.acceleration);
+    assert.equal(signals.trendingStreak, 0);
+  });
+
+  it('should compute velocity over the whole window', function () {
+    const history = createHistory([
+      entry('2024-02-27', 100),
+      entry('2024-02-28', 100),
+      entry('2024-02-29', 100),
+      entry('2024-03-01', 100),
+      entry('2024-03-02', 130),
+      entry('2024-03-03', 160)
+    ]);
+    const repo = {name: 'a/b', starsCount: 190};
+    assert.equal(new TrendSignals(history, {window: 3}).compute(repo, now).starVelocity, 30);
+    assert.closeTo(new TrendSignals(history, {window: 7}).compute(repo, now).starVelocity, 90 / 6, 0.001);
+  });
+
+  it('should return empty signals for repo without history', function () {
+    const signals = new TrendSignals(createHistory([])).compute({name: 'a/b', stars: 10, trendingPages: [{}]}, now);
+    assert.deepEqual(signals, {starVelocity: null, acceleration: null, trendingStreak: 1, snapshots: 1});
+  });
+
+  it('should add signal score only for relevant repos', function () {
+    sinon.stub(console, 'log');
+    const analyzer = new SmartAnalyzer({
+      topic_keywords: ['rust'],
+      enable_ai_summaries: false,
+      signals: {weights: {velocity: 1, streak: 2}},
+    });
+    sinon.restore();
+    const signals = {starVelocity: 7, acceleration: 3, trendingStreak: 3};
+    const relevant = analyzer.basicAnalysis({name: 'a/b', description: 'rust', signals});
+    const irrelevant = analyzer.basicAnalysis({name: 'c/d', description: 'go', signals});
+    assert.equal(relevant.signalScore, 9);
+    assert.equal(relevant.relevanceScore, 14);
+    assert.equal(irrelevant.relevanceScore, 0);
+  });
+
+});
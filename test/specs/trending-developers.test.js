@@ -0,0 +1,67 @@
+const TrendingDevelopers = require('../../scripts/helpers/trending-developers.js');
+const SmartAnalyzer = require('../../scripts/helpers/analyzer/smart-analyzer.js');
+const RadarFormatter = require('../../scripts/helpers/analyzer/radar-formatter.js');
+
+const html = `
+  <article class="Box-row d-flex" id="pa-alice">
+    <div class="col-md-6">
+      <h1 class="h3 lh-condensed"><a href="/alice">Alice Smith</a></h1>
+      <p class="f4 text-normal mb-1"><a href="/alice">alice</a></p>
+    </div>
+    <div class="col-md-6">
+      <article>
+        <h1 class="h4 lh-condensed"><a href="/alice/neuro-kit">neuro-kit</a></h1>
+        <div class="f6 color-fg-muted mt-1">BCI toolkit for brain signals</div>
+      </article>
+    </div>
+  </article>
+  <article class="Box-row d-flex" id="pa-bob">
+    <h1 class="h3 lh-condensed"><a href="/bob">bob</a></h1>
+  </article>
+`;
+
+describe('trending-developers', function () {
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should parse developers with popular repo', async function () {
+    sinon.stub(console, 'log');
+    const developers = new TrendingDevelopers('', {retries: 0});
+    developers._loadHtml = () => developers._html = html;
+    const result = await developers.getAll();
+    assert.deepEqual(result, [
+      {
+        login: 'alice',
+        name: 'Alice Smith',
+        url: 'https://github.com/alice',
+        popularRepo: {
+          name: 'alice/neuro-kit',
+          url: 'https://github.com/alice/neuro-kit',
+          description: 'BCI toolkit for brain signals',
+        },
+      },
+      {login: 'bob', name: 'bob', url: 'https://github.com/bob', popularRepo: null},
+    ]);
+    // Parsing the page again (retried load) does not duplicate developers
+    developers._parseRepos();
+    assert.equal(developers._repos.length, 2);
+  });
+
+  it('should render developers matching topic keywords', function () {
+    sinon.stub(console, 'log');
+    const config = {target_languages: [], topic_keywords: ['BCI'], enable_ai_summaries: false};
+    const developers = new SmartAnalyzer(config).analyzeDevelopers([
+      {login: 'alice', name: 'Alice', url: 'https://github.com/alice', popularRepo: {
+        name: 'alice/neuro-kit', url: 'https://github.com/alice/neuro-kit', description: 'BCI toolkit'
+      }},
+      {login: 'bob', name: 'bob', url: 'https://github.com/bob', popularRepo: null},
+    ]);
+    const report = new RadarFormatter(config).format([], {developers});
+    assert.include(report, '### 👥 Developers to watch');
+    assert.include(report, '- [@alice](https://github.com/alice) (Alice) • [alice/neuro-kit]');
+    assert.notInclude(report, '@bob');
+  });
+
+});
@@ -0,0 +1,70 @@
+const Trends = require('../../scripts/helpers/trends.js');
+const TrendingExtractor = require('../../scripts/helpers/analyzer/trending-extractor.js');
+
+describe('trending-extractor', function () {
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should build page per language and period', function () {
+    const extractor = new TrendingExtractor({
+      target_languages: ['rust', 'jupyter-notebook'],
+      trending_periods: ['daily', 'weekly'],
+    });
+    const urls = extractor.buildPages().map(page => page.url);
+    assert.deepEqual(urls, [
+      'https://github.com/trending/rust?since=daily',
+      'https://github.com/trending/rust?since=weekly',
+      'https://github.com/trending/jupyter-notebook?since=daily',
+      'https://github.com/trending/jupyter-notebook?since=weekly',
+    ]);
+  });
+
+  it('should use all languages page when no languages configured', function () {
+    const urls = new TrendingExtractor({}).buildPages().map(page => page.url);
+    assert.deepEqual(urls, ['https://github.com/trending?since=daily']);
+  });
+
+  it('should merge repos by name and keep source pages', async function () {
+    sinon.stub(Trends.prototype, 'getAll').callsFake(function () {
+      return this._url.indexOf('daily') >= 0
+        ? [{name: 'a/one', starsAdded: 10}, {name: 'b/two', starsAdded: 50}]
+        : [{name: 'a/one', starsAdded: 70}];
+    });
+    const extractor = new TrendingExtractor({target_languages: ['rust'], trending_periods: ['daily', 'weekly']});
+    const repos = await extractor.extract();
+    assert.deepEqual(repos.map(repo => repo.name), ['b/two', 'a/one']);
+    const pages = repos[1].trendingPages.map(page => [page.since, page.starsAdded]);
+    assert.deepEqual(pages, [['daily', 10], ['weekly', 70]]);
+  });
+
+  it('should take stars added from the page of the shortest period', async function () {
+    sinon.stub(Trends.prototype, 'getAll').callsFake(function () {
+      const pages = {
+        'rust?since=weekly': [{name: 'a/one', starsAdded: 700}, {name: 'b/two', starsAdded: 140}],
+        'python?since=daily': [{name: 'a/one', starsAdded: 30}]
+      };
+      return pages[this._url.split('/').pop()] || [];
+    });
+    const config = {target_languages: ['rust', 'python'], trending_periods: ['daily', 'weekly']};
+    const repos = await new TrendingExtractor(config).extract();
+
+    assert.deepEqual(repos.map(repo => [repo.name, repo.starsAdded, repo.starsAddedSince]), [
+      ['a/one', 30, 'daily'],
+      ['b/two', 140, 'weekly']
+    ]);
+    assert.equal(TrendingExtractor.formatStarsAdded(repos[1]), ' **+140** stars this week');
+    assert.equal(TrendingExtractor.formatStarsAdded({starsAdded: 5}), ' **+5** stars today');
+  });
+
+  it('should skip failed pages', async function () {
+    sinon.stub(console, 'error');
+    sinon.stub(Trends.prototype, 'getAll').callsFake(function () {
+      return this._url.indexOf('python') >= 0 ? Promise.reject(new Error('fail')) : [{name: 'a/one', starsAdded: 1}];
+    });
+    const repos = await new TrendingExtractor({target_languages: ['python', 'rust']}).extract();
+    assert.deepEqual(repos.map(repo => repo.name), ['a/one']);
+  });
+
+});
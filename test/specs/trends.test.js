@@ -1,6 +1,7 @@
 const nodeAssert = require('assert');
 const fs = require('fs');
 const Trends = require('../../scripts/helpers/trends.js');
+const artifacts = require('../../scripts/helpers/artifacts.js');
 const retryOptions = {
   retries: 2,
   minTimeout: 500,
@@ -48,4 +49,86 @@ describe('trends', function () {
     assert.equal(repos.length, 0);
   });
 
+  describe('parser drift', function () {
+
+    const file = 'test/data/trending_two_repos.html';
+
+    function loadTrends(html) {
+      const trends = new Trends('https://github.com/trending/rust', {retries: 0});
+      trends._loadHtml = () => trends._html = html;
+      return trends;
+    }
+
+    beforeEach(() => {
+      sinon.stub(console, 'log');
+      sinon.stub(artifacts, 'save');
+    });
+
+    it('should parse page without drift', async function () {
+      const trends = loadTrends(fs.readFileSync(file, 'utf8'));
+      const repos = await trends.getAll();
+      assert.deepEqual(repos[0], {
+        name: 'other/second-repo',
+        url: 'https://github.com/other/second-repo',
+        description: 'Second repo description',
+        language: 'Python',
+        starsAdded: 2048,
+        stars: 2000,
+        forks: 30,
+      });
+      assert.equal(repos[1].stars, 12345);
+      assert.isNull(trends.driftReport);
+      sinon.assert.notCalled(artifacts.save);
+    });
+
+    it('should report drift of single field and keep repos', async function () {
+      const html = fs.readFileSync(file, 'utf8').replace(/\/stargazers/g, '/stars');
+      const trends = loadTrends(html);
+      const repos = await trends.getAll();
+      assert.equal(repos.length, 2);
+      assert.equal(repos[0].stars, 0);
+      assert.equal(repos[0].forks, 30);
+      assert.deepEqual(Object.keys(trends.driftReport.fields), ['stars']);
+      assert.equal(trends.driftReport.fields.stars.invalid, 2);
+      assert.equal(trends.driftReport.selectorVersion, '2020-box-row');
+      sinon.assert.calledWith(artifacts.save, 'rust.drift.json');
+      sinon.assert.calledWith(artifacts.save, 'rust.html');
+    });
+
+    it('should fall back to older selector set', async function () {
+      const html = fs.readFileSync(file, 'utf8')
+        .replace(/Box-row/g, 'repo-row')
+        .replace(/h2/g, 'h1');
+      const trends = loadTrends(html);
+      const repos = await trends.getAll();
+      assert.equal(repos.length, 2);
+      assert.isNull(trends.driftReport);
+      assert.equal(trends._selectors.version, '2019-article');
+    });
+
+    it('should report drift of row selectors when no selector set finds rows', async function () {
+      sinon.stub(console, 'error');
+      const html = fs.readFileSync(file, 'utf8')
+        .replace(/Box-row/g, 'repo-row')
+        .replace(/article/g, 'section');
+      const trends = loadTrends(html);
+      await nodeAssert.rejects(trends.getAll(), /Can't find trending repos .* \(parser drift, see rust\.drift\.json\)/);
+      assert.deepEqual(trends.driftReport.fields.row.selectors, ['.Box-row', 'article', 'ol.repo-list > li']);
+      assert.deepEqual(trends.driftReport.attempts.map(attempt => attempt.rows), [0, 0, 0]);
+      sinon.assert.calledWith(artifacts.save, 'rust.drift.json');
+    });
+
+    it('should report drift of later selector set with rows of invalid names', async function () {
+      sinon.stub(console, 'error');
+      const html = fs.readFileSync(file, 'utf8')
+        .replace(/Box-row/g, 'repo-row')
+        .replace(/<a href="[^"]+" class="Link">/g, '<a href="/sponsors" class="Link">');
+      const trends = loadTrends(html);
+      await nodeAssert.rejects(trends.getAll(), /parser drift/);
+      assert.equal(trends.driftReport.selectorVersion, '2019-article');
+      assert.equal(trends.driftReport.fields.name.invalid, 2);
+    });
+
+  });
+
 });